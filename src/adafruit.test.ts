@@ -0,0 +1,75 @@
+/**
+ * Tests for the Adafruit adapter against a local mock of the Adafruit
+ * product API
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { createAdafruitAdapter } from "./adafruit";
+import { createTestSupplierCache } from "./testSupplier";
+
+const cache = createTestSupplierCache("adafruit");
+
+let mock: ReturnType<typeof Bun.serve>;
+
+beforeAll(() => {
+  mock = Bun.serve({
+    port: 0,
+    fetch(req) {
+      const url = new URL(req.url);
+      if (url.pathname !== "/api/product/4062") {
+        return Response.json({ error: "Product not found" });
+      }
+
+      return Response.json({
+        product_id: 4062,
+        product_name: "Adafruit Feather M4 Express",
+        product_url: "https://www.adafruit.com/product/4062",
+        product_price: "22.95",
+        product_stock: 120,
+        product_image: "https://cdn-shop.adafruit.com/4062-00.jpg",
+      });
+    },
+  });
+});
+
+afterAll(() => {
+  mock.stop(true);
+  cache.remove();
+});
+
+function createClient() {
+  const adapter = createAdafruitAdapter({
+    apiUrl: `http://localhost:${mock.port}/api`,
+  });
+
+  return cache.createClient(adapter);
+}
+
+describe("Adafruit adapter", () => {
+  test("maps product details", async () => {
+    const client = createClient();
+    const product = client.adapter.normalize(await client.lookup("4062"));
+
+    expect(product).toEqual({
+      name: "Adafruit Feather M4 Express",
+      description: undefined,
+      price: 22.95,
+      imageUrl: "https://cdn-shop.adafruit.com/4062-00.jpg",
+      category: undefined,
+      manufacturer: "Adafruit",
+      manufacturerPartNumber: "4062",
+      attributes: {},
+    });
+  });
+
+  test("accepts product IDs written as on the Adafruit site", async () => {
+    const entry = await createClient().lookup("PID 4062");
+    expect(entry.product.product_id).toBe(4062);
+  });
+
+  test("reports products Adafruit does not have", async () => {
+    await expect(createClient().lookup("1")).rejects.toThrow(
+      "Adafruit has no product 1",
+    );
+  });
+});
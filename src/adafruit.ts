@@ -0,0 +1,62 @@
+/**
+ * Adafruit supplier adapter for the Hackathon Hardware Store Server
+ * Looks parts up by Adafruit product ID with the public product API
+ */
+
+import type {
+  SupplierAdapter,
+  SupplierCacheEntry,
+  SupplierProduct,
+} from "./supplier";
+import { parsePrice, supplierFetch } from "./supplier";
+
+export interface AdafruitOptions {
+  apiUrl: string;
+}
+
+type Json = Record<string, any>;
+
+export function normalizeAdafruitProduct(
+  entry: SupplierCacheEntry,
+): SupplierProduct {
+  const product = entry.product as Json;
+
+  return {
+    name: product.product_name,
+    description: product.product_description || undefined,
+    price: parsePrice(product.product_price),
+    imageUrl: product.product_image,
+    category: product.product_category || undefined,
+    manufacturer: "Adafruit",
+    manufacturerPartNumber: String(product.product_id),
+    attributes: {},
+  };
+}
+
+export function createAdafruitAdapter(
+  options: AdafruitOptions,
+): SupplierAdapter {
+  return {
+    id: "adafruit",
+    name: "Adafruit",
+    configured: true,
+
+    // Accept "PID 3000" as printed on Adafruit's site as well as "3000"
+    request(partNumber: string) {
+      const productId = partNumber.replace(/^pid\s*/i, "");
+      return supplierFetch(
+        `${options.apiUrl}/product/${encodeURIComponent(productId)}`,
+      );
+    },
+
+    extract(body: unknown, partNumber: string) {
+      const product = (body || {}) as Json;
+      if (product.error || !product.product_id) {
+        throw new Error(`Adafruit has no product ${partNumber}`);
+      }
+      return product;
+    },
+
+    normalize: normalizeAdafruitProduct,
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Tests for admin login: wrong passwords lock the username out, and the
+ * bootstrap account follows the same password rules as every other one
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { type TestServer, startTestServer } from "./testServer";
+
+let server: TestServer;
+
+function login(username: string, password: string) {
+  return fetch(`${server.base}/auth/login`, {
+    method: "POST",
+    body: JSON.stringify({ username, password }),
+  });
+}
+
+beforeAll(async () => {
+  server = await startTestServer({
+    backend: "json",
+    env: { ADMIN_CODE: "login-test" },
+  });
+});
+
+afterAll(() => {
+  server?.stop();
+});
+
+describe("admin login", () => {
+  test("the bootstrap account logs in with ADMIN_CODE", async () => {
+    const response = await login("admin", "login-test");
+    expect(response.status).toBe(200);
+    expect((await response.json()).user.role).toBe("manager");
+  });
+
+  test("five wrong passwords lock the username out", async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await login("Admin", "wrong-password")).status).toBe(401);
+    }
+
+    const response = await login("admin", "login-test");
+    expect(response.status).toBe(429);
+    expect(Number(response.headers.get("Retry-After"))).toBeGreaterThan(0);
+  });
+
+  test("unknown usernames are locked out the same way", async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await login("nobody", "wrong-password")).status).toBe(401);
+    }
+    expect((await login("nobody", "wrong-password")).status).toBe(429);
+  });
+});
+
+describe("bootstrap account", () => {
+  test("a short ADMIN_CODE does not become a password", async () => {
+    const shortCode = await startTestServer({
+      backend: "json",
+      env: { ADMIN_CODE: "short" },
+    });
+
+    try {
+      const response = await fetch(`${shortCode.base}/auth/login`, {
+        method: "POST",
+        body: JSON.stringify({ username: "admin", password: "short" }),
+      });
+      expect(response.status).toBe(401);
+    } finally {
+      shortCode.stop();
+    }
+  });
+});
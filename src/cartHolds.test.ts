@@ -0,0 +1,145 @@
+/**
+ * Tests for cart holds: only signed-in clients can hold stock, each within a
+ * few carts and the checkout limits, and only the holder can order it
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { type TestServer, startTestServer, testItem } from "./testServer";
+
+let server: TestServer;
+
+function holdCart(
+  cartId: string,
+  items: { id: string; quantity: number }[],
+  participantToken?: string,
+) {
+  return fetch(`${server.base}/cart-holds/${cartId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+      ...(participantToken && { Authorization: `Bearer ${participantToken}` }),
+    },
+    body: JSON.stringify({ items }),
+  });
+}
+
+function placeOrder(
+  cart: { id: string; quantity: number }[],
+  cartId: string,
+  participantToken: string,
+) {
+  return fetch(`${server.base}/orders`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${participantToken}`,
+    },
+    body: JSON.stringify({ cart, cartId }),
+  });
+}
+
+async function registerParticipant(handle: string): Promise<string> {
+  const response = await fetch(`${server.base}/participants/register`, {
+    method: "POST",
+    body: JSON.stringify({ handle, name: handle }),
+  });
+  return (await response.json()).token;
+}
+
+beforeAll(async () => {
+  server = await startTestServer({
+    backend: "json",
+    files: {
+      "items.json": JSON.stringify([
+        testItem("led", 100),
+        testItem("servo", 1),
+      ]),
+    },
+    env: {
+      CART_HOLD_MINUTES: "15",
+      QUOTA_MAX_PER_ITEM: "3",
+      QUOTA_MAX_ITEMS_PER_TEAM: "10",
+      QUOTA_CATEGORY_LIMITS: "",
+    },
+  });
+});
+
+afterAll(() => {
+  server?.stop();
+});
+
+describe("cart holds", () => {
+  test("guests cannot hold stock", async () => {
+    const response = await holdCart("guest-cart", [{ id: "led", quantity: 1 }]);
+    expect(response.status).toBe(401);
+  });
+
+  test("a client can hold at most three carts", async () => {
+    const participant = await registerParticipant("holder@example.com");
+
+    for (const cartId of ["cart-one", "cart-two", "cart-three"]) {
+      const response = await holdCart(
+        cartId,
+        [{ id: "led", quantity: 1 }],
+        participant,
+      );
+      expect(response.status).toBe(200);
+    }
+
+    const response = await holdCart(
+      "cart-four",
+      [{ id: "led", quantity: 1 }],
+      participant,
+    );
+    expect(response.status).toBe(429);
+  });
+
+  test("the checkout limits cover all of a client's carts", async () => {
+    const participant = await registerParticipant("spreader@example.com");
+
+    const first = await holdCart(
+      "spread-one",
+      [{ id: "led", quantity: 2 }],
+      participant,
+    );
+    expect(first.status).toBe(200);
+
+    const second = await holdCart(
+      "spread-two",
+      [{ id: "led", quantity: 2 }],
+      participant,
+    );
+    expect(second.status).toBe(400);
+    const body = await second.json();
+    expect(body.quotaViolations.map((v: { rule: string }) => v.rule)).toEqual([
+      "per_item",
+    ]);
+  });
+
+  test("an order cannot use another client's held stock", async () => {
+    const holder = await registerParticipant("owner@example.com");
+    const other = await registerParticipant("thief@example.com");
+
+    const hold = await holdCart(
+      "servo-cart",
+      [{ id: "servo", quantity: 1 }],
+      holder,
+    );
+    expect(hold.status).toBe(200);
+
+    const stolen = await placeOrder(
+      [{ id: "servo", quantity: 1 }],
+      "servo-cart",
+      other,
+    );
+    expect(stolen.status).toBe(403);
+
+    // The hold is still in place, so the holder can order the servo
+    const ordered = await placeOrder(
+      [{ id: "servo", quantity: 1 }],
+      "servo-cart",
+      holder,
+    );
+    expect(ordered.status).toBe(200);
+  });
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for mapping CSV headers onto catalog fields
+ */
+
+import { describe, expect, test } from "bun:test";
+import { parseCatalogRows, resolveColumns } from "./catalogImport";
+
+describe("resolveColumns", () => {
+  test("a Manufacturer column fills the manufacturer, not the supplier", () => {
+    expect(resolveColumns(["Part Number", "Manufacturer"])).toEqual({
+      sku: "Part Number",
+      manufacturer: "Manufacturer",
+    });
+  });
+
+  test("supplier and manufacturer can both be given", () => {
+    const columns = resolveColumns(["sku", "Supplier", "manufacturer"]);
+    expect(columns.supplier).toBe("Supplier");
+    expect(columns.manufacturer).toBe("manufacturer");
+  });
+});
+
+describe("parseCatalogRows", () => {
+  test("rows carry the manufacturer through", () => {
+    const { rows, errors } = parseCatalogRows("custom.csv", [
+      { sku: "ne555", manufacturer: "Texas Instruments", supplier: "" },
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(rows[0].manufacturer).toBe("Texas Instruments");
+    expect(rows[0].supplier).toBeUndefined();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * CSV import format for the Hackathon Hardware Store Server
+ * Maps supplier CSV headers onto catalog fields and validates each row
+ */
+
+export type CatalogField =
+  | "sku"
+  | "name"
+  | "description"
+  | "price"
+  | "stock"
+  | "imageUrl"
+  | "category"
+  | "tags"
+  | "datasheet"
+  | "supplier"
+  | "manufacturer";
+
+// Headers recognised for each field. Matching ignores case, spaces,
+// dashes and underscores, so "Image URL" and "image_url" both work.
+export const DEFAULT_COLUMN_ALIASES: Record<CatalogField, string[]> = {
+  sku: ["sku", "part number", "digikey part number", "id"],
+  name: ["name", "title"],
+  description: ["description"],
+  price: ["price", "unit price"],
+  stock: ["stock", "quantity", "qty"],
+  imageUrl: ["image url", "image"],
+  category: ["category"],
+  tags: ["tags"],
+  datasheet: ["datasheet", "datasheet url"],
+  supplier: ["supplier"],
+  manufacturer: ["manufacturer"],
+};
+
+export interface CatalogRow {
+  // Line in the CSV file, counting the header as line 1
+  row: number;
+  sku: string;
+  name?: string;
+  description?: string;
+  price?: number;
+  stock?: number;
+  imageUrl?: string;
+  category?: string;
+  tags: string[];
+  datasheet?: string;
+  supplier?: string;
+  manufacturer?: string;
+}
+
+export interface RowError {
+  file: string;
+  row: number;
+  sku?: string;
+  message: string;
+}
+
+export interface ParsedCatalogFile {
+  rows: CatalogRow[];
+  errors: RowError[];
+  // Every SKU named in the file, including rows that failed validation
+  skus: string[];
+  // Header used for each field, for showing the mapping to admins
+  columns: Partial<Record<CatalogField, string>>;
+  // Headers that did not match any field
+  ignored: string[];
+}
+
+const CATALOG_FIELDS = Object.keys(DEFAULT_COLUMN_ALIASES) as CatalogField[];
+
+function normalizeHeader(header: string): string {
+  return header.toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+// Picks the header for each field, preferring configured overrides
+export function resolveColumns(
+  headers: string[],
+  overrides: Partial<Record<CatalogField, string>> = {},
+): Partial<Record<CatalogField, string>> {
+  const byName = new Map(
+    headers.map((header) => [normalizeHeader(header), header]),
+  );
+  const columns: Partial<Record<CatalogField, string>> = {};
+
+  for (const field of CATALOG_FIELDS) {
+    const candidates = [overrides[field], ...DEFAULT_COLUMN_ALIASES[field]];
+    for (const candidate of candidates) {
+      const header = candidate && byName.get(normalizeHeader(candidate));
+      if (header) {
+        columns[field] = header;
+        break;
+      }
+    }
+  }
+
+  return columns;
+}
+
+function parseNumber(value: string, integer: boolean): number | null {
+  // Accept "$1.23" and "1,000" as written by spreadsheet exports
+  const cleaned = value.replace(/[$,\s]/g, "");
+  if (!/^\d+(\.\d+)?$/.test(cleaned)) return null;
+
+  const number = Number(cleaned);
+  return integer && !Number.isInteger(number) ? null : number;
+}
+
+/**
+ * Maps and validates the records of one CSV file. Rows with errors are
+ * reported and left out of `rows`. `seen` tracks SKUs across files so that
+ * duplicates between custom.csv and digikey.csv are caught too.
+ */
+export function parseCatalogRows(
+  file: string,
+  records: Record<string, string>[],
+  overrides: Partial<Record<CatalogField, string>> = {},
+  seen: Map<string, { file: string; row: number }> = new Map(),
+): ParsedCatalogFile {
+  const result: ParsedCatalogFile = {
+    rows: [],
+    errors: [],
+    skus: [],
+    columns: {},
+    ignored: [],
+  };
+  if (records.length === 0) return result;
+
+  const headers = Object.keys(records[0]);
+  result.columns = resolveColumns(headers, overrides);
+  const mapped = new Set(Object.values(result.columns));
+  result.ignored = headers.filter((header) => !mapped.has(header));
+
+  if (!result.columns.sku) {
+    result.errors.push({
+      file,
+      row: 1,
+      message: `No SKU column found (expected one of: ${DEFAULT_COLUMN_ALIASES.sku.join(", ")})`,
+    });
+    return result;
+  }
+
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const value = (field: CatalogField) => {
+      const header = result.columns[field];
+      return header ? (record[header] || "").trim() : "";
+    };
+
+    const sku = value("sku");
+    const rowErrors: string[] = [];
+    if (sku) result.skus.push(sku);
+
+    if (!sku) {
+      rowErrors.push("Missing SKU");
+    } else if (seen.has(sku)) {
+      const first = seen.get(sku)!;
+      rowErrors.push(
+        `Duplicate SKU, first seen in ${first.file} row ${first.row}`,
+      );
+    }
+
+    const price = value("price")
+      ? parseNumber(value("price"), false)
+      : undefined;
+    if (price === null) {
+      rowErrors.push(`Invalid price "${value("price")}"`);
+    }
+
+    const stock = value("stock")
+      ? parseNumber(value("stock"), true)
+      : undefined;
+    if (stock === null) {
+      rowErrors.push(
+        `Invalid stock "${value("stock")}", expected a whole number`,
+      );
+    }
+
+    if (rowErrors.length > 0) {
+      for (const message of rowErrors) {
+        result.errors.push({ file, row, sku: sku || undefined, message });
+      }
+      return;
+    }
+
+    seen.set(sku, { file, row });
+    result.rows.push({
+      row,
+      sku,
+      name: value("name") || undefined,
+      description: value("description") || undefined,
+      price: price ?? undefined,
+      stock: stock ?? undefined,
+      imageUrl: value("imageUrl") || undefined,
+      category: value("category") || undefined,
+      tags: value("tags")
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean),
+      datasheet: value("datasheet") || undefined,
+      supplier: value("supplier") || undefined,
+      manufacturer: value("manufacturer") || undefined,
+    });
+  });
+
+  return result;
+}
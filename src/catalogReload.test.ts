@@ -0,0 +1,189 @@
+/**
+ * Tests for merging edited CSV files into the live catalog: a row that
+ * fails validation must not be mistaken for a removed item, and changes made
+ * in the admin panel must survive a reload
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { type TestServer, startTestServer } from "./testServer";
+
+const HEADER = "sku,name,stock,price";
+
+let server: TestServer;
+let token: string;
+
+function writeCatalog(...rows: string[]) {
+  writeFileSync(
+    join(server.dataDir, "custom.csv"),
+    [HEADER, ...rows].join("\n"),
+  );
+}
+
+async function reload(dryRun = false) {
+  const query = dryRun ? "?dryRun=true" : "";
+  const response = await fetch(`${server.base}/catalog/reload${query}`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  expect(response.status).toBe(200);
+  return response.json();
+}
+
+async function getItem(id: string) {
+  const response = await fetch(`${server.base}/items/${id}`);
+  return response.ok ? response.json() : null;
+}
+
+function adminRequest(method: string, path: string, body: unknown) {
+  return fetch(`${server.base}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+async function getLedger(id: string) {
+  const response = await fetch(`${server.base}/items/${id}/ledger`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return response.json();
+}
+
+beforeAll(async () => {
+  server = await startTestServer({
+    backend: "json",
+    files: {
+      "custom.csv": [
+        HEADER,
+        "button,Button,10,0.5",
+        "buzzer,Buzzer,5,1",
+        "relay,Relay,3,2",
+      ].join("\n"),
+    },
+    env: { ADMIN_CODE: "reload-test" },
+  });
+
+  const login = await fetch(`${server.base}/auth/login`, {
+    method: "POST",
+    body: JSON.stringify({ username: "admin", password: "reload-test" }),
+  });
+  token = (await login.json()).token;
+});
+
+afterAll(() => {
+  server?.stop();
+});
+
+describe("catalog reload", () => {
+  test("an item whose row fails validation keeps its stock", async () => {
+    writeCatalog(
+      "button,Button,10,free",
+      "buzzer,Buzzer,lots,1",
+      "relay,Relay,3,2",
+      "relay,Relay again,8,2",
+    );
+
+    const report = await reload();
+    expect(report.errors.map((error: { sku: string }) => error.sku)).toEqual([
+      "button",
+      "buzzer",
+      "relay",
+    ]);
+    expect(report.removed).toEqual([]);
+
+    for (const [id, stock] of [
+      ["button", 10],
+      ["buzzer", 5],
+      ["relay", 3],
+    ] as const) {
+      expect((await getItem(id))?.stock).toBe(stock);
+      const ledger = await getLedger(id);
+      expect(ledger.ledgerTotal).toBe(stock);
+    }
+  });
+
+  test("nothing is removed while a row has no SKU", async () => {
+    writeCatalog("button,Button,10,0.5", ",Buzzer,5,1");
+
+    const report = await reload();
+    expect(report.removed).toEqual([]);
+    expect(report.kept.map((item: { id: string }) => item.id).sort()).toEqual([
+      "buzzer",
+      "relay",
+    ]);
+    expect((await getItem("buzzer"))?.stock).toBe(5);
+  });
+
+  test("a dry run reports the changes without making them", async () => {
+    writeCatalog("button,Button,12,0.5", "buzzer,Buzzer,5,1", "fan,Fan,2,3");
+
+    const report = await reload(true);
+    expect(report.added).toEqual(["fan"]);
+    expect(report.removed).toEqual(["relay"]);
+    expect(report.updated).toEqual([{ id: "button", fields: ["stock"] }]);
+
+    expect(await getItem("fan")).toBeNull();
+    expect((await getItem("relay"))?.stock).toBe(3);
+    expect((await getItem("button"))?.stock).toBe(10);
+    expect((await getLedger("button")).ledgerTotal).toBe(10);
+  });
+
+  test("an item missing from every file is removed", async () => {
+    writeCatalog("button,Button,10,0.5", "buzzer,Buzzer,5,1");
+
+    const report = await reload();
+    expect(report.removed).toEqual(["relay"]);
+    expect(await getItem("relay")).toBeNull();
+    expect((await getItem("button"))?.stock).toBe(10);
+  });
+});
+
+describe("catalog reload and hand edits", () => {
+  test("an item added in the admin panel is not overwritten by a CSV row", async () => {
+    const created = await adminRequest("POST", "/items", {
+      id: "knob",
+      name: "Knob (drawer 4)",
+      price: 0.2,
+      stock: 7,
+    });
+    expect(created.status).toBe(201);
+
+    writeCatalog("button,Button,10,0.5", "buzzer,Buzzer,5,1", "knob,Knob,50,3");
+
+    const report = await reload();
+    expect(report.added).toEqual([]);
+    expect(report.conflicts).toEqual([expect.objectContaining({ id: "knob" })]);
+
+    const knob = await getItem("knob");
+    expect(knob.name).toBe("Knob (drawer 4)");
+    expect(knob.price).toBe(0.2);
+    expect(knob.stock).toBe(7);
+    expect(knob.source).toBe("manual");
+  });
+
+  test("fields edited in the admin panel keep their values", async () => {
+    const edited = await adminRequest("PUT", "/items/button", {
+      name: "Big red button",
+      price: 0.5,
+    });
+    expect(edited.status).toBe(200);
+    expect((await edited.json()).editedFields).toEqual(["name"]);
+
+    writeCatalog("button,Button v2,10,0.75", "buzzer,Buzzer,5,1");
+
+    const report = await reload();
+    expect(report.conflicts).toContainEqual(
+      expect.objectContaining({ id: "button", fields: ["name"] }),
+    );
+    expect(report.updated).toContainEqual({ id: "button", fields: ["price"] });
+
+    const button = await getItem("button");
+    expect(button.name).toBe("Big red button");
+    expect(button.price).toBe(0.75);
+  });
+});
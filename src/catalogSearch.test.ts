@@ -0,0 +1,183 @@
+/**
+ * Tests for catalog search: query parsing, filters, sorting, pages and facets
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  type SearchableItem,
+  catalogFacets,
+  parseCatalogQuery,
+  relatedItems,
+  searchCatalog,
+} from "./catalogSearch";
+
+function item(
+  id: string,
+  fields: Partial<SearchableItem> = {},
+): SearchableItem {
+  return {
+    id,
+    name: id,
+    description: "",
+    price: 1,
+    stock: 10,
+    category: "Components",
+    tags: [],
+    supplier: "Custom",
+    partNumber: id,
+    ...fields,
+  };
+}
+
+const catalog = [
+  item("res-10k", {
+    name: "Resistor 10k",
+    price: 0.1,
+    category: "Resistors",
+    supplier: "DigiKey",
+    manufacturer: "Yageo",
+    attributes: { Resistance: "10 kOhms", "Package / Case": "0603" },
+  }),
+  item("res-1k", {
+    name: "Resistor 1k",
+    price: 0.1,
+    stock: 0,
+    category: "Resistors",
+    supplier: "DigiKey",
+    manufacturer: "Yageo",
+    attributes: { Resistance: "1 kOhms", "Package / Case": "0603" },
+  }),
+  item("pico", {
+    name: "Raspberry Pi Pico",
+    description: "RP2040 microcontroller board",
+    price: 4,
+    available: 2,
+    category: "Development Boards",
+    tags: ["microcontroller"],
+  }),
+  item("feather", {
+    name: "Feather M4 Express",
+    price: 22.95,
+    available: 0,
+    category: "Development Boards",
+    supplier: "Adafruit",
+    tags: ["microcontroller", "feather"],
+  }),
+];
+
+function search(query: string) {
+  const parsed = parseCatalogQuery(new URLSearchParams(query));
+  expect(parsed.errors).toEqual([]);
+  return searchCatalog(catalog, parsed.query);
+}
+
+const ids = (result: { items: SearchableItem[] }) =>
+  result.items.map((item) => item.id);
+
+describe("searchCatalog", () => {
+  test("matches every search word across text fields and tags", () => {
+    expect(ids(search("q=resistor"))).toEqual(["res-10k", "res-1k"]);
+    expect(ids(search("q=RP2040 board"))).toEqual(["pico"]);
+    expect(ids(search("q=microcontroller"))).toEqual(["pico", "feather"]);
+    expect(ids(search("q=resistor board"))).toEqual([]);
+  });
+
+  test("filters by category, supplier and what is available", () => {
+    expect(ids(search("category=development%20boards"))).toEqual([
+      "pico",
+      "feather",
+    ]);
+    expect(
+      ids(
+        search(
+          "category=Resistors&category=Development Boards&supplier=Adafruit",
+        ),
+      ),
+    ).toEqual(["feather"]);
+    expect(ids(search("inStock=true"))).toEqual(["res-10k", "pico"]);
+    expect(ids(search("manufacturer=yageo&attr.Resistance=1 kOhms"))).toEqual([
+      "res-1k",
+    ]);
+  });
+
+  test("sorts by name, price and stock, breaking ties by name", () => {
+    expect(ids(search("sort=name"))).toEqual([
+      "feather",
+      "pico",
+      "res-1k",
+      "res-10k",
+    ]);
+    expect(ids(search("sort=price&order=desc"))).toEqual([
+      "feather",
+      "pico",
+      "res-1k",
+      "res-10k",
+    ]);
+    expect(ids(search("sort=stock"))).toEqual([
+      "feather",
+      "res-1k",
+      "pico",
+      "res-10k",
+    ]);
+  });
+
+  test("returns one page and the total", () => {
+    const result = search("sort=name&limit=3&page=2");
+    expect(ids(result)).toEqual(["res-10k"]);
+    expect(result.total).toBe(4);
+  });
+
+  test("rejects bad sort and paging parameters", () => {
+    const { errors } = parseCatalogQuery(
+      new URLSearchParams("sort=colour&order=up&page=0&limit=1000"),
+    );
+    expect(errors.length).toBe(4);
+  });
+});
+
+describe("catalogFacets", () => {
+  test("counts each facet without its own filter", () => {
+    const { query } = parseCatalogQuery(
+      new URLSearchParams("category=Resistors"),
+    );
+    const facets = catalogFacets(catalog, query);
+
+    expect(facets.total).toBe(2);
+    expect(facets.categories).toEqual([
+      { value: "Development Boards", count: 2 },
+      { value: "Resistors", count: 2 },
+    ]);
+    expect(facets.suppliers).toEqual([{ value: "DigiKey", count: 2 }]);
+    // Only specs that differ between the matching parts
+    expect(facets.attributes).toEqual({
+      Resistance: [
+        { value: "1 kOhms", count: 1 },
+        { value: "10 kOhms", count: 1 },
+      ],
+    });
+  });
+
+  test("applies the search words and stock filter to every facet", () => {
+    const { query } = parseCatalogQuery(
+      new URLSearchParams("q=microcontroller&inStock=true"),
+    );
+    expect(catalogFacets(catalog, query).categories).toEqual([
+      { value: "Development Boards", count: 1 },
+    ]);
+  });
+});
+
+describe("relatedItems", () => {
+  test("ranks shared tags above a shared category", () => {
+    const headers = item("headers", {
+      category: "Connectors",
+      tags: ["microcontroller", "feather"],
+    });
+    const related = relatedItems([...catalog, headers], catalog[3], 3);
+
+    expect(related.map((item) => item.id)).toEqual(["headers", "pico"]);
+    expect(relatedItems(catalog, catalog[0], 3).map((item) => item.id)).toEqual(
+      ["res-1k"],
+    );
+  });
+});
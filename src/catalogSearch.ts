@@ -0,0 +1,322 @@
+/**
+ * Catalog search for the Hackathon Hardware Store Server
+ * Parses the storefront's query parameters, then filters, sorts, pages and
+ * counts facets over the in-memory catalog
+ */
+
+// The item fields search reads. `available` is stock minus what carts hold.
+export interface SearchableItem {
+  id: string;
+  name: string;
+  description: string;
+  price: number;
+  stock: number;
+  available?: number;
+  category: string;
+  tags: string[];
+  supplier: string;
+  partNumber: string;
+  manufacturer?: string;
+  manufacturerPartNumber?: string;
+  attributes?: Record<string, string>;
+}
+
+export type SortField = "name" | "price" | "stock";
+
+export interface CatalogQuery {
+  // Words that must all appear in the name, description, part numbers or tags
+  terms: string[];
+  // An item matches if it is in any of these; empty matches every item
+  categories: string[];
+  suppliers: string[];
+  inStock: boolean;
+  manufacturer?: string;
+  // Spec values such as "Resistance": "10 kOhms"
+  attributes: Record<string, string>;
+  // Catalog order when not set
+  sort?: SortField;
+  order: "asc" | "desc";
+  page: number;
+  // Items per page; 0 returns every match
+  limit: number;
+}
+
+export interface FacetCount {
+  value: string;
+  count: number;
+}
+
+export interface CatalogFacets {
+  total: number;
+  categories: FacetCount[];
+  suppliers: FacetCount[];
+  manufacturers: FacetCount[];
+  // Only specs with more than one value, as only those tell parts apart
+  attributes: Record<string, FacetCount[]>;
+}
+
+const SORT_FIELDS: SortField[] = ["name", "price", "stock"];
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Reads a query such as ?q=10k resistor&category=Resistors&inStock=true
+ * &sort=price&order=desc&page=2&limit=48. Repeat category or supplier to
+ * match any of several. Unknown parameters are ignored.
+ */
+export function parseCatalogQuery(params: URLSearchParams): {
+  query: CatalogQuery;
+  errors: string[];
+} {
+  const errors: string[] = [];
+  const query: CatalogQuery = {
+    terms: (params.get("q") || "").toLowerCase().split(/\s+/).filter(Boolean),
+    categories: params.getAll("category").filter(Boolean),
+    suppliers: params.getAll("supplier").filter(Boolean),
+    inStock: params.get("inStock") === "true",
+    manufacturer: params.get("manufacturer") || undefined,
+    attributes: {},
+    order: "asc",
+    page: 1,
+    limit: 0,
+  };
+
+  for (const [key, value] of params) {
+    if (key.startsWith("attr.") && value) {
+      query.attributes[key.slice("attr.".length)] = value;
+    }
+  }
+
+  const sort = params.get("sort");
+  if (sort) {
+    if (SORT_FIELDS.includes(sort as SortField)) {
+      query.sort = sort as SortField;
+    } else {
+      errors.push(`sort must be one of: ${SORT_FIELDS.join(", ")}`);
+    }
+  }
+
+  const order = params.get("order");
+  if (order) {
+    if (order === "asc" || order === "desc") {
+      query.order = order;
+    } else {
+      errors.push("order must be asc or desc");
+    }
+  }
+
+  const page = params.get("page");
+  if (page) {
+    query.page = Number(page);
+    if (!Number.isInteger(query.page) || query.page < 1) {
+      errors.push("page must be a whole number of at least 1");
+    }
+  }
+
+  const limit = params.get("limit");
+  if (limit) {
+    query.limit = Number(limit);
+    if (
+      !Number.isInteger(query.limit) ||
+      query.limit < 1 ||
+      query.limit > MAX_PAGE_SIZE
+    ) {
+      errors.push(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  return { query, errors };
+}
+
+function same(a: string | undefined, b: string): boolean {
+  return (a || "").toLowerCase() === b.toLowerCase();
+}
+
+function inStock(item: SearchableItem): boolean {
+  return (item.available ?? item.stock) > 0;
+}
+
+function matchesTerms(item: SearchableItem, terms: string[]): boolean {
+  if (terms.length === 0) return true;
+
+  const text = [
+    item.id,
+    item.name,
+    item.description,
+    item.partNumber,
+    item.manufacturerPartNumber,
+    ...item.tags,
+  ]
+    .join(" ")
+    .toLowerCase();
+  return terms.every((term) => text.includes(term));
+}
+
+type Facet = "category" | "supplier" | "manufacturer" | "attributes";
+
+// Checks the facet filters, leaving out one facet so its counts show what
+// picking another value would give
+function matchesFacets(
+  item: SearchableItem,
+  query: CatalogQuery,
+  ignore?: Facet,
+): boolean {
+  if (
+    ignore !== "category" &&
+    query.categories.length > 0 &&
+    !query.categories.some((category) => same(item.category, category))
+  ) {
+    return false;
+  }
+  if (
+    ignore !== "supplier" &&
+    query.suppliers.length > 0 &&
+    !query.suppliers.some((supplier) => same(item.supplier, supplier))
+  ) {
+    return false;
+  }
+  if (
+    ignore !== "manufacturer" &&
+    query.manufacturer &&
+    !same(item.manufacturer, query.manufacturer)
+  ) {
+    return false;
+  }
+  if (ignore !== "attributes") {
+    for (const [name, value] of Object.entries(query.attributes)) {
+      if (!same(item.attributes?.[name], value)) return false;
+    }
+  }
+  return true;
+}
+
+// Filters that facets do not count: the search words and the stock toggle
+function matchesBase(item: SearchableItem, query: CatalogQuery): boolean {
+  return (!query.inStock || inStock(item)) && matchesTerms(item, query.terms);
+}
+
+function byName(a: SearchableItem, b: SearchableItem): number {
+  return a.name.localeCompare(b.name, undefined, { numeric: true });
+}
+
+function compareBy(
+  a: SearchableItem,
+  b: SearchableItem,
+  sort: SortField,
+): number {
+  if (sort === "price") return a.price - b.price;
+  if (sort === "stock")
+    return (a.available ?? a.stock) - (b.available ?? b.stock);
+  return byName(a, b);
+}
+
+/**
+ * Returns one page of the items matching the query, and how many match in
+ * total
+ */
+export function searchCatalog<T extends SearchableItem>(
+  items: T[],
+  query: CatalogQuery,
+): { items: T[]; total: number } {
+  const matches = items.filter(
+    (item) => matchesBase(item, query) && matchesFacets(item, query),
+  );
+
+  const { sort } = query;
+  if (sort) {
+    const direction = query.order === "desc" ? -1 : 1;
+    // Ties keep name order whichever way the sort runs
+    matches.sort((a, b) => direction * compareBy(a, b, sort) || byName(a, b));
+  }
+
+  if (query.limit === 0) {
+    return { items: matches, total: matches.length };
+  }
+  const start = (query.page - 1) * query.limit;
+  return {
+    items: matches.slice(start, start + query.limit),
+    total: matches.length,
+  };
+}
+
+function countValues(
+  items: SearchableItem[],
+  valuesOf: (item: SearchableItem) => (string | undefined)[],
+): FacetCount[] {
+  const counts = new Map<string, number>();
+  for (const item of items) {
+    for (const value of valuesOf(item)) {
+      if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+
+  return [...counts]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) =>
+      a.value.localeCompare(b.value, undefined, { numeric: true }),
+    );
+}
+
+/**
+ * Counts the items per category, supplier, manufacturer and spec value.
+ * Each facet's counts apply every filter except that facet's own.
+ */
+export function catalogFacets(
+  items: SearchableItem[],
+  query: CatalogQuery,
+): CatalogFacets {
+  const base = items.filter((item) => matchesBase(item, query));
+  const without = (facet: Facet) =>
+    base.filter((item) => matchesFacets(item, query, facet));
+
+  const attributes: Record<string, FacetCount[]> = {};
+  const specItems = without("attributes");
+  const names = new Set(
+    specItems.flatMap((item) => Object.keys(item.attributes || {})),
+  );
+  for (const name of names) {
+    const counts = countValues(specItems, (item) => [item.attributes?.[name]]);
+    if (counts.length > 1) attributes[name] = counts;
+  }
+
+  return {
+    total: base.filter((item) => matchesFacets(item, query)).length,
+    categories: countValues(without("category"), (item) => [item.category]),
+    suppliers: countValues(without("supplier"), (item) => [item.supplier]),
+    manufacturers: countValues(without("manufacturer"), (item) => [
+      item.manufacturer,
+    ]),
+    attributes,
+  };
+}
+
+/**
+ * Parts that share tags or the category with an item, such as headers for a
+ * board. Each shared tag counts for more than the category; parts in stock
+ * come first among equals.
+ */
+export function relatedItems<T extends SearchableItem>(
+  items: T[],
+  item: SearchableItem,
+  limit: number,
+): T[] {
+  const tags = new Set(item.tags.map((tag) => tag.toLowerCase()));
+
+  return items
+    .filter((other) => other.id !== item.id)
+    .map((other) => ({
+      other,
+      score:
+        2 * other.tags.filter((tag) => tags.has(tag.toLowerCase())).length +
+        (same(other.category, item.category) ? 1 : 0),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        Number(inStock(b.other)) - Number(inStock(a.other)) ||
+        byName(a.other, b.other),
+    )
+    .slice(0, limit)
+    .map(({ other }) => other);
+}
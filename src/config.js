@@ -29,9 +29,10 @@ const config = {
   }
 };
 
-// Validate that required config values are present
+// Validate that required config values are present. Supplier credentials are
+// optional, as in config.ts.
 function validateConfig() {
-  const requiredFields = ['digikey.CLIENT_ID', 'digikey.CLIENT_SECRET', 'ADMIN_CODE'];
+  const requiredFields = ['ADMIN_CODE'];
   
   for (const field of requiredFields) {
     const parts = field.split('.');
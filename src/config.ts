@@ -4,19 +4,64 @@
  */
 
 import { config as loadEnv } from 'dotenv';
+import type { StorageBackend } from './storage';
+import type { DigiKeyApiVersion } from './digikey';
 loadEnv();
 
 // Configuration interface
 interface Config {
   PORT: number;
   API_PREFIX: string;
+  DATA_DIR: string;
   digikey: {
+    API_VERSION: DigiKeyApiVersion;
     CLIENT_ID: string;
     CLIENT_SECRET: string;
     API_URL: string;
     TOKEN_URL: string;
+    REQUESTS_PER_MINUTE: number;
+  };
+  mouser: {
+    API_KEY: string;
+    API_URL: string;
+    REQUESTS_PER_MINUTE: number;
+  };
+  lcsc: {
+    API_URL: string;
+    REQUESTS_PER_MINUTE: number;
+  };
+  adafruit: {
+    API_URL: string;
+    REQUESTS_PER_MINUTE: number;
+  };
+  suppliers: {
+    CACHE_HOURS: number;
+    CONCURRENCY: number;
+    MAX_RETRIES: number;
   };
   ADMIN_CODE: string;
+  CATALOG_WATCH: boolean;
+  CART_HOLD_MINUTES: number;
+  WAITLIST_MODE: 'reserve' | 'notify';
+  storage: {
+    BACKEND: StorageBackend;
+    SQLITE_PATH: string;
+  };
+  CSV_COLUMN_MAP: Record<string, string>;
+  SESSION_TTL_HOURS: number;
+  PARTICIPANT_SESSION_TTL_HOURS: number;
+  PICKUP_SECRET: string;
+  PICKUP_TICKET_HOURS: number;
+  loans: {
+    HOURS: number;
+    DUE_AT: number;
+    REMINDER_MINUTES: number;
+  };
+  quotas: {
+    MAX_PER_ITEM: number;
+    MAX_ITEMS_PER_TEAM: number;
+    CATEGORY_LIMITS: Record<string, number>;
+  };
   webpush: {
     VAPID_PUBLIC_KEY: string;
     VAPID_PRIVATE_KEY: string;
@@ -25,21 +70,149 @@ interface Config {
   isValid: boolean;
 }
 
+// Parse QUOTA_CATEGORY_LIMITS, e.g. {"Development Boards": 1}
+function parseCategoryLimits(value: string | undefined): Record<string, number> {
+  if (!value) return {};
+
+  try {
+    const limits = JSON.parse(value);
+    return Object.fromEntries(
+      Object.entries(limits)
+        .filter(([, limit]) => Number(limit) > 0)
+        .map(([category, limit]) => [category, Number(limit)])
+    );
+  } catch (error) {
+    console.error('Invalid QUOTA_CATEGORY_LIMITS, expected a JSON object:', error);
+    return {};
+  }
+}
+
+// Parse CSV_COLUMN_MAP, e.g. {"sku": "Mfr Part #", "stock": "On Hand"}
+function parseColumnMap(value: string | undefined): Record<string, string> {
+  if (!value) return {};
+
+  try {
+    const columns = JSON.parse(value);
+    return Object.fromEntries(
+      Object.entries(columns)
+        .filter(([, header]) => typeof header === 'string' && header)
+    ) as Record<string, string>;
+  } catch (error) {
+    console.error('Invalid CSV_COLUMN_MAP, expected a JSON object:', error);
+    return {};
+  }
+}
+
+// Parse LOAN_DUE_AT, e.g. 2025-03-02T17:00:00+01:00, into milliseconds
+function parseTime(value: string | undefined): number {
+  if (!value) return 0;
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    console.error(`Invalid LOAN_DUE_AT "${value}", expected an ISO date and time`);
+    return 0;
+  }
+  return time;
+}
+
+// Parse STORAGE_BACKEND, falling back to JSON files
+function parseStorageBackend(value: string | undefined): StorageBackend {
+  if (!value) return 'json';
+  if (value === 'json' || value === 'sqlite') return value;
+
+  console.error(`Invalid STORAGE_BACKEND "${value}", expected json or sqlite`);
+  return 'json';
+}
+
 const config: Config = {
   // Server Configuration
   PORT: parseInt(process.env.PORT || '3000'),
   API_PREFIX: process.env.API_PREFIX || '/hackathon',
+  // Defaults to data/ next to src/
+  DATA_DIR: process.env.DATA_DIR || '',
   
   // DigiKey API Configuration
   digikey: {
+    // "v4" is Product Information v4; "v3" is the retired Search v3 API
+    API_VERSION: process.env.DIGIKEY_API_VERSION === 'v3' ? 'v3' : 'v4',
     CLIENT_ID: process.env.DIGIKEY_CLIENT_ID || '',
     CLIENT_SECRET: process.env.DIGIKEY_CLIENT_SECRET || '',
     API_URL: process.env.DIGIKEY_API_URL || 'https://api.digikey.com',
     TOKEN_URL: process.env.DIGIKEY_TOKEN_URL || 'https://api.digikey.com/v1/oauth2/token',
+    // DigiKey allows 120 requests per minute by default
+    REQUESTS_PER_MINUTE: parseInt(process.env.DIGIKEY_REQUESTS_PER_MINUTE || '120'),
+  },
+
+  // Mouser Search API - lookups need an API key
+  mouser: {
+    API_KEY: process.env.MOUSER_API_KEY || '',
+    API_URL: process.env.MOUSER_API_URL || 'https://api.mouser.com',
+    // Mouser allows 30 requests per minute and 1000 per day
+    REQUESTS_PER_MINUTE: parseInt(process.env.MOUSER_REQUESTS_PER_MINUTE || '30'),
+  },
+
+  // LCSC product details - no key needed
+  lcsc: {
+    API_URL: process.env.LCSC_API_URL || 'https://wmsc.lcsc.com/ftps/wm',
+    REQUESTS_PER_MINUTE: parseInt(process.env.LCSC_REQUESTS_PER_MINUTE || '30'),
+  },
+
+  // Adafruit product API - no key needed
+  adafruit: {
+    API_URL: process.env.ADAFRUIT_API_URL || 'https://www.adafruit.com/api',
+    REQUESTS_PER_MINUTE: parseInt(process.env.ADAFRUIT_REQUESTS_PER_MINUTE || '30'),
+  },
+
+  // Shared by every supplier; details are cached in data/<supplier>_cache
+  suppliers: {
+    CACHE_HOURS: parseFloat(process.env.SUPPLIER_CACHE_HOURS || '168'),
+    CONCURRENCY: parseInt(process.env.SUPPLIER_CONCURRENCY || '4'),
+    MAX_RETRIES: parseInt(process.env.SUPPLIER_MAX_RETRIES || '5'),
   },
   
+  // Storage - "json" files in data/ or a "sqlite" database
+  storage: {
+    BACKEND: parseStorageBackend(process.env.STORAGE_BACKEND),
+    SQLITE_PATH: process.env.SQLITE_PATH || '',
+  },
+
+  // Reload the catalog automatically when a CSV in data/ changes
+  CATALOG_WATCH: process.env.CATALOG_WATCH === 'true',
+  // Extra CSV header names per catalog field, on top of the built-in aliases
+  CSV_COLUMN_MAP: parseColumnMap(process.env.CSV_COLUMN_MAP),
+
+  // Cart Holds - minutes a cart keeps its items set aside, 0 disables holds
+  CART_HOLD_MINUTES: parseFloat(process.env.CART_HOLD_MINUTES || '0'),
+
+  // Waitlist - "reserve" turns the next entry into an order when stock
+  // comes back, "notify" only sends a push notification
+  WAITLIST_MODE: process.env.WAITLIST_MODE === 'notify' ? 'notify' : 'reserve',
+
   // Admin Authentication - No default for security
   ADMIN_CODE: process.env.ADMIN_CODE || '',
+  SESSION_TTL_HOURS: parseFloat(process.env.SESSION_TTL_HOURS || '12'),
+  PARTICIPANT_SESSION_TTL_HOURS: parseFloat(process.env.PARTICIPANT_SESSION_TTL_HOURS || '72'),
+
+  // Pickup Tickets - signs the QR codes; a random secret is generated into
+  // the data directory when unset. A QR code stays valid for
+  // PICKUP_TICKET_HOURS after the ticket was last opened.
+  PICKUP_SECRET: process.env.PICKUP_SECRET || '',
+  PICKUP_TICKET_HOURS: parseFloat(process.env.PICKUP_TICKET_HOURS || '48'),
+
+  // Loans - equipment is due back LOAN_HOURS after checkout, but no later
+  // than LOAN_DUE_AT (the end of the hackathon) when set
+  loans: {
+    HOURS: parseFloat(process.env.LOAN_HOURS || '24'),
+    DUE_AT: parseTime(process.env.LOAN_DUE_AT),
+    REMINDER_MINUTES: parseFloat(process.env.LOAN_REMINDER_MINUTES || '30'),
+  },
+
+  // Checkout Limits - 0 or missing means unlimited
+  quotas: {
+    MAX_PER_ITEM: parseInt(process.env.QUOTA_MAX_PER_ITEM || '0'),
+    MAX_ITEMS_PER_TEAM: parseInt(process.env.QUOTA_MAX_ITEMS_PER_TEAM || '0'),
+    CATEGORY_LIMITS: parseCategoryLimits(process.env.QUOTA_CATEGORY_LIMITS),
+  },
 
   // Web Push Notification Configuration
   webpush: {
@@ -52,9 +225,10 @@ const config: Config = {
   isValid: false
 };
 
-// Validate that required config values are present
+// Validate that required config values are present. Supplier credentials are
+// optional; GET /health reports which suppliers are offline without them.
 function validateConfig(): boolean {
-  const requiredFields = ['digikey.CLIENT_ID', 'digikey.CLIENT_SECRET', 'ADMIN_CODE'];
+  const requiredFields = ['ADMIN_CODE'];
   
   for (const field of requiredFields) {
     const parts = field.split('.');
@@ -0,0 +1,171 @@
+/**
+ * Tests for the DigiKey adapter against a local mock of the DigiKey API
+ */
+
+import {
+  afterAll,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  test,
+} from "bun:test";
+import { type DigiKeyApiVersion, createDigiKeyAdapter } from "./digikey";
+import { createTestSupplierCache } from "./testSupplier";
+
+const cache = createTestSupplierCache("digikey");
+
+let mock: ReturnType<typeof Bun.serve>;
+let tokenRequests = 0;
+let productRequests: string[] = [];
+// Reject the next product request as if the token had been revoked
+let revokeToken = false;
+
+beforeAll(() => {
+  mock = Bun.serve({
+    port: 0,
+    fetch(req) {
+      const url = new URL(req.url);
+
+      if (url.pathname === "/v1/oauth2/token") {
+        tokenRequests++;
+        return Response.json({
+          access_token: `mock-token-${tokenRequests}`,
+          expires_in: 600,
+        });
+      }
+
+      const match =
+        url.pathname.match(/^\/Search\/v3\/Products\/(.+)$/) ||
+        url.pathname.match(/^\/products\/v4\/search\/(.+)\/productdetails$/);
+      const authorized = req.headers
+        .get("Authorization")
+        ?.startsWith("Bearer mock-token-");
+      if (!match || !authorized) {
+        return new Response("Not found", { status: 404 });
+      }
+      if (revokeToken) {
+        revokeToken = false;
+        return new Response("Unauthorized", { status: 401 });
+      }
+
+      const partNumber = decodeURIComponent(match[1]);
+      productRequests.push(partNumber);
+
+      if (url.pathname.startsWith("/Search/v3/")) {
+        return Response.json({
+          ProductDescription: `Part ${partNumber}`,
+          UnitPrice: 0.1,
+          Manufacturer: { Value: "Yageo" },
+          ManufacturerPartNumber: "RC0603FR-0710KL",
+          Parameters: [
+            { Parameter: "Resistance", Value: "10 kOhms" },
+            { Parameter: "Packaging", Value: "Cut Tape (CT)" },
+          ],
+        });
+      }
+
+      return Response.json({
+        Product: {
+          Description: {
+            ProductDescription: `Part ${partNumber}`,
+            DetailedDescription: "10 kOhms ±1% 0.1W Chip Resistor",
+          },
+          Manufacturer: { Id: 13, Name: "Yageo" },
+          ManufacturerProductNumber: "RC0603FR-0710KL",
+          UnitPrice: 0.1,
+          PhotoUrl: "https://example.com/photo.jpg",
+          DatasheetUrl: "https://example.com/datasheet.pdf",
+          Category: { CategoryId: 2, Name: "Resistors" },
+          Parameters: [
+            { ParameterText: "Resistance", ValueText: "10 kOhms" },
+            { ParameterText: "Tolerance", ValueText: "±1%" },
+            {
+              ParameterText: "Package / Case",
+              ValueText: "0603 (1608 Metric)",
+            },
+            { ParameterText: "Packaging", ValueText: "Cut Tape (CT)" },
+            { ParameterText: "Composition", ValueText: "-" },
+          ],
+        },
+      });
+    },
+  });
+});
+
+afterAll(() => {
+  mock.stop(true);
+  cache.remove();
+});
+
+beforeEach(() => {
+  tokenRequests = 0;
+  productRequests = [];
+});
+
+function createClient(apiVersion: DigiKeyApiVersion = "v4") {
+  const adapter = createDigiKeyAdapter({
+    apiVersion,
+    clientId: "client",
+    clientSecret: "secret",
+    apiUrl: `http://localhost:${mock.port}`,
+    tokenUrl: `http://localhost:${mock.port}/v1/oauth2/token`,
+  });
+
+  return cache.createClient(adapter);
+}
+
+describe("DigiKey adapter", () => {
+  test("maps v4 details and parametric attributes", async () => {
+    const client = createClient();
+    const product = client.adapter.normalize(await client.lookup("RES-10K"));
+
+    expect(product).toEqual({
+      name: "Part RES-10K",
+      description: "10 kOhms ±1% 0.1W Chip Resistor",
+      price: 0.1,
+      imageUrl: "https://example.com/photo.jpg",
+      datasheet: "https://example.com/datasheet.pdf",
+      category: "Resistors",
+      manufacturer: "Yageo",
+      manufacturerPartNumber: "RC0603FR-0710KL",
+      attributes: {
+        Resistance: "10 kOhms",
+        Tolerance: "±1%",
+        "Package / Case": "0603 (1608 Metric)",
+      },
+    });
+  });
+
+  test("still reads the v3 API and entries cached from it", async () => {
+    const client = createClient("v3");
+    const entry = await client.lookup("RES-10K");
+    expect(productRequests).toEqual(["RES-10K"]);
+
+    // Entries cached before versions were recorded came from v3
+    const product = client.adapter.normalize({ ...entry, version: undefined });
+    expect(product.name).toBe("Part RES-10K");
+    expect(product.manufacturer).toBe("Yageo");
+    expect(product.attributes).toEqual({ Resistance: "10 kOhms" });
+  });
+
+  test("shares one token between concurrent lookups", async () => {
+    const client = createClient();
+
+    await Promise.all(
+      Array.from({ length: 6 }, (_, i) => client.lookup(`RES-${i}`)),
+    );
+    expect(productRequests.length).toBe(6);
+    expect(tokenRequests).toBe(1);
+  });
+
+  test("gets a new token when the old one is rejected", async () => {
+    const client = createClient();
+    await client.lookup("RES-A");
+
+    revokeToken = true;
+    await client.lookup("RES-B");
+    expect(productRequests).toEqual(["RES-A", "RES-B"]);
+    expect(tokenRequests).toBe(2);
+  });
+});
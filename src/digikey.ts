@@ -0,0 +1,150 @@
+/**
+ * DigiKey supplier adapter for the Hackathon Hardware Store Server
+ * Supports the legacy Search v3 API and Product Information v4, both
+ * authenticated with an OAuth client credentials token
+ */
+
+import type {
+  SupplierAdapter,
+  SupplierCacheEntry,
+  SupplierProduct,
+} from "./supplier";
+import { collectAttributes, supplierFetch } from "./supplier";
+
+export type DigiKeyApiVersion = "v3" | "v4";
+
+export interface DigiKeyOptions {
+  apiVersion: DigiKeyApiVersion;
+  clientId: string;
+  clientSecret: string;
+  apiUrl: string;
+  tokenUrl: string;
+}
+
+type Json = Record<string, any>;
+
+const PRODUCT_PATHS: Record<DigiKeyApiVersion, (partNumber: string) => string> =
+  {
+    v3: (partNumber) => `/Search/v3/Products/${partNumber}`,
+    v4: (partNumber) => `/products/v4/search/${partNumber}/productdetails`,
+  };
+
+// Maps a cached response onto the fields the catalog uses. Entries cached
+// before versions were recorded came from v3.
+export function normalizeDigiKeyProduct(
+  entry: SupplierCacheEntry,
+): SupplierProduct {
+  const raw = entry.product as Json;
+
+  if (entry.version === "v4") {
+    const product: Json = raw.Product || {};
+    return {
+      name: product.Description?.ProductDescription,
+      description: product.Description?.DetailedDescription,
+      price: product.UnitPrice || undefined,
+      imageUrl: product.PhotoUrl,
+      datasheet: product.DatasheetUrl,
+      category: product.Category?.Name,
+      manufacturer: product.Manufacturer?.Name,
+      manufacturerPartNumber: product.ManufacturerProductNumber,
+      attributes: collectAttributes(
+        product.Parameters,
+        "ParameterText",
+        "ValueText",
+      ),
+    };
+  }
+
+  return {
+    name: raw.ProductDescription,
+    description: raw.DetailedDescription,
+    price: raw.UnitPrice || undefined,
+    imageUrl: raw.PrimaryPhoto,
+    datasheet: raw.PrimaryDatasheet,
+    category: raw.CategoryName || raw.Category?.Value,
+    manufacturer: raw.Manufacturer?.Value,
+    manufacturerPartNumber: raw.ManufacturerPartNumber,
+    attributes: collectAttributes(raw.Parameters, "Parameter", "Value"),
+  };
+}
+
+export function createDigiKeyAdapter(options: DigiKeyOptions): SupplierAdapter {
+  let accessToken: string | null = null;
+  let tokenExpiry = 0;
+  let tokenRequest: Promise<string> | null = null;
+
+  const requestToken = async (): Promise<string> => {
+    console.log("Requesting new DigiKey API token...");
+
+    const response = await supplierFetch(options.tokenUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: new URLSearchParams({
+        client_id: options.clientId,
+        client_secret: options.clientSecret,
+        grant_type: "client_credentials",
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `Token request failed: ${response.status} ${response.statusText}`,
+      );
+    }
+
+    const data = await response.json();
+    accessToken = data.access_token as string;
+    tokenExpiry = Date.now() + data.expires_in * 1000;
+
+    console.log(`Token acquired, expires in ${data.expires_in} seconds`);
+    return accessToken;
+  };
+
+  // Concurrent lookups share one token request
+  const getToken = (): Promise<string> => {
+    if (accessToken && Date.now() < tokenExpiry - 60000) {
+      return Promise.resolve(accessToken);
+    }
+    if (!tokenRequest) {
+      tokenRequest = requestToken().finally(() => {
+        tokenRequest = null;
+      });
+    }
+    return tokenRequest;
+  };
+
+  return {
+    id: "digikey",
+    name: "DigiKey",
+    configured: Boolean(options.clientId && options.clientSecret),
+    version: options.apiVersion,
+
+    async request(partNumber: string) {
+      const token = await getToken();
+      return supplierFetch(
+        options.apiUrl +
+          PRODUCT_PATHS[options.apiVersion](encodeURIComponent(partNumber)),
+        {
+          method: "GET",
+          headers: {
+            Authorization: `Bearer ${token}`,
+            "X-DIGIKEY-Client-Id": options.clientId,
+          },
+        },
+      );
+    },
+
+    unauthorized() {
+      accessToken = null;
+    },
+
+    // DigiKey answers unknown parts with a 404, so any success is the part
+    extract(body: unknown) {
+      return body as Record<string, unknown>;
+    },
+
+    normalize: normalizeDigiKeyProduct,
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Tests for the Server-Sent Events hub
+ */
+
+import { describe, expect, test } from "bun:test";
+import { createEventHub } from "./events";
+
+const decoder = new TextDecoder();
+
+async function read(
+  reader: ReadableStreamDefaultReader<Uint8Array>,
+): Promise<string> {
+  const { value } = await reader.read();
+  return decoder.decode(value);
+}
+
+describe("event hub", () => {
+  test("sends events to the clients that accept them", async () => {
+    const hub = createEventHub<{ admin: boolean }>();
+    const admin = hub.connect({ admin: true }).body!.getReader();
+    const guest = hub.connect({ admin: false }).body!.getReader();
+    expect(hub.size).toBe(2);
+    expect(await read(admin)).toBe("retry: 3000\n\n");
+    expect(await read(guest)).toBe("retry: 3000\n\n");
+
+    hub.publish("order", { id: "a1" }, (client) => client.admin);
+    hub.publish("stock", { id: "led", stock: 4 });
+
+    expect(await read(admin)).toBe('event: order\ndata: {"id":"a1"}\n\n');
+    expect(await read(admin)).toBe(
+      'event: stock\ndata: {"id":"led","stock":4}\n\n',
+    );
+    expect(await read(guest)).toBe(
+      'event: stock\ndata: {"id":"led","stock":4}\n\n',
+    );
+
+    await admin.cancel();
+    await guest.cancel();
+  });
+
+  test("drops clients that disconnect", async () => {
+    const hub = createEventHub<null>();
+    const controller = new AbortController();
+    const first = hub.connect(null, controller.signal).body!.getReader();
+    const second = hub.connect(null).body!.getReader();
+
+    controller.abort();
+    expect(hub.size).toBe(1);
+    await second.cancel();
+    expect(hub.size).toBe(0);
+
+    // Publishing with nobody listening is a no-op
+    hub.publish("stock", {});
+    await first.cancel();
+  });
+
+  test("keeps idle streams open with comments", async () => {
+    const hub = createEventHub<null>({ keepAlive: 10 });
+    const reader = hub.connect(null).body!.getReader();
+    await read(reader);
+
+    expect(await read(reader)).toBe(": ping\n\n");
+    await reader.cancel();
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Server-Sent Events for the Hackathon Hardware Store Server
+ * Streams order and stock changes to the storefront, order page and admin panel
+ */
+
+export interface EventHub<C> {
+  // Opens a stream for one browser. It is dropped when the browser
+  // disconnects or `signal` aborts.
+  connect(client: C, signal?: AbortSignal): Response;
+  // Sends an event to every connected client that `accept` allows
+  publish(event: string, data: unknown, accept?: (client: C) => boolean): void;
+  // Number of connected clients
+  readonly size: number;
+}
+
+export interface EventHubOptions {
+  headers?: Record<string, string>;
+  // Comment lines sent this often keep idle connections open. Bun closes
+  // connections that are idle for 10 seconds by default.
+  keepAlive?: number;
+  // How long browsers wait before reconnecting after losing the stream
+  retry?: number;
+}
+
+const encoder = new TextEncoder();
+
+export function createEventHub<C>(options: EventHubOptions = {}): EventHub<C> {
+  const keepAlive = options.keepAlive ?? 8000;
+  const clients = new Map<ReadableStreamDefaultController<Uint8Array>, C>();
+  let timer: ReturnType<typeof setInterval> | null = null;
+
+  function send(
+    controller: ReadableStreamDefaultController<Uint8Array>,
+    text: string,
+  ): void {
+    try {
+      controller.enqueue(encoder.encode(text));
+    } catch {
+      // The stream closed between the disconnect and its cleanup
+      drop(controller);
+    }
+  }
+
+  function drop(controller: ReadableStreamDefaultController<Uint8Array>) {
+    if (!clients.delete(controller)) return;
+    try {
+      controller.close();
+    } catch {
+      // Already closed by the browser
+    }
+
+    if (clients.size === 0 && timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    connect(client, signal) {
+      let controller!: ReadableStreamDefaultController<Uint8Array>;
+      const stream = new ReadableStream<Uint8Array>({
+        start(streamController) {
+          controller = streamController;
+          clients.set(controller, client);
+          send(controller, `retry: ${options.retry ?? 3000}\n\n`);
+
+          timer ??= setInterval(() => {
+            for (const open of [...clients.keys()]) send(open, ": ping\n\n");
+          }, keepAlive);
+        },
+        cancel() {
+          drop(controller);
+        },
+      });
+      signal?.addEventListener("abort", () => drop(controller));
+
+      return new Response(stream, {
+        headers: {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+          ...options.headers,
+        },
+      });
+    },
+
+    publish(event, data, accept) {
+      if (clients.size === 0) return;
+
+      const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+      for (const [controller, client] of [...clients]) {
+        if (!accept || accept(client)) send(controller, message);
+      }
+    },
+
+    get size() {
+      return clients.size;
+    },
+  };
+}
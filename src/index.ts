@@ -4,28 +4,138 @@ import webpush from "web-push";
 import csv from "csv-parser";
 import { Readable } from "node:stream";
 import * as fs from "node:fs";
-import { mkdir } from "node:fs/promises";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { createHash, randomBytes } from "node:crypto";
 
 // Import TypeScript config
 import config from "./config";
+import {
+  ORDER_STATUSES,
+  type OrderStatus,
+  canTransition,
+  isOrderStatus,
+  normalizeOrderStatus,
+} from "./orderStatus";
+import {
+  ROLES,
+  type Permission,
+  type Role,
+  hasPermission,
+  isRole,
+} from "./roles";
+import {
+  type CatalogRow,
+  type RowError,
+  parseCatalogRows,
+} from "./catalogImport";
+import {
+  catalogFacets,
+  parseCatalogQuery,
+  relatedItems,
+  searchCatalog,
+} from "./catalogSearch";
+import { type Storage, createStorage } from "./storage";
+import { createEventHub } from "./events";
+import {
+  type BackorderPlan,
+  type OrderEditPlan,
+  planBackorder,
+  planOrderEdit,
+  planReturn,
+} from "./orderEdit";
+import {
+  createPickupToken,
+  pickupQrSvg,
+  renderTicketPage,
+  verifyPickupToken,
+} from "./pickup";
+import {
+  type Loan,
+  type LoanPolicy,
+  defaultDue,
+  describeDuration,
+  isOverdue,
+  loanAlerts,
+  parseDue,
+} from "./loans";
+import {
+  type SupplierAdapter,
+  type SupplierCacheEntry,
+  type SupplierClient,
+  createSupplierClient,
+} from "./supplier";
+import { createDigiKeyAdapter } from "./digikey";
+import { createMouserAdapter } from "./mouser";
+import { createLcscAdapter } from "./lcsc";
+import { createAdafruitAdapter } from "./adafruit";
 
-const PORT = config.PORT || 3000;
+// Port 0 lets the system pick a free port, as the tests do
+const PORT = Number.isNaN(config.PORT) ? 3000 : config.PORT;
 
 // Path constants
-const DATA_DIR = join(import.meta.dir, "..", "data");
-const ITEMS_PATH = join(DATA_DIR, "items.json");
-const ITEMS_CACHE_PATH = join(DATA_DIR, "items_cache.json");
-const ORDERS_PATH = join(DATA_DIR, "orders.json");
-const SUBSCRIPTIONS_PATH = join(DATA_DIR, "subscriptions.json");
-const DIGIKEY_CSV_PATH = join(DATA_DIR, "digikey.csv");
+const DATA_DIR = config.DATA_DIR || join(import.meta.dir, "..", "data");
+const SQLITE_PATH =
+  config.storage.SQLITE_PATH || join(DATA_DIR, "store.sqlite");
 const CUSTOM_CSV_PATH = join(DATA_DIR, "custom.csv");
+const PICKUP_SECRET_PATH = join(DATA_DIR, "pickup_secret");
 const PUBLIC_DIR = join(import.meta.dir, "public");
 
-// DigiKey API credentials from config
-const DIGIKEY_CLIENT_ID = config.digikey.CLIENT_ID;
-const DIGIKEY_CLIENT_SECRET = config.digikey.CLIENT_SECRET;
-const DIGIKEY_API_URL = config.digikey.API_URL;
-const TOKEN_URL = config.digikey.TOKEN_URL;
+// Supplier API clients, shared by catalog builds and the enrichment job.
+// Each supplier's parts are listed in data/<id>.csv.
+function createClient(
+  adapter: SupplierAdapter,
+  requestsPerMinute: number,
+): SupplierClient {
+  return createSupplierClient(adapter, {
+    cacheDir: join(DATA_DIR, `${adapter.id}_cache`),
+    cacheTtl: config.suppliers.CACHE_HOURS * 60 * 60 * 1000,
+    concurrency: config.suppliers.CONCURRENCY,
+    requestsPerMinute,
+    maxRetries: config.suppliers.MAX_RETRIES,
+  });
+}
+
+const suppliers: SupplierClient[] = [
+  createClient(
+    createDigiKeyAdapter({
+      apiVersion: config.digikey.API_VERSION,
+      clientId: config.digikey.CLIENT_ID,
+      clientSecret: config.digikey.CLIENT_SECRET,
+      apiUrl: config.digikey.API_URL,
+      tokenUrl: config.digikey.TOKEN_URL,
+    }),
+    config.digikey.REQUESTS_PER_MINUTE,
+  ),
+  createClient(
+    createMouserAdapter({
+      apiKey: config.mouser.API_KEY,
+      apiUrl: config.mouser.API_URL,
+    }),
+    config.mouser.REQUESTS_PER_MINUTE,
+  ),
+  createClient(
+    createLcscAdapter({ apiUrl: config.lcsc.API_URL }),
+    config.lcsc.REQUESTS_PER_MINUTE,
+  ),
+  createClient(
+    createAdafruitAdapter({ apiUrl: config.adafruit.API_URL }),
+    config.adafruit.REQUESTS_PER_MINUTE,
+  ),
+];
+
+function supplierCsvPath(supplier: SupplierClient): string {
+  return join(DATA_DIR, `${supplier.adapter.id}.csv`);
+}
+
+function findSupplier(name: string): SupplierClient | undefined {
+  return suppliers.find((supplier) => supplier.adapter.name === name);
+}
+
+// A supplier without credentials is offline: its items keep their CSV
+// details, plus any details cached before, and are never looked up
+function offlineMessage(supplier: SupplierClient): string {
+  return `${supplier.adapter.name} API credentials are not configured; using CSV details`;
+}
 
 // Web Push configuration
 const vapidKeys = {
@@ -34,7 +144,8 @@ const vapidKeys = {
 };
 
 // If VAPID keys not set, generate them as fallback
-if (!vapidKeys.publicKey || !vapidKeys.privateKey) {
+const vapidKeysGenerated = !vapidKeys.publicKey || !vapidKeys.privateKey;
+if (vapidKeysGenerated) {
   console.warn(
     "VAPID keys not found in configuration! Generating temporary keys...",
   );
@@ -49,10 +160,6 @@ webpush.setVapidDetails(
   vapidKeys.privateKey,
 );
 
-// DigiKey token management
-let digikeyAccessToken: string | null = null;
-let tokenExpiry = 0;
-
 // Store data
 interface Item {
   id: string;
@@ -66,16 +173,49 @@ interface Item {
   datasheet: string;
   supplier: string;
   partNumber: string;
+  manufacturer?: string;
+  manufacturerPartNumber?: string;
+  // Package / case and parametric values such as "Resistance": "10 kOhms"
+  attributes?: Record<string, string>;
+  // Where the item came from; catalog reloads only remove "csv" items
+  source?: "csv" | "manual";
+  // Stock figure from the CSV at the last import, to detect CSV edits
+  importedStock?: number;
+  // Fields changed in the admin panel, which catalog reloads leave alone
+  editedFields?: string[];
+  // Set on supplier catalog items. Unenriched items show their CSV details.
+  enrichment?: ItemEnrichment;
+  // Equipment lent out and handed back, one unit per serial or asset tag
+  loanable?: boolean;
+  units?: string[];
+}
+
+interface ItemEnrichment {
+  status: "enriched" | "unenriched";
+  // Why the last lookup failed
+  error?: string;
+  // When the supplier details were fetched or the lookup failed
+  updated?: number;
 }
 
 interface Order {
   id: string;
   username: string;
+  participantId?: string;
   items: OrderItem[];
-  status: string;
+  status: OrderStatus;
   notes: OrderNote[];
+  statusHistory: StatusHistoryEntry[];
+  // Item changes admins made after the order was placed
+  edits?: OrderEdit[];
+  // The order this one was split off as a backorder, and those split off it
+  backorderOf?: string;
+  backorders?: string[];
+  // Lines restocked when the order was returned; unset means every line
+  returnedItems?: OrderItem[];
   created: number;
   updated: number;
+  updatedBy?: string;
 }
 
 interface OrderItem {
@@ -87,6 +227,43 @@ interface OrderItem {
 
 interface OrderNote {
   text: string;
+  author?: string;
+  timestamp: number;
+}
+
+interface OrderEdit {
+  // What changed, e.g. "Red LED: 10 → 8"
+  changes: string[];
+  actor: string;
+  note: string;
+  timestamp: number;
+}
+
+interface StatusHistoryEntry {
+  from: OrderStatus | null;
+  status: OrderStatus;
+  actor: string;
+  note: string;
+  timestamp: number;
+}
+
+type StockMovementType =
+  | "reservation"
+  | "return"
+  | "adjustment"
+  | "restock"
+  | "import";
+
+interface StockMovement {
+  id: string;
+  itemId: string;
+  type: StockMovementType;
+  delta: number;
+  // Stock level right after this movement
+  balance: number;
+  reason: string;
+  orderId?: string;
+  actor: string;
   timestamp: number;
 }
 
@@ -96,90 +273,144 @@ interface PushSubscription {
   timestamp: number;
 }
 
+interface AdminUser {
+  id: string;
+  username: string;
+  name: string;
+  role: Role;
+  passwordHash: string;
+  disabled: boolean;
+  created: number;
+  updated: number;
+}
+
+interface Session {
+  id: string;
+  userId: string;
+  created: number;
+  expires: number;
+  lastSeen: number;
+}
+
+interface Participant {
+  id: string;
+  // Email address or team name, stored lower-case
+  handle: string;
+  name: string;
+  codeHash: string;
+  created: number;
+}
+
+interface ParticipantSession {
+  id: string;
+  participantId: string;
+  created: number;
+  expires: number;
+}
+
+// Failed sign-ins for one account since `since`
+interface LoginFailures {
+  count: number;
+  since: number;
+}
+
+// Set up by startServer from config.storage
+let storage: Storage;
+
 let allItems: Item[] = [];
 let orders: Record<string, Order> = {};
 let pushSubscriptions: Record<string, PushSubscription> = {};
+let stockLedger: StockMovement[] = [];
+// Movements shown in the item page's stock sparkline
+const STOCK_HISTORY_POINTS = 50;
 
-// API Prefix
-const API_PREFIX = config.API_PREFIX;
+// Stock a storefront cart has set aside until `expires`, keyed by a cart ID
+// the browser generates
+interface CartHold {
+  id: string;
+  items: { id: string; quantity: number }[];
+  // "participant:<id>" or "user:<id>" of whoever set the hold
+  owner: string;
+  created: number;
+  expires: number;
+}
 
-// CORS headers
-const corsHeaders = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization",
-};
+// Signed-in participant or admin user a cart hold is made for
+interface CartHoldClient {
+  owner: string;
+  participantId?: string;
+  username: string;
+}
 
-// Function to get DigiKey access token
-async function getDigiKeyAccessToken(): Promise<string> {
-  // Return existing token if still valid
-  if (digikeyAccessToken && Date.now() < tokenExpiry - 60000) {
-    return digikeyAccessToken;
-  }
+let cartHolds: Record<string, CartHold> = {};
+const CART_HOLD_TTL = config.CART_HOLD_MINUTES * 60 * 1000;
+// Carts one client can hold at once, e.g. one per device
+const MAX_CART_HOLDS_PER_CLIENT = 3;
 
-  try {
-    console.log("Requesting new DigiKey API token...");
+type WaitlistStatus = "waiting" | "reserved" | "notified";
 
-    const response = await fetch(TOKEN_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-      body: new URLSearchParams({
-        client_id: DIGIKEY_CLIENT_ID,
-        client_secret: DIGIKEY_CLIENT_SECRET,
-        grant_type: "client_credentials",
-      }),
-    });
+interface WaitlistEntry {
+  id: string;
+  itemId: string;
+  quantity: number;
+  username: string;
+  participantId?: string;
+  status: WaitlistStatus;
+  // Place in the item's queue, lowest first
+  position: number;
+  // Order created for the entry in reserve mode
+  orderId?: string;
+  created: number;
+  updated: number;
+}
 
-    if (!response.ok) {
-      throw new Error(
-        `Token request failed: ${response.status} ${response.statusText}`,
-      );
-    }
+let waitlist: Record<string, WaitlistEntry> = {};
 
-    const data = await response.json();
-    digikeyAccessToken = data.access_token;
-    tokenExpiry = Date.now() + data.expires_in * 1000;
+let loans: Record<string, Loan> = {};
 
-    console.log(`Token acquired, expires in ${data.expires_in} seconds`);
-    return digikeyAccessToken as string;
-  } catch (error) {
-    console.error("Error getting DigiKey token:", error);
-    throw new Error("Failed to authenticate with DigiKey API");
-  }
-}
+const LOAN_POLICY: LoanPolicy = {
+  hours: config.loans.HOURS,
+  dueAt: config.loans.DUE_AT,
+  reminderMinutes: config.loans.REMINDER_MINUTES,
+};
 
-// Function to fetch product details from DigiKey API
-async function fetchDigiKeyProductDetails(
-  partNumber: string,
-): Promise<Record<string, unknown> | null> {
-  try {
-    const token = await getDigiKeyAccessToken();
+let users: Record<string, AdminUser> = {};
+let participants: Record<string, Participant> = {};
+let participantSessions: Record<string, ParticipantSession> = {};
+// Keyed by participant ID and by lowercased admin username; kept in
+// memory only
+const participantLoginFailures = new Map<string, LoginFailures>();
+const adminLoginFailures = new Map<string, LoginFailures>();
+// Keyed by SHA-256 of the session token so the file never holds usable tokens
+let sessions: Record<string, Session> = {};
 
-    const response = await fetch(
-      `${DIGIKEY_API_URL}/Search/v3/Products/${partNumber}`,
-      {
-        method: "GET",
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "X-DIGIKEY-Client-Id": DIGIKEY_CLIENT_ID,
-        },
-      },
-    );
+const SESSION_COOKIE = "admin_session";
+const SESSION_TTL = config.SESSION_TTL_HOURS * 60 * 60 * 1000;
+const PARTICIPANT_COOKIE = "participant_session";
+const PARTICIPANT_SESSION_TTL =
+  config.PARTICIPANT_SESSION_TTL_HOURS * 60 * 60 * 1000;
+// An account is locked out for a while after a few wrong passwords or
+// magic codes, so they cannot be guessed
+const LOGIN_ATTEMPTS = 5;
+const LOGIN_LOCKOUT = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+// Checked against when the username is unknown, so that a login takes as
+// long whether or not the account exists
+const DUMMY_PASSWORD_HASH = Bun.password.hash(randomBytes(16).toString("hex"));
 
-    if (!response.ok) {
-      throw new Error(
-        `API request failed: ${response.status} ${response.statusText}`,
-      );
-    }
+// Signs pickup tickets; set by loadPickupSecret when the server starts
+let pickupSecret = "";
+const PICKUP_TICKET_TTL = config.PICKUP_TICKET_HOURS * 60 * 60 * 1000;
 
-    return await response.json();
-  } catch (error) {
-    console.error(`Error fetching data for ${partNumber}:`, error);
-    return null;
-  }
-}
+// API Prefix
+const API_PREFIX = config.API_PREFIX;
+
+// CORS headers
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+};
 
 // Function to load CSV data into memory using Bun
 async function parseCsvFile(
@@ -204,131 +435,178 @@ async function parseCsvFile(
   });
 }
 
-// Function to load all data
-async function loadData() {
-  console.log("Loading data...");
+interface CatalogImport {
+  items: Item[];
+  errors: RowError[];
+  // SKUs listed in any file, even on rows that were skipped
+  skus: Set<string>;
+  // Column mapping used for each file
+  files: Record<string, { columns: Record<string, string>; ignored: string[] }>;
+}
 
-  try {
-    // Ensure data directory exists
-    await mkdir(DATA_DIR, { recursive: true });
+// Builds catalog items from the supplier CSV files
+async function buildItemsFromCsv(): Promise<CatalogImport> {
+  const result: CatalogImport = {
+    items: [],
+    errors: [],
+    skus: new Set(),
+    files: {},
+  };
+  const seen = new Map<string, { file: string; row: number }>();
 
-    // Try to load from cache first
-    const cacheFile = Bun.file(ITEMS_CACHE_PATH);
-    if (await cacheFile.exists()) {
-      const cacheContent = await cacheFile.json();
+  const [customRecords, ...supplierRecords] = await Promise.all([
+    parseCsvFile(CUSTOM_CSV_PATH),
+    ...suppliers.map((supplier) => parseCsvFile(supplierCsvPath(supplier))),
+  ]);
 
-      // Check if cache is fresh (less than 24 hours old)
-      if (
-        cacheContent.timestamp &&
-        Date.now() - cacheContent.timestamp < 24 * 60 * 60 * 1000
-      ) {
-        console.log("Using cached items data");
-        allItems = cacheContent.items;
-        return;
-      }
-    }
+  const parseFile = (path: string, records: Record<string, string>[]) => {
+    const file = path.slice(DATA_DIR.length + 1);
+    const parsed = parseCatalogRows(file, records, config.CSV_COLUMN_MAP, seen);
+    result.errors.push(...parsed.errors);
+    parsed.skus.forEach((sku) => result.skus.add(sku));
+    result.files[file] = {
+      columns: parsed.columns,
+      ignored: parsed.ignored,
+    };
+    return parsed.rows;
+  };
 
-    // Try to load existing items
-    const itemsFile = Bun.file(ITEMS_PATH);
-    if (await itemsFile.exists()) {
-      allItems = await itemsFile.json();
-      console.log(`Loaded ${allItems.length} items from items.json`);
-    } else {
-      // Load from CSV files if items.json doesn't exist
-      const [digikeyItems, customItems] = await Promise.all([
-        parseCsvFile(DIGIKEY_CSV_PATH),
-        parseCsvFile(CUSTOM_CSV_PATH),
-      ]);
-
-      console.log(
-        `Loaded ${digikeyItems.length} DigiKey items and ${customItems.length} custom items`,
-      );
+  // Custom items come first so a part listed in several files keeps the
+  // hand-written details and the supplier's row is reported as a duplicate
+  const customRows = parseFile(CUSTOM_CSV_PATH, customRecords);
+  const counts: string[] = [];
 
-      // Process DigiKey items
-      for (const item of digikeyItems) {
-        if (!item.sku) continue;
+  // Supplier items use whatever details the enrichment job has cached, so
+  // building the catalog never waits on an API
+  suppliers.forEach((supplier, index) => {
+    const rows = parseFile(supplierCsvPath(supplier), supplierRecords[index]);
+    if (rows.length > 0) {
+      counts.push(`${rows.length} ${supplier.adapter.name}`);
+    }
+    for (const row of rows) {
+      result.items.push(
+        buildSupplierItem(supplier, row, supplier.cached(row.sku)),
+      );
+    }
+  });
 
-        try {
-          const details = await fetchDigiKeyProductDetails(item.sku);
-          if (details) {
-            allItems.push({
-              id: item.sku,
-              name:
-                (details.ProductDescription as string) || item.name || item.sku,
-              description:
-                (details.DetailedDescription as string) ||
-                item.description ||
-                "",
-              price:
-                Number.parseFloat(item.price) ||
-                (details.UnitPrice as number) ||
-                0,
-              stock: Number.parseInt(item.stock) || 10,
-              imageUrl: (details.PrimaryPhoto as string) || item.imageUrl || "",
-              category:
-                item.category ||
-                (details.CategoryName as string) ||
-                "Components",
-              tags: (item.tags || "")
-                .split(",")
-                .map((tag: string) => tag.trim()),
-              datasheet:
-                (details.PrimaryDatasheet as string) || item.datasheet || "",
-              supplier: "DigiKey",
-              partNumber: item.sku,
-            });
-          }
-        } catch (error) {
-          console.error(`Error processing DigiKey item ${item.sku}:`, error);
-        }
-      }
+  console.log(
+    `Loaded ${[...counts, `${customRows.length} custom`].join(", ")} items`,
+  );
 
-      // Process custom items
-      for (const item of customItems) {
-        if (!item.sku) continue;
-
-        allItems.push({
-          id: item.sku,
-          name: item.name || item.sku,
-          description: item.description || "",
-          price: Number.parseFloat(item.price) || 0,
-          stock: Number.parseInt(item.stock) || 10,
-          imageUrl: item.imageUrl || "",
-          category: item.category || "Components",
-          tags: (item.tags || "").split(",").map((tag: string) => tag.trim()),
-          datasheet: item.datasheet || "",
-          supplier: item.supplier || "Custom",
-          partNumber: item.sku,
-        });
-      }
+  // Process custom items
+  for (const row of customRows) {
+    result.items.push({
+      id: row.sku,
+      name: row.name || row.sku,
+      description: row.description || "",
+      price: row.price ?? 0,
+      stock: row.stock ?? 10,
+      imageUrl: row.imageUrl || "",
+      category: row.category || "Components",
+      tags: row.tags,
+      datasheet: row.datasheet || "",
+      supplier: row.supplier || "Custom",
+      partNumber: row.sku,
+      manufacturer: row.manufacturer,
+    });
+  }
 
-      // Save the processed items
-      await Bun.write(ITEMS_PATH, JSON.stringify(allItems, null, 2));
-      console.log(`Saved ${allItems.length} items to items.json`);
-    }
+  for (const item of result.items) {
+    item.source = "csv";
+    item.importedStock = item.stock;
+  }
 
-    // Save to cache
-    await Bun.write(
-      ITEMS_CACHE_PATH,
-      JSON.stringify(
-        {
-          timestamp: Date.now(),
-          items: allItems,
-        },
-        null,
-        2,
-      ),
+  for (const error of result.errors) {
+    console.warn(
+      `Skipped ${error.file} row ${error.row}${error.sku ? ` (${error.sku})` : ""}: ${error.message}`,
     );
+  }
+
+  return result;
+}
+
+// Combines a supplier CSV row with the supplier's product details. The
+// supplier's descriptions, photo and datasheet win; price and category from
+// the CSV win.
+function buildSupplierItem(
+  supplier: SupplierClient,
+  row: CatalogRow,
+  details: SupplierCacheEntry | null,
+): Item {
+  const product = details
+    ? supplier.adapter.normalize(details)
+    : { attributes: {} };
+
+  return {
+    id: row.sku,
+    name: product.name || row.name || row.sku,
+    description: product.description || row.description || "",
+    price: row.price ?? (product.price || 0),
+    stock: row.stock ?? 10,
+    imageUrl: product.imageUrl || row.imageUrl || "",
+    category: row.category || product.category || "Components",
+    tags: row.tags,
+    datasheet: product.datasheet || row.datasheet || "",
+    supplier: supplier.adapter.name,
+    partNumber: row.sku,
+    manufacturer: product.manufacturer || row.manufacturer,
+    manufacturerPartNumber: product.manufacturerPartNumber,
+    attributes: product.attributes,
+    enrichment: details
+      ? { status: "enriched", updated: details.fetched }
+      : supplier.adapter.configured
+        ? { status: "unenriched" }
+        : { status: "unenriched", error: offlineMessage(supplier) },
+  };
+}
+
+// Reads one supplier's CSV on its own, for enriching items already in the
+// catalog
+async function readSupplierRows(
+  supplier: SupplierClient,
+): Promise<Map<string, CatalogRow>> {
+  const parsed = parseCatalogRows(
+    `${supplier.adapter.id}.csv`,
+    await parseCsvFile(supplierCsvPath(supplier)),
+    config.CSV_COLUMN_MAP,
+  );
+  return new Map(parsed.rows.map((row) => [row.sku, row]));
+}
+
+// Without PICKUP_SECRET a random key is kept in the data directory, so
+// tickets stay valid across restarts
+async function loadPickupSecret(): Promise<string> {
+  if (config.PICKUP_SECRET) return config.PICKUP_SECRET;
+
+  const saved = await readFile(PICKUP_SECRET_PATH, "utf8").catch(() => "");
+  if (saved.trim()) return saved.trim();
+
+  const secret = randomBytes(32).toString("hex");
+  await writeFile(PICKUP_SECRET_PATH, secret, { mode: 0o600 });
+  console.log(`Generated a pickup ticket secret in ${PICKUP_SECRET_PATH}`);
+  return secret;
+}
+
+// Function to load all data
+async function loadData() {
+  console.log("Loading data...");
 
-    // Load orders if exist
-    const ordersFile = Bun.file(ORDERS_PATH);
-    if (await ordersFile.exists()) {
-      orders = await ordersFile.json();
-      console.log(`Loaded ${Object.keys(orders).length} orders`);
+  try {
+    allItems = [...(await storage.load<Item>("items")).values()];
+    if (allItems.length > 0) {
+      console.log(`Loaded ${allItems.length} items`);
+      return;
     }
 
-    // Load subscriptions if exist
-    await loadSubscriptions();
+    // First start: build the catalog from the CSV files
+    allItems = (await buildItemsFromCsv()).items;
+    storage.transaction(() => {
+      for (const item of allItems) {
+        storage.put("items", item.id, item);
+      }
+    });
+    console.log(`Saved ${allItems.length} items`);
   } catch (error) {
     console.error("Error loading data:", error);
     throw error;
@@ -336,7 +614,44 @@ async function loadData() {
 }
 
 // Inventory management functions
-function checkOrderStock(cart: { id: string; quantity: number }[]): {
+// Validates the cart from an order request. Lines for the same item are
+// merged so that stock and limits are checked against the total quantity.
+function parseCart(cart: unknown): {
+  cart: { id: string; quantity: number }[];
+  errors: string[];
+} {
+  if (!Array.isArray(cart) || cart.length === 0) {
+    return { cart: [], errors: ["Cart is empty"] };
+  }
+
+  const errors: string[] = [];
+  const quantities = new Map<string, number>();
+
+  cart.forEach((line, index) => {
+    const { id, quantity } = line || {};
+    if (typeof id !== "string" || !id) {
+      errors.push(`Line ${index + 1}: missing item id`);
+    } else if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(
+        `Line ${index + 1}: quantity must be a whole number of at least 1`,
+      );
+    } else {
+      quantities.set(id, (quantities.get(id) || 0) + quantity);
+    }
+  });
+
+  return {
+    cart: [...quantities].map(([id, quantity]) => ({ id, quantity })),
+    errors,
+  };
+}
+
+// Checks the cart against stock not held by other carts. `cartId` is the
+// cart placing the order, whose own hold counts as available.
+function checkOrderStock(
+  cart: { id: string; quantity: number }[],
+  cartId?: string,
+): {
   available: boolean;
   unavailableItems: {
     id: string;
@@ -349,13 +664,16 @@ function checkOrderStock(cart: { id: string; quantity: number }[]): {
 
   for (const cartItem of cart) {
     const item = allItems.find((i) => i.id === cartItem.id);
+    const availableStock = item
+      ? item.stock - getHeldQuantity(item.id, cartId)
+      : 0;
 
-    if (!item || item.stock < cartItem.quantity) {
+    if (!item || availableStock < cartItem.quantity) {
       unavailableItems.push({
         id: cartItem.id,
         name: item?.name || cartItem.id,
         requestedQuantity: cartItem.quantity,
-        availableStock: item?.stock || 0,
+        availableStock: Math.max(0, availableStock),
       });
     }
   }
@@ -366,145 +684,2002 @@ function checkOrderStock(cart: { id: string; quantity: number }[]): {
   };
 }
 
-function reserveStock(cart: { id: string; quantity: number }[]): void {
-  for (const cartItem of cart) {
-    const item = allItems.find((i) => i.id === cartItem.id);
-    if (item) {
-      item.stock -= cartItem.quantity;
-    }
-  }
+interface QuotaViolation {
+  rule: "per_item" | "team_total" | "category";
+  id?: string;
+  name: string;
+  limit: number;
+  alreadyOrdered: number;
+  requestedQuantity: number;
+}
 
-  // Save updated inventory
-  fs.writeFileSync(ITEMS_PATH, JSON.stringify(allItems, null, 2));
+// Orders count against limits until they are denied, cancelled or returned
+function getActiveOrdersFor(
+  participantId: string | undefined,
+  username: string,
+): Order[] {
+  const normalized = username.trim().toLowerCase();
 
-  // Update cache too
-  fs.writeFileSync(
-    ITEMS_CACHE_PATH,
-    JSON.stringify(
-      {
-        timestamp: Date.now(),
-        items: allItems,
-      },
-      null,
-      2,
-    ),
-  );
+  return Object.values(orders).filter((order) => {
+    if (ORDER_STATUSES[order.status].releasesStock) return false;
+    if (participantId) return order.participantId === participantId;
+    return (
+      !order.participantId &&
+      order.username.trim().toLowerCase() === normalized
+    );
+  });
 }
 
-function returnStock(cart: { id: string; quantity: number }[]): void {
-  for (const cartItem of cart) {
-    const item = allItems.find((i) => i.id === cartItem.id);
-    if (item) {
-      item.stock += cartItem.quantity;
-    }
-  }
-
-  // Save updated inventory
-  fs.writeFileSync(ITEMS_PATH, JSON.stringify(allItems, null, 2));
+// Checks the cart against the configured checkout limits. A signed-in
+// participant account is treated as the team; otherwise the username is.
+// `alsoCounted` adjusts what the team already has: items it holds outside
+// of orders, such as its other cart holds, or negative quantities for units
+// an order edit gives back.
+function checkOrderQuotas(
+  cart: { id: string; quantity: number }[],
+  participantId: string | undefined,
+  username: string,
+  alsoCounted: { id: string; quantity: number }[] = [],
+): { allowed: boolean; violations: QuotaViolation[] } {
+  const { MAX_PER_ITEM, MAX_ITEMS_PER_TEAM, CATEGORY_LIMITS } = config.quotas;
+  const violations: QuotaViolation[] = [];
 
-  // Update cache too
-  fs.writeFileSync(
-    ITEMS_CACHE_PATH,
-    JSON.stringify(
-      {
-        timestamp: Date.now(),
-        items: allItems,
-      },
-      null,
-      2,
+  const ordered: Record<string, number> = {};
+  for (const orderItem of [
+    ...getActiveOrdersFor(participantId, username).flatMap(
+      (order) => order.items,
     ),
-  );
-}
-
-// Push notification functions
-async function sendOrderNotification(
-  orderId: string,
-  status: string,
-  note = "",
-): Promise<void> {
-  const subscription = pushSubscriptions[orderId];
-  if (!subscription || !subscription.subscription) {
-    console.log(`No push subscription found for order ${orderId}`);
-    return;
+    ...alsoCounted,
+  ]) {
+    ordered[orderItem.id] = (ordered[orderItem.id] || 0) + orderItem.quantity;
   }
 
-  try {
-    const username = subscription.username || "Anonymous";
-    const payload = JSON.stringify({
-      title: `Order ${status}`,
-      body: `Your order #${orderId.substring(0, 8)} ${
-        status === "completed"
-          ? "is ready for pickup"
-          : status === "cancelled"
-            ? "has been cancelled"
-            : `status: ${status}`
-      }${note ? `\nNote: ${note}` : ""}`,
-      icon: "/img/favicon.png",
-      orderId,
-      status,
-    });
+  const categoryOf = (id: string) =>
+    allItems.find((i) => i.id === id)?.category || "";
 
-    console.log(`Sending notification to ${username} for order ${orderId}`);
+  if (MAX_PER_ITEM > 0) {
+    for (const cartItem of cart) {
+      const alreadyOrdered = ordered[cartItem.id] || 0;
+      if (alreadyOrdered + cartItem.quantity > MAX_PER_ITEM) {
+        violations.push({
+          rule: "per_item",
+          id: cartItem.id,
+          name: allItems.find((i) => i.id === cartItem.id)?.name || cartItem.id,
+          limit: MAX_PER_ITEM,
+          alreadyOrdered,
+          requestedQuantity: cartItem.quantity,
+        });
+      }
+    }
+  }
 
-    await webpush.sendNotification(subscription.subscription, payload);
+  if (MAX_ITEMS_PER_TEAM > 0) {
+    const alreadyOrdered = Object.values(ordered).reduce((a, b) => a + b, 0);
+    const requestedQuantity = cart.reduce((a, b) => a + b.quantity, 0);
+    if (alreadyOrdered + requestedQuantity > MAX_ITEMS_PER_TEAM) {
+      violations.push({
+        rule: "team_total",
+        name: "All items",
+        limit: MAX_ITEMS_PER_TEAM,
+        alreadyOrdered,
+        requestedQuantity,
+      });
+    }
+  }
 
-    console.log("Push notification sent successfully");
-  } catch (error) {
-    console.error("Error sending push notification:", error);
+  for (const [category, limit] of Object.entries(CATEGORY_LIMITS)) {
+    const alreadyOrdered = Object.entries(ordered)
+      .filter(([id]) => categoryOf(id) === category)
+      .reduce((total, [, quantity]) => total + quantity, 0);
+    const requestedQuantity = cart
+      .filter((cartItem) => categoryOf(cartItem.id) === category)
+      .reduce((total, cartItem) => total + cartItem.quantity, 0);
 
-    // Remove invalid subscription
-    if ((error as { statusCode?: number }).statusCode === 410) {
-      console.log(`Removing invalid subscription for order ${orderId}`);
-      delete pushSubscriptions[orderId];
-      saveSubscriptions();
+    if (requestedQuantity > 0 && alreadyOrdered + requestedQuantity > limit) {
+      violations.push({
+        rule: "category",
+        name: category,
+        limit,
+        alreadyOrdered,
+        requestedQuantity,
+      });
     }
   }
+
+  return {
+    allowed: violations.length === 0,
+    violations,
+  };
 }
 
-async function saveSubscriptions(): Promise<void> {
-  try {
-    await Bun.write(
-      SUBSCRIPTIONS_PATH,
-      JSON.stringify(pushSubscriptions, null, 2),
-    );
-  } catch (error) {
-    console.error("Error saving subscriptions:", error);
+// Validates item fields from an admin request. With `partial`, only the
+// fields present are checked, for updates.
+function parseItemInput(
+  body: Record<string, unknown>,
+  partial: boolean,
+): { item: Partial<Item>; errors: string[] } {
+  const item: Partial<Item> = {};
+  const errors: string[] = [];
+
+  const text = (field: keyof Item, required = false) => {
+    const value = body[field];
+    if (value === undefined) {
+      if (required && !partial) errors.push(`${field} is required`);
+      return;
+    }
+    if (typeof value !== "string" || (required && !value.trim())) {
+      errors.push(`${field} must be a non-empty string`);
+      return;
+    }
+    (item as Record<string, unknown>)[field] = value.trim();
+  };
+
+  if (!partial) {
+    if (typeof body.id !== "string" || !/^[\w.\-]+$/.test(body.id)) {
+      errors.push(
+        "id is required and may only contain letters, numbers, '.', '_' and '-'",
+      );
+    } else {
+      item.id = body.id;
+    }
   }
-}
 
-async function loadSubscriptions(): Promise<void> {
-  try {
-    const file = Bun.file(SUBSCRIPTIONS_PATH);
-    if (await file.exists()) {
-      pushSubscriptions = await file.json();
-      console.log(
-        `Loaded ${Object.keys(pushSubscriptions).length} push subscriptions`,
+  text("name", true);
+  text("description");
+  text("imageUrl");
+  text("category");
+  text("datasheet");
+  text("supplier");
+  text("partNumber");
+  text("manufacturer");
+  text("manufacturerPartNumber");
+
+  if (body.attributes !== undefined) {
+    const attributes = body.attributes;
+    if (
+      !attributes ||
+      typeof attributes !== "object" ||
+      Array.isArray(attributes) ||
+      Object.values(attributes).some((value) => typeof value !== "string")
+    ) {
+      errors.push("attributes must be an object of text values");
+    } else {
+      item.attributes = Object.fromEntries(
+        Object.entries(attributes as Record<string, string>)
+          .map(([name, value]) => [name.trim(), value.trim()])
+          .filter(([name, value]) => name && value),
       );
     }
-  } catch (error) {
-    console.error("Error loading subscriptions:", error);
-    pushSubscriptions = {};
   }
-}
 
-function saveOrders(): void {
-  try {
-    fs.writeFileSync(ORDERS_PATH, JSON.stringify(orders, null, 2));
-  } catch (error) {
-    console.error("Error saving orders:", error);
+  if (body.price !== undefined) {
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push("price must be a number of at least 0");
+    } else {
+      item.price = price;
+    }
   }
-}
 
-// Helper for JSON responses
-function jsonResponse(data: unknown, status = 200): Response {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      "Content-Type": "application/json",
-      ...corsHeaders,
-    },
-  });
-}
+  if (!partial) {
+    const stock = body.stock === undefined ? 0 : Number(body.stock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      errors.push("stock must be a whole number of at least 0");
+    } else {
+      item.stock = stock;
+    }
+  }
+
+  if (body.tags !== undefined) {
+    const tags = Array.isArray(body.tags)
+      ? body.tags
+      : String(body.tags).split(",");
+    item.tags = tags.map((tag) => String(tag).trim()).filter(Boolean);
+  }
+
+  if (body.loanable !== undefined) {
+    if (typeof body.loanable !== "boolean") {
+      errors.push("loanable must be true or false");
+    } else {
+      item.loanable = body.loanable;
+    }
+  }
+
+  if (body.units !== undefined) {
+    const units = (
+      Array.isArray(body.units) ? body.units : String(body.units).split(/[,\n]/)
+    )
+      .map((unit) => String(unit).trim())
+      .filter(Boolean);
+    const duplicates = units.filter(
+      (unit, index) => units.indexOf(unit) !== index,
+    );
+    if (duplicates.length > 0) {
+      errors.push(
+        `units are listed more than once: ${[...new Set(duplicates)].join(", ")}`,
+      );
+    } else {
+      item.units = units;
+      // New loanable items default to one in stock per listed unit
+      if (!partial && body.stock === undefined) item.stock = units.length;
+    }
+  }
+
+  return { item, errors };
+}
+
+// Orders that still hold or are waiting on their items
+function getOpenOrdersForItem(itemId: string): Order[] {
+  return Object.values(orders).filter(
+    (order) =>
+      ORDER_STATUSES[order.status].transitions.length > 0 &&
+      order.items.some((orderItem) => orderItem.id === itemId),
+  );
+}
+
+// Applies a stock change to an item, saves it and appends to the ledger
+type StockMovementDetails = {
+  type: StockMovementType;
+  reason: string;
+  actor: string;
+  orderId?: string;
+};
+
+function moveStock(
+  item: Item,
+  delta: number,
+  movement: StockMovementDetails,
+): StockMovement {
+  const entry = createStockMovement(item, delta, movement);
+
+  stockLedger.push(entry);
+  storage.put("items", item.id, item);
+  storage.appendLedger(entry);
+  publishStock([item.id]);
+
+  return entry;
+}
+
+// Changes the stock of item and returns the ledger entry for it without
+// storing either, so that the caller can stage several moves
+function createStockMovement(
+  item: Item,
+  delta: number,
+  movement: StockMovementDetails,
+): StockMovement {
+  // Backstop for the checks callers make before moving stock
+  if (item.stock + delta < 0) {
+    throw new Error(
+      `Stock of ${item.id} cannot go below 0 (${item.stock} ${delta})`,
+    );
+  }
+
+  item.stock += delta;
+
+  return {
+    id: uuidv4(),
+    itemId: item.id,
+    delta,
+    balance: item.stock,
+    ...movement,
+    timestamp: Date.now(),
+  };
+}
+
+// Units held by open orders, which a catalog reload must not hand out again.
+// Loaned units that were checked in are back on the shelf.
+function getReservedQuantity(itemId: string): number {
+  return getOpenOrdersForItem(itemId)
+    .filter((order) => !ORDER_STATUSES[order.status].releasesStock)
+    .reduce((total, order) => {
+      const line = order.items.find((orderItem) => orderItem.id === itemId);
+      const checkedIn = getCheckedInUnits(order.id).get(itemId) || 0;
+      return total + (line ? line.quantity - checkedIn : 0);
+    }, 0);
+}
+
+function reserveStock(
+  cart: { id: string; quantity: number }[],
+  orderId: string,
+  actor: string,
+): void {
+  for (const cartItem of cart) {
+    const item = allItems.find((i) => i.id === cartItem.id);
+    if (item) {
+      moveStock(item, -cartItem.quantity, {
+        type: "reservation",
+        reason: "Reserved for order",
+        actor,
+        orderId,
+      });
+    }
+  }
+}
+
+// Builds a pending order for the cart; placeOrder reserves and stores it
+function createOrder(
+  orderId: string,
+  username: string,
+  participantId: string | undefined,
+  cart: { id: string; quantity: number }[],
+  note = "Order placed",
+  actor = username,
+): Order {
+  const order: Order = {
+    id: orderId,
+    username,
+    participantId,
+    items: cart.map((cartItem) => {
+      const item = allItems.find((i) => i.id === cartItem.id);
+      return {
+        id: cartItem.id,
+        name: item?.name || cartItem.id,
+        price: item?.price || 0,
+        quantity: cartItem.quantity,
+      };
+    }),
+    status: "pending",
+    notes: [],
+    statusHistory: [],
+    created: Date.now(),
+    updated: Date.now(),
+  };
+  recordStatusChange(order, "pending", actor, note);
+
+  return order;
+}
+
+// Checks stock, reserves it and stores the order in one step. Nothing is
+// reserved unless every line is available. This must stay synchronous: an
+// await between the check and the reservation would let a concurrent
+// request take the same units.
+function placeOrder(
+  order: Order,
+  cart: { id: string; quantity: number }[],
+  cartId?: string,
+): ReturnType<typeof checkOrderStock> {
+  let released: CartHold | undefined;
+  const stockCheck = storage.transaction(() => {
+    const stockCheck = checkOrderStock(cart, cartId);
+    if (!stockCheck.available) return stockCheck;
+
+    reserveStock(cart, order.id, order.username);
+    orders[order.id] = order;
+    storage.put("orders", order.id, order);
+
+    // The order now owns the units the cart was holding
+    if (cartId) released = releaseCartHold(cartId);
+
+    return stockCheck;
+  });
+
+  if (stockCheck.available) publishOrder(order, "created");
+  // Units the cart held beyond what was ordered are free again
+  if (released) processWaitlist(released.items.map((item) => item.id));
+  return stockCheck;
+}
+
+// Waitlist functions
+function getItemWaitlist(itemId: string): WaitlistEntry[] {
+  return Object.values(waitlist)
+    .filter((entry) => entry.itemId === itemId && entry.status === "waiting")
+    .sort((a, b) => a.position - b.position);
+}
+
+function saveWaitlistEntry(entry: WaitlistEntry): void {
+  entry.updated = Date.now();
+  waitlist[entry.id] = entry;
+  storage.put("waitlist", entry.id, entry);
+}
+
+// Serves the front of each item's queue with stock that has come back.
+// The queue is strictly first come, first served: if the next entry wants
+// more than is available, the entries behind it wait too.
+function processWaitlist(itemIds: string[]): void {
+  for (const itemId of new Set(itemIds)) {
+    const item = allItems.find((i) => i.id === itemId);
+    if (!item) continue;
+
+    let available = item.stock - getHeldQuantity(item.id);
+
+    for (const entry of getItemWaitlist(itemId)) {
+      if (entry.quantity > available) break;
+
+      if (config.WAITLIST_MODE === "reserve") {
+        // An entry over the checkout limits keeps its place and lets the
+        // next one through
+        if (!reserveForWaitlistEntry(entry)) continue;
+      } else {
+        entry.status = "notified";
+        saveWaitlistEntry(entry);
+        sendPushNotification(entry.id, {
+          title: "Back in Stock",
+          body: `${item.name} is back in stock. It is not reserved, so order soon.`,
+          icon: "/img/favicon.png",
+          url: "./index.html",
+        });
+      }
+      available -= entry.quantity;
+    }
+  }
+}
+
+// The team's waiting entry for an item. Teams are matched the same way as
+// for checkout limits.
+function findWaitingEntry(
+  itemId: string,
+  participantId: string | undefined,
+  username: string,
+): WaitlistEntry | undefined {
+  const normalized = username.trim().toLowerCase();
+
+  return getItemWaitlist(itemId).find((entry) =>
+    participantId
+      ? entry.participantId === participantId
+      : !entry.participantId &&
+        entry.username.trim().toLowerCase() === normalized,
+  );
+}
+
+// Turns a waiting entry into an order. Returns false if the entry is left
+// waiting because the team has ordered up to its limits since joining.
+function reserveForWaitlistEntry(entry: WaitlistEntry): boolean {
+  const cart = [{ id: entry.itemId, quantity: entry.quantity }];
+  if (!checkOrderQuotas(cart, entry.participantId, entry.username).allowed) {
+    return false;
+  }
+
+  const order = createOrder(
+    uuidv4(),
+    entry.username,
+    entry.participantId,
+    cart,
+    "Reserved from the waitlist",
+  );
+
+  storage.transaction(() => {
+    if (!placeOrder(order, cart).available) return;
+
+    entry.status = "reserved";
+    entry.orderId = order.id;
+    saveWaitlistEntry(entry);
+
+    // Whoever asked to hear about the waitlist entry hears about the order
+    const subscription = pushSubscriptions[entry.id];
+    if (subscription) {
+      pushSubscriptions[order.id] = subscription;
+      storage.put("subscriptions", order.id, subscription);
+    }
+  });
+
+  if (entry.status === "reserved") {
+    console.log(
+      `Order ${order.id} reserved for ${entry.username} from the waitlist`,
+    );
+    sendOrderNotification(
+      order.id,
+      "pending",
+      "Reserved for you from the waitlist",
+    );
+  }
+  return entry.status === "reserved";
+}
+
+async function loadWaitlist(): Promise<void> {
+  try {
+    waitlist = Object.fromEntries(
+      await storage.load<WaitlistEntry>("waitlist"),
+    );
+    console.log(`Loaded ${Object.keys(waitlist).length} waitlist entries`);
+  } catch (error) {
+    console.error("Error loading waitlist:", error);
+    waitlist = {};
+  }
+}
+
+// Cart hold functions
+function isLiveHold(hold: CartHold): boolean {
+  return hold.expires > Date.now();
+}
+
+// Units set aside by unexpired cart holds, except the given cart's own
+function getHeldQuantity(itemId: string, exceptCartId?: string): number {
+  return Object.values(cartHolds)
+    .filter((hold) => hold.id !== exceptCartId && isLiveHold(hold))
+    .flatMap((hold) => hold.items)
+    .filter((holdItem) => holdItem.id === itemId)
+    .reduce((total, holdItem) => total + holdItem.quantity, 0);
+}
+
+// What the storefront shows: stock on the shelf minus what carts are holding
+function withAvailability(
+  item: Item,
+): Item & { held: number; available: number } {
+  const held = Math.min(item.stock, getHeldQuantity(item.id));
+  return { ...item, held, available: item.stock - held };
+}
+
+// withAvailability for the whole catalog, adding up the holds only once
+function catalogWithAvailability(): (Item & {
+  held: number;
+  available: number;
+})[] {
+  const heldById = new Map<string, number>();
+  for (const hold of Object.values(cartHolds)) {
+    if (!isLiveHold(hold)) continue;
+    for (const holdItem of hold.items) {
+      heldById.set(
+        holdItem.id,
+        (heldById.get(holdItem.id) || 0) + holdItem.quantity,
+      );
+    }
+  }
+
+  return allItems.map((item) => {
+    const held = Math.min(item.stock, heldById.get(item.id) || 0);
+    return { ...item, held, available: item.stock - held };
+  });
+}
+
+// Replaces what a cart holds. Fails without changing the hold if another
+// cart or order already has the units.
+function setCartHold(
+  cartId: string,
+  cart: { id: string; quantity: number }[],
+  client: CartHoldClient,
+): { hold: CartHold } | ReturnType<typeof checkOrderStock> {
+  const stockCheck = checkOrderStock(cart, cartId);
+  if (!stockCheck.available) return stockCheck;
+
+  const now = Date.now();
+  const hold: CartHold = {
+    id: cartId,
+    items: cart,
+    owner: client.owner,
+    created: cartHolds[cartId]?.created || now,
+    expires: now + CART_HOLD_TTL,
+  };
+  const previous = cartHolds[cartId]?.items || [];
+  cartHolds[cartId] = hold;
+  storage.put("cartHolds", cartId, hold);
+  publishStock([...previous, ...cart].map((holdItem) => holdItem.id));
+
+  return { hold };
+}
+
+// Live holds of one client, other than the given cart's own
+function getCartHoldsOf(owner: string, exceptCartId: string): CartHold[] {
+  return Object.values(cartHolds).filter(
+    (hold) =>
+      hold.owner === owner && hold.id !== exceptCartId && isLiveHold(hold),
+  );
+}
+
+// Drops a hold and returns it. Callers serve the waitlist for its items
+// once their transaction is done.
+function releaseCartHold(cartId: string): CartHold | undefined {
+  const hold = cartHolds[cartId];
+  if (!hold) return undefined;
+
+  delete cartHolds[cartId];
+  storage.remove("cartHolds", cartId);
+  publishStock(hold.items.map((holdItem) => holdItem.id));
+  return hold;
+}
+
+// Drops expired holds; expired holds already stop counting, this just
+// keeps the store from growing
+function sweepCartHolds(): void {
+  const expired = Object.values(cartHolds).filter((hold) => !isLiveHold(hold));
+  if (expired.length === 0) return;
+
+  storage.transaction(() => {
+    for (const hold of expired) {
+      releaseCartHold(hold.id);
+    }
+  });
+  console.log(`Released ${expired.length} expired cart holds`);
+
+  processWaitlist(
+    expired.flatMap((hold) => hold.items).map((holdItem) => holdItem.id),
+  );
+}
+
+async function loadCartHolds(): Promise<void> {
+  try {
+    cartHolds = Object.fromEntries(await storage.load<CartHold>("cartHolds"));
+    sweepCartHolds();
+    console.log(`Loaded ${Object.keys(cartHolds).length} cart holds`);
+  } catch (error) {
+    console.error("Error loading cart holds:", error);
+    cartHolds = {};
+  }
+}
+
+function returnStock(
+  cart: { id: string; quantity: number }[],
+  orderId: string,
+  actor: string,
+  reason: string,
+): void {
+  for (const cartItem of cart) {
+    const item = allItems.find((i) => i.id === cartItem.id);
+    if (item) {
+      moveStock(item, cartItem.quantity, {
+        type: "return",
+        reason,
+        actor,
+        orderId,
+      });
+    }
+  }
+}
+
+// Stock ledger functions
+async function loadStockLedger(): Promise<void> {
+  try {
+    stockLedger = await storage.loadLedger<StockMovement>();
+    console.log(`Loaded ${stockLedger.length} stock movements`);
+  } catch (error) {
+    console.error("Error loading stock ledger:", error);
+    stockLedger = [];
+  }
+
+  // Give items that predate the ledger an opening balance so the
+  // deltas for every item add up to its current stock
+  const tracked = new Set(stockLedger.map((entry) => entry.itemId));
+  storage.transaction(() => {
+    for (const item of allItems) {
+      if (tracked.has(item.id)) continue;
+
+      const entry: StockMovement = {
+        id: uuidv4(),
+        itemId: item.id,
+        type: "import",
+        delta: item.stock,
+        balance: item.stock,
+        reason: "Opening balance",
+        actor: "system",
+        timestamp: Date.now(),
+      };
+      stockLedger.push(entry);
+      storage.appendLedger(entry);
+    }
+  });
+}
+
+// Catalog reload functions
+interface CatalogReloadReport {
+  added: string[];
+  updated: { id: string; fields: string[] }[];
+  removed: string[];
+  // CSV items that disappeared but were not removed, with the reason
+  kept: { id: string; reason: string }[];
+  // CSV changes not applied because the item was added or edited by hand
+  conflicts: { id: string; fields: string[]; reason: string }[];
+  unchanged: number;
+  // Rows left out of the import because they failed validation
+  errors: RowError[];
+  files: CatalogImport["files"];
+  dryRun: boolean;
+}
+
+const CATALOG_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "imageUrl",
+  "category",
+  "tags",
+  "datasheet",
+  "supplier",
+  "partNumber",
+  "manufacturer",
+  "manufacturerPartNumber",
+  "attributes",
+] as const;
+
+let catalogReload: Promise<CatalogReloadReport> | null = null;
+
+// Re-reads the CSV files and merges them into the live catalog by SKU.
+// Concurrent calls share the reload already in progress. A dry run only
+// reports what a reload would change.
+function reloadCatalog(
+  actor: string,
+  dryRun = false,
+): Promise<CatalogReloadReport> {
+  if (dryRun) {
+    return mergeCatalog(actor, true);
+  }
+  if (!catalogReload) {
+    catalogReload = mergeCatalog(actor, false).finally(() => {
+      catalogReload = null;
+    });
+  }
+  return catalogReload;
+}
+
+async function mergeCatalog(
+  actor: string,
+  dryRun: boolean,
+): Promise<CatalogReloadReport> {
+  const { items: csvItems, errors, skus, files } = await buildItemsFromCsv();
+  const report: CatalogReloadReport = {
+    added: [],
+    updated: [],
+    removed: [],
+    kept: [],
+    conflicts: [],
+    unchanged: 0,
+    errors,
+    files,
+    dryRun,
+  };
+
+  // A row that failed validation still lists its item, so only items
+  // missing from every file are removed. A row without a SKU could be any
+  // item, so nothing is removed until it is fixed.
+  const unidentifiedRows = errors.some((error) => !error.sku);
+
+  // Changes are made on copies of the items and swapped into the live
+  // catalog only after they are stored, so a reload that fails part way
+  // leaves both the catalog and storage as they were
+  const staged = new Map<string, Item>();
+  const added: Item[] = [];
+  const removed = new Set<string>();
+  const movements: StockMovement[] = [];
+
+  for (const csvItem of csvItems) {
+    const item = allItems.find((i) => i.id === csvItem.id);
+
+    if (!item) {
+      const newItem = { ...csvItem, stock: 0 };
+      added.push(newItem);
+      movements.push(
+        createStockMovement(newItem, csvItem.stock, {
+          type: "import",
+          reason: "Added by catalog reload",
+          actor,
+        }),
+      );
+      report.added.push(csvItem.id);
+      continue;
+    }
+
+    const differing = CATALOG_FIELDS.filter(
+      (field) => JSON.stringify(item[field]) !== JSON.stringify(csvItem[field]),
+    );
+
+    // An item added in the admin panel under a SKU that is now also in a
+    // CSV stays as the admin made it
+    if (item.source === "manual") {
+      report.conflicts.push({
+        id: item.id,
+        fields: differing,
+        reason: "Added in the admin panel; the CSV row was not applied",
+      });
+      continue;
+    }
+
+    const edited = differing.filter((field) =>
+      item.editedFields?.includes(field),
+    );
+    if (edited.length > 0) {
+      report.conflicts.push({
+        id: item.id,
+        fields: edited,
+        reason: "Edited in the admin panel; the CSV values were not applied",
+      });
+    }
+
+    const changed = differing.filter((field) => !edited.includes(field));
+    const fields: string[] = [...changed];
+
+    // Apply only what changed in the CSV since the last import so that
+    // reservations and manual adjustments made since then survive. Items
+    // imported before this was tracked are set to the CSV figure minus
+    // whatever open orders still hold.
+    const target =
+      item.importedStock === undefined
+        ? Math.max(0, csvItem.stock - getReservedQuantity(item.id))
+        : Math.max(0, item.stock + csvItem.stock - item.importedStock);
+    if (target !== item.stock) {
+      fields.push("stock");
+    }
+
+    const copy: Item = structuredClone(item);
+    Object.assign(
+      copy,
+      Object.fromEntries(changed.map((field) => [field, csvItem[field]])),
+    );
+    if (target !== copy.stock) {
+      movements.push(
+        createStockMovement(copy, target - copy.stock, {
+          type: "import",
+          reason: "Stock changed in CSV",
+          actor,
+        }),
+      );
+    }
+    copy.source = "csv";
+    copy.importedStock = csvItem.stock;
+    // Keep the last lookup error while the item is still unenriched
+    if (csvItem.enrichment?.status !== copy.enrichment?.status) {
+      copy.enrichment = csvItem.enrichment;
+    }
+    staged.set(copy.id, copy);
+
+    if (fields.length > 0) {
+      report.updated.push({ id: item.id, fields });
+    } else {
+      report.unchanged++;
+    }
+  }
+
+  // Items created in the admin panel are never removed by a reload
+  for (const item of allItems) {
+    if (item.source === "manual" || skus.has(item.id)) continue;
+
+    // Older catalogs did not record where an item came from, so it may
+    // have been added by hand
+    if (!item.source) {
+      report.kept.push({
+        id: item.id,
+        reason: "Origin unknown; delete it from the inventory if unused",
+      });
+      continue;
+    }
+
+    if (unidentifiedRows) {
+      report.kept.push({
+        id: item.id,
+        reason: "Not listed, but some CSV rows have no SKU",
+      });
+      continue;
+    }
+
+    const openOrders = getOpenOrdersForItem(item.id);
+    if (openOrders.length > 0) {
+      report.kept.push({
+        id: item.id,
+        reason: `Still part of ${openOrders.length} open orders`,
+      });
+      continue;
+    }
+
+    report.removed.push(item.id);
+    removed.add(item.id);
+    if (item.stock !== 0) {
+      movements.push(
+        createStockMovement({ ...item }, -item.stock, {
+          type: "adjustment",
+          reason: "Removed by catalog reload",
+          actor,
+        }),
+      );
+    }
+  }
+
+  if (dryRun) {
+    return report;
+  }
+
+  storage.transaction(() => {
+    for (const item of [...added, ...staged.values()]) {
+      storage.put("items", item.id, item);
+    }
+    for (const id of removed) {
+      storage.remove("items", id);
+    }
+    for (const entry of movements) {
+      storage.appendLedger(entry);
+    }
+  });
+
+  allItems = [
+    ...allItems
+      .filter((item) => !removed.has(item.id))
+      .map((item) => staged.get(item.id) ?? item),
+    ...added,
+  ];
+  stockLedger.push(...movements);
+  publishStock(movements.map((entry) => entry.itemId));
+
+  processWaitlist([
+    ...report.added,
+    ...report.updated
+      .filter((update) => update.fields.includes("stock"))
+      .map((update) => update.id),
+  ]);
+
+  console.log(
+    `Catalog reloaded by ${actor}: ${report.added.length} added, ${report.updated.length} updated, ${report.removed.length} removed, ${report.kept.length} kept`,
+  );
+
+  startEnrichment();
+
+  return report;
+}
+
+// Reloads the catalog shortly after a CSV file changes on disk
+function watchCatalogFiles(): void {
+  const csvFiles = [
+    CUSTOM_CSV_PATH,
+    ...suppliers.map((supplier) => supplierCsvPath(supplier)),
+  ].map((path) => path.slice(DATA_DIR.length + 1));
+  let timer: ReturnType<typeof setTimeout> | null = null;
+
+  fs.watch(DATA_DIR, (_event, filename) => {
+    if (!filename || !csvFiles.includes(filename)) return;
+
+    // Editors often write a file in several steps; wait for them to finish
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => {
+      reloadCatalog("file watcher").catch((error) => {
+        console.error("Error reloading catalog:", error);
+      });
+    }, 1000);
+  });
+
+  console.log(`Watching ${csvFiles.join(", ")} for changes`);
+}
+
+// Catalog enrichment functions
+interface EnrichmentStatus {
+  running: boolean;
+  total: number;
+  enriched: number;
+  failed: { id: string; error: string }[];
+  started?: number;
+  finished?: number;
+}
+
+let enrichmentStatus: EnrichmentStatus = {
+  running: false,
+  total: 0,
+  enriched: 0,
+  failed: [],
+};
+let enrichmentJob: Promise<EnrichmentStatus> | null = null;
+
+// Looks up supplier details for the given items and applies them. The
+// clients cache, throttle and retry, so this only calls an API for parts
+// whose cached details are missing or stale, or for every part when forced.
+async function enrichItems(
+  ids: string[],
+  force: boolean,
+  status?: EnrichmentStatus,
+): Promise<Item[]> {
+  // Each supplier's CSV is read once, however many of its items are enriched
+  const csvRows = new Map<SupplierClient, Promise<Map<string, CatalogRow>>>();
+  const rowsFor = (supplier: SupplierClient) => {
+    if (!csvRows.has(supplier)) {
+      csvRows.set(supplier, readSupplierRows(supplier));
+    }
+    return csvRows.get(supplier)!;
+  };
+
+  return Promise.all(
+    ids.map(async (id) => {
+      const supplier = findSupplier(
+        allItems.find((item) => item.id === id)?.supplier || "",
+      );
+      let details: SupplierCacheEntry | null = null;
+      let error = "";
+
+      try {
+        if (!supplier) throw new Error("No lookups for this supplier");
+        details = await supplier.lookup(id, force);
+      } catch (lookupError) {
+        error = (lookupError as Error).message;
+      }
+
+      // The item may have been removed while the lookup was running
+      const item = allItems.find((item) => item.id === id);
+      if (!item) return null;
+
+      const row = supplier && (await rowsFor(supplier)).get(id);
+      if (!supplier || !row) {
+        error ||= `Not listed in ${supplier?.adapter.id}.csv`;
+      } else if (details) {
+        const built = buildSupplierItem(supplier, row, details);
+        Object.assign(item, {
+          name: built.name,
+          description: built.description,
+          price: built.price,
+          imageUrl: built.imageUrl,
+          category: built.category,
+          datasheet: built.datasheet,
+          manufacturer: built.manufacturer,
+          manufacturerPartNumber: built.manufacturerPartNumber,
+          attributes: built.attributes,
+          enrichment: built.enrichment,
+        });
+      }
+
+      if (error) {
+        // Keep the item as it is; it still shows its CSV details
+        console.warn(`Could not enrich ${id}: ${error}`);
+        item.enrichment = { status: "unenriched", error, updated: Date.now() };
+        status?.failed.push({ id, error });
+      } else if (status) {
+        status.enriched++;
+      }
+
+      storage.put("items", item.id, item);
+      return item;
+    }),
+  ).then((items) => items.filter((item): item is Item => item !== null));
+}
+
+// Starts enriching every supplier item in the background unless a run is
+// already going. Returns the run, which resolves when it finishes.
+function startEnrichment(force = false): Promise<EnrichmentStatus> {
+  if (enrichmentJob) return enrichmentJob;
+
+  const ids = allItems
+    .filter(
+      (item) =>
+        item.enrichment && findSupplier(item.supplier)?.adapter.configured,
+    )
+    .map((item) => item.id);
+  enrichmentStatus = {
+    running: true,
+    total: ids.length,
+    enriched: 0,
+    failed: [],
+    started: Date.now(),
+  };
+  const status = enrichmentStatus;
+
+  enrichmentJob = enrichItems(ids, force, status)
+    .catch((error) => {
+      console.error("Error enriching catalog:", error);
+    })
+    .then(() => {
+      status.running = false;
+      status.finished = Date.now();
+      enrichmentJob = null;
+      if (status.total > 0) {
+        console.log(
+          `Enriched ${status.enriched} of ${status.total} supplier items, ${status.failed.length} failed`,
+        );
+      }
+      return status;
+    });
+
+  return enrichmentJob;
+}
+
+// Live update functions
+// Browsers listening on GET /events. Admins who can read orders see every
+// order; other pages only see the orders they asked for by ID.
+interface EventClient {
+  sessionKey?: string;
+  orders: Set<string>;
+}
+
+const events = createEventHub<EventClient>({ headers: corsHeaders });
+const pendingStockEvents = new Set<string>();
+
+// Checked on every event, so a revoked or expired session stops seeing
+// orders without reconnecting
+function canSeeAllOrders(client: EventClient): boolean {
+  const session = client.sessionKey && sessions[client.sessionKey];
+  const user = session && users[session.userId];
+  return Boolean(
+    session &&
+    user &&
+    !user.disabled &&
+    session.expires > Date.now() &&
+    hasPermission(user.role, "orders:read"),
+  );
+}
+
+function publishOrder(order: Order, change: "created" | "updated"): void {
+  events.publish(
+    "order",
+    { change, order },
+    (client) => client.orders.has(order.id) || canSeeAllOrders(client),
+  );
+}
+
+// Queues stock events for the items. They go out once the current change
+// has finished, one per item however often its stock moved.
+function publishStock(itemIds: string[]): void {
+  if (events.size === 0) return;
+
+  if (pendingStockEvents.size === 0) queueMicrotask(flushStockEvents);
+  for (const id of itemIds) pendingStockEvents.add(id);
+}
+
+function flushStockEvents(): void {
+  const ids = new Set(pendingStockEvents);
+  pendingStockEvents.clear();
+
+  for (const item of allItems) {
+    if (!ids.has(item.id)) continue;
+    const { stock, held, available } = withAvailability(item);
+    events.publish("stock", { id: item.id, stock, held, available });
+  }
+}
+
+// Loan functions
+async function loadLoans(): Promise<void> {
+  try {
+    loans = Object.fromEntries(await storage.load<Loan>("loans"));
+    console.log(`Loaded ${Object.keys(loans).length} loans`);
+  } catch (error) {
+    console.error("Error loading loans:", error);
+    loans = {};
+  }
+}
+
+function getOrderLoans(orderId: string): Loan[] {
+  return Object.values(loans)
+    .filter((loan) => loan.orderId === orderId)
+    .sort((a, b) => a.checkedOut - b.checkedOut);
+}
+
+// Loans still out, soonest due first
+function getOpenLoans(): Loan[] {
+  return Object.values(loans)
+    .filter((loan) => !loan.returned)
+    .sort((a, b) => a.due - b.due);
+}
+
+// Units of each item the order has checked back in. They went back on the
+// shelf at check-in, so closing the order must not restock them again.
+function getCheckedInUnits(orderId: string): Map<string, number> {
+  const units = new Map<string, number>();
+  for (const loan of getOrderLoans(orderId)) {
+    if (loan.returned) {
+      units.set(loan.itemId, (units.get(loan.itemId) || 0) + 1);
+    }
+  }
+  return units;
+}
+
+function publishLoan(
+  loan: Loan,
+  change: "checked_out" | "returned" | "reminder" | "overdue",
+): void {
+  events.publish(
+    "loan",
+    { change, loan },
+    (client) => client.orders.has(loan.orderId) || canSeeAllOrders(client),
+  );
+}
+
+// Hands one unit of a loanable item on the order to the team. Returns why
+// it cannot be lent instead when the unit or order does not allow it.
+function checkOutLoan(
+  order: Order,
+  itemId: string,
+  unit: string,
+  due: number,
+  actor: string,
+): Loan | string {
+  if (order.status !== "approved" && order.status !== "picked_up") {
+    return `Units can only be lent on approved or picked up orders; this one is ${ORDER_STATUSES[order.status].label.toLowerCase()}`;
+  }
+
+  const line = order.items.find((orderItem) => orderItem.id === itemId);
+  const item = allItems.find((i) => i.id === itemId);
+  if (!line || !item) return `${itemId} is not on this order`;
+  if (!item.loanable) return `${item.name} is not a loanable item`;
+  if (!item.units?.includes(unit)) {
+    return `${unit} is not a unit of ${item.name}`;
+  }
+
+  const lent = getOpenLoans().find(
+    (loan) => loan.itemId === itemId && loan.unit === unit,
+  );
+  if (lent) return `${unit} is already on loan to ${lent.team}`;
+
+  const onOrder = getOrderLoans(order.id).filter(
+    (loan) => loan.itemId === itemId,
+  );
+  if (onOrder.length >= line.quantity) {
+    return `All ${line.quantity} of ${item.name} on this order are already lent`;
+  }
+
+  const loan: Loan = {
+    id: uuidv4(),
+    itemId,
+    itemName: item.name,
+    unit,
+    orderId: order.id,
+    team: order.username,
+    participantId: order.participantId,
+    checkedOut: Date.now(),
+    checkedOutBy: actor,
+    due,
+  };
+  loans[loan.id] = loan;
+  storage.put("loans", loan.id, loan);
+  publishLoan(loan, "checked_out");
+  console.log(`${unit} lent to ${loan.team} by ${actor}`);
+
+  return loan;
+}
+
+// Takes a unit back and restocks it. Once every unit a picked up order
+// borrowed is back, and it borrowed nothing else, the order is closed as
+// returned.
+function checkInLoan(loan: Loan, actor: string): void {
+  storage.transaction(() => {
+    loan.returned = Date.now();
+    loan.returnedTo = actor;
+    storage.put("loans", loan.id, loan);
+    returnStock(
+      [{ id: loan.itemId, quantity: 1 }],
+      loan.orderId,
+      actor,
+      `Loan of ${loan.unit} returned`,
+    );
+  });
+  processWaitlist([loan.itemId]);
+  publishLoan(loan, "returned");
+  console.log(`${loan.unit} returned by ${loan.team} to ${actor}`);
+
+  const order = orders[loan.orderId];
+  if (!order || order.status !== "picked_up") return;
+
+  const checkedIn = getCheckedInUnits(order.id);
+  const allBack = order.items.every(
+    (line) =>
+      allItems.find((i) => i.id === line.id)?.loanable &&
+      (checkedIn.get(line.id) || 0) >= line.quantity,
+  );
+  if (allBack) {
+    order.returnedItems = order.items;
+    changeOrderStatus(order, "returned", actor, "All loaned units returned");
+    publishOrder(order, "updated");
+  }
+}
+
+// Reminds teams shortly before their loans fall due and alerts them, and
+// the admin panel, once they are overdue. Runs every minute.
+function checkLoanDeadlines(): void {
+  const now = Date.now();
+  const { reminders, overdue } = loanAlerts(
+    Object.values(loans),
+    now,
+    LOAN_POLICY,
+  );
+
+  for (const loan of reminders) {
+    loan.reminded = now;
+    storage.put("loans", loan.id, loan);
+    publishLoan(loan, "reminder");
+    sendPushNotification(loan.orderId, {
+      title: "Loan Due Soon",
+      body: `Please return ${loan.itemName} (${loan.unit}) within ${describeDuration(loan.due - now)}.`,
+      icon: "/img/favicon.png",
+      orderId: loan.orderId,
+    });
+  }
+
+  for (const loan of overdue) {
+    loan.overdueAlerted = now;
+    storage.put("loans", loan.id, loan);
+    publishLoan(loan, "overdue");
+    sendPushNotification(loan.orderId, {
+      title: "Loan Overdue",
+      body: `${loan.itemName} (${loan.unit}) was due back ${describeDuration(now - loan.due)} ago. Please return it to the hardware desk.`,
+      icon: "/img/favicon.png",
+      orderId: loan.orderId,
+    });
+  }
+
+  if (overdue.length > 0) {
+    console.log(`${overdue.length} loans are now overdue`);
+  }
+}
+
+// Order history functions
+function recordStatusChange(
+  order: Order,
+  status: OrderStatus,
+  actor: string,
+  note = "",
+): void {
+  const timestamp = Date.now();
+
+  order.statusHistory.push({
+    from: order.statusHistory.length > 0 ? order.status : null,
+    status,
+    actor,
+    note,
+    timestamp,
+  });
+
+  order.status = status;
+  order.updated = timestamp;
+  order.updatedBy = actor;
+}
+
+// Moves an order to a new status, returning its stock to the shelf and
+// notifying the participant where the new status calls for it. `restock`
+// limits which units go back, e.g. when used-up parts are not returned.
+// The caller has already checked the transition is allowed.
+function changeOrderStatus(
+  order: Order,
+  status: OrderStatus,
+  actor: string,
+  note = "",
+  restock: { id: string; quantity: number }[] = order.items,
+): void {
+  const { releasesStock, label } = ORDER_STATUSES[status];
+
+  // Loaned units that were checked in are back on the shelf already
+  const checkedIn = getCheckedInUnits(order.id);
+  restock = restock
+    .map((item) => ({
+      id: item.id,
+      quantity: item.quantity - (checkedIn.get(item.id) || 0),
+    }))
+    .filter((item) => item.quantity > 0);
+
+  storage.transaction(() => {
+    // Put items back on the shelf when the order no longer holds them
+    if (releasesStock) {
+      returnStock(restock, order.id, actor, `Order ${label.toLowerCase()}`);
+    }
+
+    recordStatusChange(order, status, actor, note);
+    storage.put("orders", order.id, order);
+  });
+
+  if (releasesStock) {
+    processWaitlist(restock.map((item) => item.id));
+  }
+
+  // Send push notification about status change
+  if (pushSubscriptions[order.id]) {
+    sendOrderNotification(order.id, status, note);
+  }
+}
+
+// Order editing functions
+function recordOrderEdit(
+  order: Order,
+  changes: string[],
+  actor: string,
+  note = "",
+): void {
+  const timestamp = Date.now();
+
+  order.edits = [...(order.edits || []), { changes, actor, note, timestamp }];
+  order.updated = timestamp;
+  order.updatedBy = actor;
+}
+
+// Applies an edit from planOrderEdit. Extra units are reserved and spare
+// ones returned in one step, so the edit either fits the stock or changes
+// nothing.
+function editOrderItems(
+  order: Order,
+  plan: OrderEditPlan,
+  actor: string,
+  note = "",
+): ReturnType<typeof checkOrderStock> {
+  const extra = plan.stock.filter((line) => line.quantity > 0);
+  const spare = plan.stock
+    .filter((line) => line.quantity < 0)
+    .map((line) => ({ id: line.id, quantity: -line.quantity }));
+
+  const stockCheck = storage.transaction(() => {
+    const stockCheck = checkOrderStock(extra);
+    if (!stockCheck.available) return stockCheck;
+
+    returnStock(spare, order.id, actor, "Order edited");
+    reserveStock(extra, order.id, actor);
+    order.items = plan.items;
+    recordOrderEdit(order, plan.changes, actor, note);
+    storage.put("orders", order.id, order);
+
+    return stockCheck;
+  });
+  if (!stockCheck.available) return stockCheck;
+
+  processWaitlist(spare.map((line) => line.id));
+  if (pushSubscriptions[order.id]) {
+    sendOrderChangeNotification(order.id, plan.changes, note);
+  }
+  publishOrder(order, "updated");
+
+  return stockCheck;
+}
+
+// Splits the lines from planBackorder off into a new pending order, so the
+// rest can be handed over now. Their reserved units move with them.
+function splitBackorder(
+  order: Order,
+  plan: BackorderPlan,
+  actor: string,
+  note = "",
+): Order {
+  const backorder = createOrder(
+    uuidv4(),
+    order.username,
+    order.participantId,
+    plan.move,
+    `Backorder of #${order.id.substring(0, 8)}`,
+    actor,
+  );
+  // Keep the names and prices the items were ordered at
+  backorder.items = plan.move;
+  backorder.backorderOf = order.id;
+
+  storage.transaction(() => {
+    returnStock(
+      plan.move,
+      order.id,
+      actor,
+      `Moved to backorder #${backorder.id.substring(0, 8)}`,
+    );
+    reserveStock(plan.move, backorder.id, actor);
+    orders[backorder.id] = backorder;
+    storage.put("orders", backorder.id, backorder);
+
+    order.items = plan.keep;
+    order.backorders = [...(order.backorders || []), backorder.id];
+    recordOrderEdit(order, plan.changes, actor, note);
+    storage.put("orders", order.id, order);
+
+    // Whoever follows the order hears about its backorder too
+    const subscription = pushSubscriptions[order.id];
+    if (subscription) {
+      pushSubscriptions[backorder.id] = subscription;
+      storage.put("subscriptions", backorder.id, subscription);
+    }
+  });
+
+  if (pushSubscriptions[order.id]) {
+    sendOrderChangeNotification(order.id, plan.changes, note);
+  }
+  publishOrder(backorder, "created");
+  publishOrder(order, "updated");
+
+  return backorder;
+}
+
+// Backfill status history and legacy statuses for orders saved by older versions
+function migrateOrders(): boolean {
+  let migrated = 0;
+
+  for (const order of Object.values(orders)) {
+    if (!isOrderStatus(order.status)) {
+      const status = normalizeOrderStatus(order.status);
+      if (!status) {
+        console.warn(
+          `Order ${order.id} has unknown status "${order.status}", resetting to pending`,
+        );
+      }
+      order.status = status || "pending";
+      migrated++;
+    }
+
+    if (Array.isArray(order.statusHistory)) continue;
+
+    order.notes = order.notes || [];
+    order.statusHistory = [
+      {
+        from: null,
+        status: "pending",
+        actor: order.username,
+        note: "Order placed",
+        timestamp: order.created,
+      },
+    ];
+
+    if (order.status !== "pending") {
+      order.statusHistory.push({
+        from: "pending",
+        status: order.status,
+        actor: "unknown",
+        note: "Recorded before status history was tracked",
+        timestamp: order.updated,
+      });
+    }
+
+    migrated++;
+  }
+
+  if (migrated > 0) {
+    console.log(`Migrated ${migrated} orders`);
+  }
+
+  return migrated > 0;
+}
+
+// Push notification functions
+async function sendOrderNotification(
+  orderId: string,
+  status: OrderStatus,
+  note = "",
+): Promise<void> {
+  await sendPushNotification(orderId, {
+    title: `Order ${ORDER_STATUSES[status].label}`,
+    body: `Your order #${orderId.substring(0, 8)} ${
+      ORDER_STATUSES[status].notification
+    }${note ? `\nNote: ${note}` : ""}`,
+    icon: "/img/favicon.png",
+    orderId,
+    status,
+  });
+}
+
+// Lists exactly what an admin changed on the order
+async function sendOrderChangeNotification(
+  orderId: string,
+  changes: string[],
+  note = "",
+): Promise<void> {
+  await sendPushNotification(orderId, {
+    title: "Order Changed",
+    body: `Your order #${orderId.substring(0, 8)} was changed:\n${changes.join(
+      "\n",
+    )}${note ? `\nNote: ${note}` : ""}`,
+    icon: "/img/favicon.png",
+    orderId,
+  });
+}
+
+// Sends a push message to the subscription registered under `key`, which
+// is an order ID or a waitlist entry ID
+async function sendPushNotification(
+  key: string,
+  payload: Record<string, unknown>,
+): Promise<void> {
+  const subscription = pushSubscriptions[key];
+  if (!subscription || !subscription.subscription) {
+    console.log(`No push subscription found for ${key}`);
+    return;
+  }
+
+  try {
+    const username = subscription.username || "Anonymous";
+
+    console.log(`Sending notification to ${username} for ${key}`);
+
+    await webpush.sendNotification(
+      subscription.subscription,
+      JSON.stringify(payload),
+    );
+
+    console.log("Push notification sent successfully");
+  } catch (error) {
+    console.error("Error sending push notification:", error);
+
+    // Remove invalid subscription
+    if ((error as { statusCode?: number }).statusCode === 410) {
+      console.log(`Removing invalid subscription for ${key}`);
+      delete pushSubscriptions[key];
+      storage.remove("subscriptions", key);
+    }
+  }
+}
+
+async function loadSubscriptions(): Promise<void> {
+  try {
+    pushSubscriptions = Object.fromEntries(
+      await storage.load<PushSubscription>("subscriptions"),
+    );
+    console.log(
+      `Loaded ${Object.keys(pushSubscriptions).length} push subscriptions`,
+    );
+  } catch (error) {
+    console.error("Error loading subscriptions:", error);
+    pushSubscriptions = {};
+  }
+}
+
+async function loadOrders(): Promise<void> {
+  orders = Object.fromEntries(await storage.load<Order>("orders"));
+  console.log(`Loaded ${Object.keys(orders).length} orders`);
+
+  if (migrateOrders()) {
+    storage.transaction(() => {
+      for (const order of Object.values(orders)) {
+        storage.put("orders", order.id, order);
+      }
+    });
+  }
+}
+
+// Admin user functions
+function publicUser(user: AdminUser): Omit<AdminUser, "passwordHash"> {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+function findUserByUsername(username: string): AdminUser | undefined {
+  const normalized = username.trim().toLowerCase();
+  return Object.values(users).find(
+    (user) => user.username.toLowerCase() === normalized,
+  );
+}
+
+// Guards against locking everyone out of user management
+function isLastManager(user: AdminUser): boolean {
+  if (user.role !== "manager" || user.disabled) return false;
+
+  return !Object.values(users).some(
+    (other) => other.id !== user.id && other.role === "manager" && !other.disabled,
+  );
+}
+
+async function createUser(
+  username: string,
+  name: string,
+  role: Role,
+  password: string,
+): Promise<AdminUser> {
+  const now = Date.now();
+  const user: AdminUser = {
+    id: uuidv4(),
+    username: username.trim(),
+    name: name.trim() || username.trim(),
+    role,
+    passwordHash: await Bun.password.hash(password),
+    disabled: false,
+    created: now,
+    updated: now,
+  };
+
+  users[user.id] = user;
+  storage.put("users", user.id, user);
+
+  return user;
+}
+
+async function loadUsers(): Promise<void> {
+  try {
+    users = Object.fromEntries(await storage.load<AdminUser>("users"));
+    console.log(`Loaded ${Object.keys(users).length} admin users`);
+  } catch (error) {
+    console.error("Error loading users:", error);
+    users = {};
+  }
+
+  // First run: turn ADMIN_CODE into a manager account so someone can log in
+  if (Object.keys(users).length === 0 && config.ADMIN_CODE) {
+    if (config.ADMIN_CODE.length < MIN_PASSWORD_LENGTH) {
+      console.error(
+        `ADMIN_CODE must be at least ${MIN_PASSWORD_LENGTH} characters to become the "admin" password; no account was created`,
+      );
+      return;
+    }
+
+    await createUser("admin", "Admin", "manager", config.ADMIN_CODE);
+    console.log('Created initial manager account "admin" from ADMIN_CODE');
+  }
+}
+
+// Admin session functions
+function hashToken(token: string): string {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function createSession(user: AdminUser): { token: string; session: Session } {
+  const token = randomBytes(32).toString("base64url");
+  const now = Date.now();
+  const session: Session = {
+    id: uuidv4(),
+    userId: user.id,
+    created: now,
+    expires: now + SESSION_TTL,
+    lastSeen: now,
+  };
+
+  sessions[hashToken(token)] = session;
+  storage.put("sessions", hashToken(token), session);
+
+  return { token, session };
+}
+
+function getSessionToken(req: Request, cookieName: string): string | null {
+  const authorization = req.headers.get("Authorization");
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+
+  const cookies = req.headers.get("Cookie") || "";
+  for (const cookie of cookies.split(";")) {
+    const [name, ...value] = cookie.trim().split("=");
+    if (name === cookieName) {
+      return decodeURIComponent(value.join("="));
+    }
+  }
+
+  return null;
+}
+
+// Returns the session for the request, or null if it is missing, expired or revoked
+function getSession(req: Request): Session | null {
+  const token = getSessionToken(req, SESSION_COOKIE);
+  if (!token) return null;
+
+  const key = hashToken(token);
+  const session = sessions[key];
+  if (!session) return null;
+
+  const user = users[session.userId];
+  if (session.expires <= Date.now() || !user || user.disabled) {
+    delete sessions[key];
+    storage.remove("sessions", key);
+    return null;
+  }
+
+  session.lastSeen = Date.now();
+  return session;
+}
+
+// Resolves the logged-in user, or a 401/403 response to return instead
+function requireUser(
+  req: Request,
+  permission?: Permission,
+): { session: Session; user: AdminUser } | Response {
+  const session = getSession(req);
+  if (!session) {
+    return jsonResponse({ error: "Admin login required" }, 401);
+  }
+
+  const user = users[session.userId];
+  if (permission && !hasPermission(user.role, permission)) {
+    return jsonResponse(
+      { error: `Your role (${user.role}) cannot perform this action` },
+      403,
+    );
+  }
+
+  return { session, user };
+}
+
+function revokeSessions(predicate: (session: Session) => boolean): number {
+  let revoked = 0;
+
+  storage.transaction(() => {
+    for (const [key, session] of Object.entries(sessions)) {
+      if (predicate(session)) {
+        delete sessions[key];
+        storage.remove("sessions", key);
+        revoked++;
+      }
+    }
+  });
+
+  return revoked;
+}
+
+function sessionCookie(
+  req: Request,
+  name: string,
+  token: string,
+  maxAge: number,
+): string {
+  const secure = new URL(req.url).protocol === "https:" ? "; Secure" : "";
+  return `${name}=${token}; Path=${API_PREFIX}; Max-Age=${Math.floor(
+    maxAge / 1000,
+  )}; HttpOnly; SameSite=Strict${secure}`;
+}
+
+async function loadSessions(): Promise<void> {
+  try {
+    sessions = Object.fromEntries(await storage.load<Session>("sessions"));
+
+    // Drop sessions that expired while the server was down or whose user is gone
+    const now = Date.now();
+    revokeSessions(
+      (session) => session.expires <= now || !users[session.userId],
+    );
+
+    console.log(`Loaded ${Object.keys(sessions).length} admin sessions`);
+  } catch (error) {
+    console.error("Error loading sessions:", error);
+    sessions = {};
+  }
+}
+
+// Participant functions
+function normalizeHandle(handle: string): string {
+  return handle.trim().toLowerCase();
+}
+
+function findParticipantByHandle(handle: string): Participant | undefined {
+  const normalized = normalizeHandle(handle);
+  return Object.values(participants).find(
+    (participant) => participant.handle === normalized,
+  );
+}
+
+// Milliseconds until the account may try again, or 0
+function getLoginLockout(
+  failuresByKey: Map<string, LoginFailures>,
+  key: string,
+): number {
+  const failures = failuresByKey.get(key);
+  if (!failures) return 0;
+
+  const remaining = failures.since + LOGIN_LOCKOUT - Date.now();
+  if (remaining <= 0) {
+    failuresByKey.delete(key);
+    return 0;
+  }
+  return failures.count >= LOGIN_ATTEMPTS ? remaining : 0;
+}
+
+function recordLoginFailure(
+  failuresByKey: Map<string, LoginFailures>,
+  key: string,
+): void {
+  const failures = failuresByKey.get(key) || { count: 0, since: Date.now() };
+  failures.count++;
+  failuresByKey.set(key, failures);
+}
+
+function lockedOutResponse(lockout: number, what: string): Response {
+  return jsonResponse(
+    {
+      error: `Too many wrong ${what}; try again in ${Math.ceil(lockout / 60000)} minutes`,
+    },
+    429,
+    { "Retry-After": String(Math.ceil(lockout / 1000)) },
+  );
+}
+
+// Short, readable code a team can copy to a second laptop, e.g. "K7QM-3XPA"
+function generateMagicCode(): string {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = randomBytes(8);
+  let code = "";
+  for (let i = 0; i < bytes.length; i++) {
+    if (i === 4) code += "-";
+    code += alphabet[bytes[i] % alphabet.length];
+  }
+  return code;
+}
+
+function normalizeMagicCode(code: string): string {
+  return code.trim().toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function createParticipantSession(participant: Participant): string {
+  const token = randomBytes(32).toString("base64url");
+  const now = Date.now();
+
+  const key = hashToken(token);
+  participantSessions[key] = {
+    id: uuidv4(),
+    participantId: participant.id,
+    created: now,
+    expires: now + PARTICIPANT_SESSION_TTL,
+  };
+  storage.put("participantSessions", key, participantSessions[key]);
+
+  return token;
+}
+
+// Returns the participant for the request, or null if not signed in
+function getParticipant(req: Request): Participant | null {
+  const token = getSessionToken(req, PARTICIPANT_COOKIE);
+  if (!token) return null;
+
+  const key = hashToken(token);
+  const session = participantSessions[key];
+  if (!session) return null;
+
+  const participant = participants[session.participantId];
+  if (session.expires <= Date.now() || !participant) {
+    delete participantSessions[key];
+    storage.remove("participantSessions", key);
+    return null;
+  }
+
+  return participant;
+}
+
+// Resolves who a cart hold is for, or a 401 response for guests
+function getCartHoldClient(req: Request): CartHoldClient | Response {
+  const participant = getParticipant(req);
+  if (participant) {
+    return {
+      owner: `participant:${participant.id}`,
+      participantId: participant.id,
+      username: participant.name,
+    };
+  }
+
+  const session = getSession(req);
+  if (session) {
+    const user = users[session.userId];
+    return { owner: `user:${user.id}`, username: user.username };
+  }
+
+  return jsonResponse({ error: "Sign in to hold items in your cart" }, 401);
+}
+
+function publicParticipant(
+  participant: Participant,
+): Omit<Participant, "codeHash"> {
+  const { codeHash, ...rest } = participant;
+  return rest;
+}
+
+async function loadParticipants(): Promise<void> {
+  try {
+    participants = Object.fromEntries(
+      await storage.load<Participant>("participants"),
+    );
+    console.log(`Loaded ${Object.keys(participants).length} participants`);
+
+    participantSessions = Object.fromEntries(
+      await storage.load<ParticipantSession>("participantSessions"),
+    );
+
+    const now = Date.now();
+    storage.transaction(() => {
+      for (const [key, session] of Object.entries(participantSessions)) {
+        if (session.expires <= now) {
+          delete participantSessions[key];
+          storage.remove("participantSessions", key);
+        }
+      }
+    });
+  } catch (error) {
+    console.error("Error loading participants:", error);
+    participants = {};
+    participantSessions = {};
+  }
+}
+
+// Pickup ticket functions
+// The QR code opens the admin panel's Pickup tab with the token filled in
+function pickupUrl(url: URL, order: Order): string {
+  const token = createPickupToken(order.id, pickupSecret, PICKUP_TICKET_TTL);
+  return `${url.origin}/admin.html?pickup=${encodeURIComponent(token)}`;
+}
+
+// Tickets are for the participant who placed the order and for staff
+function canSeePickupTicket(req: Request, order: Order): boolean {
+  const participant = getParticipant(req);
+  if (participant && order.participantId === participant.id) return true;
+
+  const session = getSession(req);
+  return Boolean(
+    session && hasPermission(users[session.userId].role, "orders:read"),
+  );
+}
+
+function findPickupOrder(path: string): Order | undefined {
+  let token: string;
+  try {
+    token = decodeURIComponent(path.split("/").pop() as string);
+  } catch {
+    return undefined;
+  }
+  const orderId = verifyPickupToken(token, pickupSecret);
+  return orderId ? orders[orderId] : undefined;
+}
+
+// Helper for JSON responses
+function jsonResponse(
+  data: unknown,
+  status = 200,
+  headers: Record<string, string> = {},
+): Response {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      ...corsHeaders,
+      ...headers,
+    },
+  });
+}
 
 // Parse URL and route to appropriate handler
 async function handleRequest(req: Request): Promise<Response> {
@@ -512,72 +2687,1046 @@ async function handleRequest(req: Request): Promise<Response> {
   const path = url.pathname;
   const method = req.method;
 
-  // Handle CORS preflight requests
-  if (method === "OPTIONS") {
-    return new Response(null, {
-      status: 204,
-      headers: corsHeaders,
+  // Handle CORS preflight requests
+  if (method === "OPTIONS") {
+    return new Response(null, {
+      status: 204,
+      headers: corsHeaders,
+    });
+  }
+
+  // Handle static files
+  if (!path.startsWith(API_PREFIX)) {
+    // Default to index.html for root or client-side routes
+    const filePath = path === "/" ? "/index.html" : path;
+    const fullPath = join(PUBLIC_DIR, filePath);
+
+    try {
+      const file = Bun.file(fullPath);
+      if (await file.exists()) {
+        return new Response(file);
+      }
+
+      // If file doesn't exist but doesn't start with API_PREFIX,
+      // it might be a client-side route - serve index.html
+      return new Response(Bun.file(join(PUBLIC_DIR, "/index.html")));
+    } catch (error) {
+      return new Response("Not found", { status: 404 });
+    }
+  }
+
+  // API routes
+  // Live order and stock updates as Server-Sent Events. ?orders=<id>,<id>
+  // follows those orders; admins who can read orders get every order.
+  if (path === `${API_PREFIX}/events` && method === "GET") {
+    const token = getSessionToken(req, SESSION_COOKIE);
+    return events.connect(
+      {
+        sessionKey: token ? hashToken(token) : undefined,
+        orders: new Set(
+          (url.searchParams.get("orders") || "").split(",").filter(Boolean),
+        ),
+      },
+      req.signal,
+    );
+  }
+
+  // Health check with the status of optional integrations. Reports only
+  // whether each one is configured, never the credentials themselves.
+  if (path === `${API_PREFIX}/health` && method === "GET") {
+    const warnings: string[] = [];
+    const supplierStatus = suppliers.map((supplier) => {
+      const items = allItems.filter(
+        (item) => item.enrichment && item.supplier === supplier.adapter.name,
+      );
+      if (!supplier.adapter.configured) {
+        warnings.push(offlineMessage(supplier));
+      }
+      return {
+        id: supplier.adapter.id,
+        name: supplier.adapter.name,
+        configured: supplier.adapter.configured,
+        items: items.length,
+        enriched: items.filter((item) => item.enrichment?.status === "enriched")
+          .length,
+      };
+    });
+    if (vapidKeysGenerated) {
+      warnings.push(
+        "VAPID keys are not configured; push subscriptions stop working after a restart",
+      );
+    }
+
+    return jsonResponse({
+      status: "ok",
+      uptime: Math.round(process.uptime()),
+      storage: storage.backend,
+      items: allItems.length,
+      suppliers: supplierStatus,
+      enrichment: {
+        running: enrichmentStatus.running,
+        failed: enrichmentStatus.failed.length,
+        finished: enrichmentStatus.finished,
+      },
+      notifications: { configured: !vapidKeysGenerated },
+      loans: {
+        open: getOpenLoans().length,
+        overdue: getOpenLoans().filter((loan) => isOverdue(loan, Date.now()))
+          .length,
+      },
+      liveClients: events.size,
+      warnings,
+    });
+  }
+
+  // Get VAPID public key
+  if (
+    path === `${API_PREFIX}/notifications/vapid-public-key` &&
+    method === "GET"
+  ) {
+    return jsonResponse({ publicKey: vapidKeys.publicKey });
+  }
+
+  // Register push notification
+  if (path === `${API_PREFIX}/notifications/register` && method === "POST") {
+    try {
+      const body = await req.json();
+      const { orderId, username, subscription } = body;
+
+      if (!orderId || !subscription) {
+        return jsonResponse({ error: "Missing required fields" }, 400);
+      }
+
+      // Store the subscription for this order
+      pushSubscriptions[orderId] = {
+        username: username || "Anonymous",
+        subscription,
+        timestamp: Date.now(),
+      };
+
+      storage.put("subscriptions", orderId, pushSubscriptions[orderId]);
+
+      return jsonResponse({ success: true });
+    } catch (error) {
+      console.error("Error registering push subscription:", error);
+      return jsonResponse({ error: "Failed to register subscription" }, 500);
+    }
+  }
+
+  // Admin login
+  if (path === `${API_PREFIX}/auth/login` && method === "POST") {
+    try {
+      const body = await req.json();
+      const { username, password } = body;
+
+      if (typeof username !== "string" || typeof password !== "string") {
+        return jsonResponse({ error: "Invalid username or password" }, 401);
+      }
+
+      // Unknown usernames are locked out too, so the lockout does not tell
+      // which accounts exist
+      const failureKey = username.trim().toLowerCase();
+      const lockout = getLoginLockout(adminLoginFailures, failureKey);
+      if (lockout > 0) return lockedOutResponse(lockout, "passwords");
+
+      const user = findUserByUsername(username);
+      const matches = await Bun.password.verify(
+        password,
+        user ? user.passwordHash : await DUMMY_PASSWORD_HASH,
+      );
+
+      if (!user || user.disabled || !matches) {
+        recordLoginFailure(adminLoginFailures, failureKey);
+        return jsonResponse({ error: "Invalid username or password" }, 401);
+      }
+
+      adminLoginFailures.delete(failureKey);
+
+      const { token, session } = createSession(user);
+
+      return jsonResponse(
+        {
+          token,
+          id: session.id,
+          expires: session.expires,
+          user: publicUser(user),
+          permissions: ROLES[user.role].permissions,
+        },
+        200,
+        { "Set-Cookie": sessionCookie(req, SESSION_COOKIE, token, SESSION_TTL) },
+      );
+    } catch (error) {
+      console.error("Error logging in:", error);
+      return jsonResponse({ error: "Failed to log in" }, 500);
+    }
+  }
+
+  // Admin logout
+  if (path === `${API_PREFIX}/auth/logout` && method === "POST") {
+    const session = getSession(req);
+    if (session) {
+      revokeSessions((other) => other.id === session.id);
+    }
+
+    return jsonResponse({ success: true }, 200, {
+      "Set-Cookie": sessionCookie(req, SESSION_COOKIE, "", 0),
+    });
+  }
+
+  // Current admin session
+  if (path === `${API_PREFIX}/auth/session` && method === "GET") {
+    const auth = requireUser(req);
+    if (auth instanceof Response) return auth;
+
+    return jsonResponse({
+      ...auth.session,
+      user: publicUser(auth.user),
+      permissions: ROLES[auth.user.role].permissions,
+    });
+  }
+
+  // List active admin sessions
+  if (path === `${API_PREFIX}/auth/sessions` && method === "GET") {
+    const auth = requireUser(req, "sessions:manage");
+    if (auth instanceof Response) return auth;
+
+    return jsonResponse(
+      Object.values(sessions).map((session) => ({
+        ...session,
+        username: users[session.userId]?.username,
+      })),
+    );
+  }
+
+  // Revoke every admin session, e.g. at a shift change
+  if (path === `${API_PREFIX}/auth/sessions` && method === "DELETE") {
+    const auth = requireUser(req, "sessions:manage");
+    if (auth instanceof Response) return auth;
+
+    const revoked = revokeSessions(() => true);
+
+    return jsonResponse({ success: true, revoked });
+  }
+
+  // Revoke a single admin session
+  if (path.startsWith(`${API_PREFIX}/auth/sessions/`) && method === "DELETE") {
+    const auth = requireUser(req, "sessions:manage");
+    if (auth instanceof Response) return auth;
+
+    const sessionId = path.split("/").pop();
+    if (revokeSessions((session) => session.id === sessionId) === 0) {
+      return jsonResponse({ error: "Session not found" }, 404);
+    }
+
+    return jsonResponse({ success: true });
+  }
+
+  // Register a participant (email or team name) and hand out their magic code
+  if (path === `${API_PREFIX}/participants/register` && method === "POST") {
+    try {
+      const body = await req.json();
+      const { handle, name } = body;
+
+      if (typeof handle !== "string" || !handle.trim()) {
+        return jsonResponse({ error: "Email or team name is required" }, 400);
+      }
+
+      if (findParticipantByHandle(handle)) {
+        return jsonResponse(
+          {
+            error:
+              "That email or team name is already registered. Sign in with its magic code instead.",
+          },
+          409,
+        );
+      }
+
+      const code = generateMagicCode();
+      const participant: Participant = {
+        id: uuidv4(),
+        handle: normalizeHandle(handle),
+        name: (typeof name === "string" && name.trim()) || handle.trim(),
+        codeHash: await Bun.password.hash(normalizeMagicCode(code)),
+        created: Date.now(),
+      };
+      participants[participant.id] = participant;
+      storage.put("participants", participant.id, participant);
+
+      const token = createParticipantSession(participant);
+
+      // The code is only ever shown here; the server keeps just its hash
+      return jsonResponse(
+        { participant: publicParticipant(participant), code, token },
+        201,
+        {
+          "Set-Cookie": sessionCookie(
+            req,
+            PARTICIPANT_COOKIE,
+            token,
+            PARTICIPANT_SESSION_TTL,
+          ),
+        },
+      );
+    } catch (error) {
+      console.error("Error registering participant:", error);
+      return jsonResponse({ error: "Failed to register" }, 500);
+    }
+  }
+
+  // Participant sign in with handle and magic code
+  if (path === `${API_PREFIX}/participants/login` && method === "POST") {
+    try {
+      const body = await req.json();
+      const { handle, code } = body;
+
+      const participant =
+        typeof handle === "string" ? findParticipantByHandle(handle) : undefined;
+
+      const lockout = participant
+        ? getLoginLockout(participantLoginFailures, participant.id)
+        : 0;
+      if (lockout > 0) return lockedOutResponse(lockout, "codes");
+
+      const valid =
+        participant &&
+        typeof code === "string" &&
+        (await Bun.password.verify(
+          normalizeMagicCode(code),
+          participant.codeHash,
+        ));
+
+      if (!participant || !valid) {
+        if (participant) {
+          recordLoginFailure(participantLoginFailures, participant.id);
+        }
+        return jsonResponse({ error: "Invalid email/team name or code" }, 401);
+      }
+
+      participantLoginFailures.delete(participant.id);
+
+      const token = createParticipantSession(participant);
+
+      return jsonResponse(
+        { participant: publicParticipant(participant), token },
+        200,
+        {
+          "Set-Cookie": sessionCookie(
+            req,
+            PARTICIPANT_COOKIE,
+            token,
+            PARTICIPANT_SESSION_TTL,
+          ),
+        },
+      );
+    } catch (error) {
+      console.error("Error signing in participant:", error);
+      return jsonResponse({ error: "Failed to sign in" }, 500);
+    }
+  }
+
+  // Participant sign out
+  if (path === `${API_PREFIX}/participants/logout` && method === "POST") {
+    const token = getSessionToken(req, PARTICIPANT_COOKIE);
+    if (token) {
+      delete participantSessions[hashToken(token)];
+      storage.remove("participantSessions", hashToken(token));
+    }
+
+    return jsonResponse({ success: true }, 200, {
+      "Set-Cookie": sessionCookie(req, PARTICIPANT_COOKIE, "", 0),
+    });
+  }
+
+  // Current participant
+  if (path === `${API_PREFIX}/participants/me` && method === "GET") {
+    const participant = getParticipant(req);
+    if (!participant) {
+      return jsonResponse({ error: "Not signed in" }, 401);
+    }
+
+    return jsonResponse(publicParticipant(participant));
+  }
+
+  // Orders placed by the current participant
+  if (path === `${API_PREFIX}/participants/me/orders` && method === "GET") {
+    const participant = getParticipant(req);
+    if (!participant) {
+      return jsonResponse({ error: "Not signed in" }, 401);
+    }
+
+    return jsonResponse(
+      Object.values(orders)
+        .filter((order) => order.participantId === participant.id)
+        .sort((a, b) => b.created - a.created),
+    );
+  }
+
+  // Get role definitions
+  if (path === `${API_PREFIX}/roles` && method === "GET") {
+    return jsonResponse(ROLES);
+  }
+
+  // List admin users
+  if (path === `${API_PREFIX}/users` && method === "GET") {
+    const auth = requireUser(req, "users:manage");
+    if (auth instanceof Response) return auth;
+
+    return jsonResponse(Object.values(users).map(publicUser));
+  }
+
+  // Create admin user
+  if (path === `${API_PREFIX}/users` && method === "POST") {
+    const auth = requireUser(req, "users:manage");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const body = await req.json();
+      const { username, name, role, password } = body;
+
+      if (
+        typeof username !== "string" ||
+        !username.trim() ||
+        typeof password !== "string" ||
+        password.length < MIN_PASSWORD_LENGTH ||
+        !isRole(role)
+      ) {
+        return jsonResponse(
+          {
+            error: `Username, a password of at least ${MIN_PASSWORD_LENGTH} characters and a valid role are required`,
+          },
+          400,
+        );
+      }
+
+      if (findUserByUsername(username)) {
+        return jsonResponse({ error: "Username already exists" }, 409);
+      }
+
+      const user = await createUser(
+        username,
+        typeof name === "string" ? name : "",
+        role,
+        password,
+      );
+
+      return jsonResponse(publicUser(user), 201);
+    } catch (error) {
+      console.error("Error creating user:", error);
+      return jsonResponse({ error: "Failed to create user" }, 500);
+    }
+  }
+
+  // Update admin user
+  if (path.startsWith(`${API_PREFIX}/users/`) && method === "PUT") {
+    const auth = requireUser(req, "users:manage");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const userId = path.split("/").pop();
+      const user = users[userId as string];
+      if (!user) {
+        return jsonResponse({ error: "User not found" }, 404);
+      }
+
+      const body = await req.json();
+      const { name, role, password, disabled } = body;
+
+      if (role !== undefined && !isRole(role)) {
+        return jsonResponse({ error: `Unknown role: ${role}` }, 400);
+      }
+
+      if (
+        password !== undefined &&
+        (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)
+      ) {
+        return jsonResponse(
+          {
+            error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+          },
+          400,
+        );
+      }
+
+      const losesManager =
+        (role !== undefined && role !== "manager") || disabled === true;
+      if (losesManager && isLastManager(user)) {
+        return jsonResponse(
+          { error: "Cannot demote or disable the last manager" },
+          409,
+        );
+      }
+
+      if (typeof name === "string" && name.trim()) user.name = name.trim();
+      if (role !== undefined) user.role = role;
+      if (typeof disabled === "boolean") user.disabled = disabled;
+      if (password !== undefined) {
+        user.passwordHash = await Bun.password.hash(password);
+      }
+      user.updated = Date.now();
+      storage.put("users", user.id, user);
+
+      // A disabled account or new password should not keep old sessions alive
+      if (user.disabled || password !== undefined) {
+        revokeSessions((session) => session.userId === user.id);
+      }
+
+      return jsonResponse(publicUser(user));
+    } catch (error) {
+      console.error("Error updating user:", error);
+      return jsonResponse({ error: "Failed to update user" }, 500);
+    }
+  }
+
+  // Delete admin user
+  if (path.startsWith(`${API_PREFIX}/users/`) && method === "DELETE") {
+    const auth = requireUser(req, "users:manage");
+    if (auth instanceof Response) return auth;
+
+    const userId = path.split("/").pop();
+    const user = users[userId as string];
+    if (!user) {
+      return jsonResponse({ error: "User not found" }, 404);
+    }
+
+    if (isLastManager(user)) {
+      return jsonResponse({ error: "Cannot delete the last manager" }, 409);
+    }
+
+    delete users[user.id];
+    storage.remove("users", user.id);
+    revokeSessions((session) => session.userId === user.id);
+
+    return jsonResponse({ success: true });
+  }
+
+  // Get order lifecycle definition
+  if (path === `${API_PREFIX}/order-statuses` && method === "GET") {
+    return jsonResponse(ORDER_STATUSES);
+  }
+
+  // Join the waitlist for an item that is out of stock
+  if (path === `${API_PREFIX}/waitlist` && method === "POST") {
+    try {
+      const body = await req.json();
+      const participant = getParticipant(req);
+      const username = body.username || participant?.name;
+      const quantity = body.quantity ?? 1;
+
+      const item = allItems.find((i) => i.id === body.itemId);
+      if (!item) {
+        return jsonResponse({ error: "Item not found" }, 404);
+      }
+      if (
+        typeof username !== "string" ||
+        !username.trim() ||
+        !Number.isInteger(quantity) ||
+        quantity < 1
+      ) {
+        return jsonResponse({ error: "Invalid waitlist request" }, 400);
+      }
+
+      if (checkOrderStock([{ id: item.id, quantity }]).available) {
+        return jsonResponse(
+          { error: `${item.name} is in stock, order it instead` },
+          409,
+        );
+      }
+
+      if (findWaitingEntry(item.id, participant?.id, username)) {
+        return jsonResponse(
+          { error: `You are already on the waitlist for ${item.name}` },
+          409,
+        );
+      }
+
+      // Checked again when the entry is served, as the team may order more
+      // in the meantime
+      const quotaCheck = checkOrderQuotas(
+        [{ id: item.id, quantity }],
+        participant?.id,
+        username,
+      );
+      if (!quotaCheck.allowed) {
+        return jsonResponse(
+          {
+            error: "This request would exceed the checkout limits",
+            quotaViolations: quotaCheck.violations,
+          },
+          400,
+        );
+      }
+
+      const queue = getItemWaitlist(item.id);
+      const entry: WaitlistEntry = {
+        id: uuidv4(),
+        itemId: item.id,
+        quantity,
+        username,
+        participantId: participant?.id,
+        status: "waiting",
+        position: queue.length > 0 ? queue[queue.length - 1].position + 1 : 0,
+        created: Date.now(),
+        updated: Date.now(),
+      };
+      saveWaitlistEntry(entry);
+
+      return jsonResponse({ ...entry, place: queue.length + 1 }, 201);
+    } catch (error) {
+      console.error("Error joining waitlist:", error);
+      return jsonResponse({ error: "Failed to join waitlist" }, 500);
+    }
+  }
+
+  // Waiting entries for every item, in queue order (admin)
+  if (path === `${API_PREFIX}/waitlist` && method === "GET") {
+    const auth = requireUser(req, "orders:read");
+    if (auth instanceof Response) return auth;
+
+    const itemIds = [
+      ...new Set(
+        Object.values(waitlist)
+          .filter((entry) => entry.status === "waiting")
+          .map((entry) => entry.itemId),
+      ),
+    ];
+
+    return jsonResponse(
+      itemIds.map((itemId) => ({
+        itemId,
+        itemName: allItems.find((i) => i.id === itemId)?.name || itemId,
+        entries: getItemWaitlist(itemId),
+      })),
+    );
+  }
+
+  // Leave the waitlist (the participant who joined, or an admin)
+  if (path.startsWith(`${API_PREFIX}/waitlist/`) && method === "DELETE") {
+    const entry = waitlist[path.split("/").pop() as string];
+    if (!entry || entry.status !== "waiting") {
+      return jsonResponse({ error: "Waitlist entry not found" }, 404);
+    }
+
+    const participant = getParticipant(req);
+    if (!participant || participant.id !== entry.participantId) {
+      const auth = requireUser(req, "orders:update");
+      if (auth instanceof Response) return auth;
+    }
+
+    delete waitlist[entry.id];
+    storage.remove("waitlist", entry.id);
+
+    return jsonResponse({ success: true });
+  }
+
+  // Reorder an item's waitlist (admin)
+  if (
+    path.startsWith(`${API_PREFIX}/items/`) &&
+    path.endsWith("/waitlist") &&
+    method === "PUT"
+  ) {
+    const auth = requireUser(req, "orders:update");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const itemId = path.split("/").slice(-2)[0];
+      const { ids } = await req.json();
+      const queue = getItemWaitlist(itemId);
+
+      // The new order must list every waiting entry exactly once
+      if (
+        !Array.isArray(ids) ||
+        ids.length !== queue.length ||
+        new Set(ids).size !== ids.length ||
+        !queue.every((entry) => ids.includes(entry.id))
+      ) {
+        return jsonResponse(
+          { error: "ids must list every waiting entry for the item" },
+          400,
+        );
+      }
+
+      storage.transaction(() => {
+        ids.forEach((id: string, position: number) => {
+          saveWaitlistEntry({ ...waitlist[id], position });
+        });
+      });
+      console.log(`Waitlist for ${itemId} reordered by ${auth.user.username}`);
+
+      // The new front of the queue may fit the stock that is left
+      processWaitlist([itemId]);
+
+      return jsonResponse(getItemWaitlist(itemId));
+    } catch (error) {
+      console.error("Error reordering waitlist:", error);
+      return jsonResponse({ error: "Failed to reorder waitlist" }, 500);
+    }
+  }
+
+  // Search the catalog (see catalogSearch.ts for the parameters). Without a
+  // limit every match is returned; X-Total-Count counts matches on all pages.
+  if (path === `${API_PREFIX}/items` && method === "GET") {
+    const { query, errors } = parseCatalogQuery(url.searchParams);
+    if (errors.length > 0) {
+      return jsonResponse({ error: "Invalid query", details: errors }, 400);
+    }
+
+    const result = searchCatalog(catalogWithAvailability(), query);
+    return jsonResponse(result.items, 200, {
+      "X-Total-Count": String(result.total),
+      "Access-Control-Expose-Headers": "X-Total-Count",
     });
   }
 
-  // Handle static files
-  if (!path.startsWith(API_PREFIX)) {
-    // Default to index.html for root or client-side routes
-    const filePath = path === "/" ? "/index.html" : path;
-    const fullPath = join(PUBLIC_DIR, filePath);
+  // Create item (inventory managers)
+  if (path === `${API_PREFIX}/items` && method === "POST") {
+    const auth = requireUser(req, "inventory:write");
+    if (auth instanceof Response) return auth;
 
     try {
-      const file = Bun.file(fullPath);
-      if (await file.exists()) {
-        return new Response(file);
+      const body = await req.json();
+      const { item, errors } = parseItemInput(body, false);
+
+      if (errors.length > 0) {
+        return jsonResponse({ error: "Invalid item", details: errors }, 400);
       }
 
-      // If file doesn't exist but doesn't start with API_PREFIX,
-      // it might be a client-side route - serve index.html
-      return new Response(Bun.file(join(PUBLIC_DIR, "/index.html")));
+      if (allItems.some((existing) => existing.id === item.id)) {
+        return jsonResponse({ error: `Item ${item.id} already exists` }, 409);
+      }
+
+      const newItem: Item = {
+        id: item.id as string,
+        name: item.name as string,
+        description: item.description || "",
+        price: item.price || 0,
+        stock: 0,
+        imageUrl: item.imageUrl || "",
+        category: item.category || "Components",
+        tags: item.tags || [],
+        datasheet: item.datasheet || "",
+        supplier: item.supplier || "Custom",
+        partNumber: item.partNumber || (item.id as string),
+        manufacturer: item.manufacturer,
+        manufacturerPartNumber: item.manufacturerPartNumber,
+        attributes: item.attributes,
+        loanable: item.loanable,
+        units: item.units,
+        source: "manual",
+      };
+
+      allItems.push(newItem);
+      moveStock(newItem, item.stock || 0, {
+        type: "import",
+        reason: "Item created",
+        actor: auth.user.username,
+      });
+      console.log(`Item ${newItem.id} created by ${auth.user.username}`);
+
+      return jsonResponse(newItem, 201);
     } catch (error) {
-      return new Response("Not found", { status: 404 });
+      console.error("Error creating item:", error);
+      return jsonResponse({ error: "Failed to create item" }, 500);
     }
   }
 
-  // API routes
-  // Get VAPID public key
+  // Adjust item stock with a reason (inventory managers)
   if (
-    path === `${API_PREFIX}/notifications/vapid-public-key` &&
-    method === "GET"
+    path.startsWith(`${API_PREFIX}/items/`) &&
+    path.endsWith("/stock") &&
+    method === "POST"
   ) {
-    return jsonResponse({ publicKey: vapidKeys.publicKey });
+    const auth = requireUser(req, "inventory:write");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const itemId = path.split("/").slice(-2)[0];
+      const item = allItems.find((item) => item.id === itemId);
+      if (!item) {
+        return jsonResponse({ error: "Item not found" }, 404);
+      }
+
+      const body = await req.json();
+      const delta = Number(body.delta);
+      const reason = typeof body.reason === "string" ? body.reason.trim() : "";
+      const type = body.type === undefined ? "adjustment" : body.type;
+
+      if (type !== "adjustment" && type !== "restock") {
+        return jsonResponse(
+          { error: "type must be adjustment or restock" },
+          400,
+        );
+      }
+
+      if (type === "restock" && delta < 0) {
+        return jsonResponse({ error: "A restock must add stock" }, 400);
+      }
+
+      if (!Number.isInteger(delta) || delta === 0) {
+        return jsonResponse(
+          { error: "delta must be a non-zero whole number" },
+          400,
+        );
+      }
+
+      if (!reason) {
+        return jsonResponse({ error: "A reason is required" }, 400);
+      }
+
+      if (item.stock + delta < 0) {
+        return jsonResponse(
+          { error: `Only ${item.stock} in stock, cannot remove ${-delta}` },
+          400,
+        );
+      }
+
+      moveStock(item, delta, { type, reason, actor: auth.user.username });
+      if (delta > 0) {
+        processWaitlist([item.id]);
+      }
+
+      return jsonResponse(item);
+    } catch (error) {
+      console.error("Error adjusting stock:", error);
+      return jsonResponse({ error: "Failed to adjust stock" }, 500);
+    }
   }
 
-  // Register push notification
-  if (path === `${API_PREFIX}/notifications/register` && method === "POST") {
+  // Fetch supplier details for one item again, bypassing the cache
+  // (inventory managers)
+  if (
+    path.startsWith(`${API_PREFIX}/items/`) &&
+    path.endsWith("/enrich") &&
+    method === "POST"
+  ) {
+    const auth = requireUser(req, "inventory:write");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const itemId = path.split("/").slice(-2)[0];
+      const item = allItems.find((item) => item.id === itemId);
+      if (!item) {
+        return jsonResponse({ error: "Item not found" }, 404);
+      }
+      if (!item.enrichment) {
+        return jsonResponse(
+          { error: "Only supplier catalog items can be enriched" },
+          400,
+        );
+      }
+      const supplier = findSupplier(item.supplier);
+      if (supplier && !supplier.adapter.configured) {
+        return jsonResponse({ error: offlineMessage(supplier) }, 503);
+      }
+
+      const [enriched] = await enrichItems([item.id], true);
+      if (enriched?.enrichment?.status !== "enriched") {
+        return jsonResponse(
+          {
+            error: `${item.supplier} lookup failed: ${enriched?.enrichment?.error}`,
+            item: enriched,
+          },
+          502,
+        );
+      }
+
+      console.log(`Item ${itemId} enriched by ${auth.user.username}`);
+      return jsonResponse(enriched);
+    } catch (error) {
+      console.error("Error enriching item:", error);
+      return jsonResponse({ error: "Failed to enrich item" }, 500);
+    }
+  }
+
+  // Update item details (inventory managers)
+  if (path.startsWith(`${API_PREFIX}/items/`) && method === "PUT") {
+    const auth = requireUser(req, "inventory:write");
+    if (auth instanceof Response) return auth;
+
     try {
+      const itemId = path.split("/").pop();
+      const item = allItems.find((item) => item.id === itemId);
+      if (!item) {
+        return jsonResponse({ error: "Item not found" }, 404);
+      }
+
       const body = await req.json();
-      const { orderId, username, subscription } = body;
+      if (body.stock !== undefined) {
+        return jsonResponse(
+          { error: "Use POST /items/:id/stock to change stock" },
+          400,
+        );
+      }
 
-      if (!orderId || !subscription) {
-        return jsonResponse({ error: "Missing required fields" }, 400);
+      const { item: changes, errors } = parseItemInput(body, true);
+      if (errors.length > 0) {
+        return jsonResponse({ error: "Invalid item", details: errors }, 400);
       }
 
-      // Store the subscription for this order
-      pushSubscriptions[orderId] = {
-        username: username || "Anonymous",
-        subscription,
-        timestamp: Date.now(),
-      };
+      // The admin form sends every field, so only the ones that differ count
+      // as edited. Catalog reloads keep those instead of the CSV values.
+      const edited = Object.keys(changes).filter(
+        (field) =>
+          JSON.stringify(item[field as keyof Item]) !==
+          JSON.stringify(changes[field as keyof Item]),
+      );
+      Object.assign(item, changes);
+      if (edited.length > 0) {
+        item.editedFields = [
+          ...new Set([...(item.editedFields || []), ...edited]),
+        ];
+      }
+      storage.put("items", item.id, item);
+      console.log(`Item ${item.id} updated by ${auth.user.username}`);
+
+      return jsonResponse(item);
+    } catch (error) {
+      console.error("Error updating item:", error);
+      return jsonResponse({ error: "Failed to update item" }, 500);
+    }
+  }
 
-      saveSubscriptions();
+  // Delete item (inventory managers)
+  if (path.startsWith(`${API_PREFIX}/items/`) && method === "DELETE") {
+    const auth = requireUser(req, "inventory:write");
+    if (auth instanceof Response) return auth;
 
-      return jsonResponse({ success: true });
+    const itemId = path.split("/").pop();
+    const index = allItems.findIndex((item) => item.id === itemId);
+    if (index === -1) {
+      return jsonResponse({ error: "Item not found" }, 404);
+    }
+
+    const openOrders = getOpenOrdersForItem(itemId as string);
+    if (openOrders.length > 0) {
+      return jsonResponse(
+        {
+          error: `Item is part of ${openOrders.length} open orders`,
+          orderIds: openOrders.map((order) => order.id),
+        },
+        409,
+      );
+    }
+
+    const [item] = allItems.splice(index, 1);
+    if (item.stock !== 0) {
+      moveStock(item, -item.stock, {
+        type: "adjustment",
+        reason: "Item deleted",
+        actor: auth.user.username,
+      });
+    }
+    storage.remove("items", item.id);
+    console.log(`Item ${itemId} deleted by ${auth.user.username}`);
+
+    return jsonResponse({ success: true });
+  }
+
+  // Re-import the catalog CSVs (inventory managers)
+  if (path === `${API_PREFIX}/catalog/reload` && method === "POST") {
+    const auth = requireUser(req, "inventory:write");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const dryRun = url.searchParams.get("dryRun") === "true";
+      return jsonResponse(await reloadCatalog(auth.user.username, dryRun));
     } catch (error) {
-      console.error("Error registering push subscription:", error);
-      return jsonResponse({ error: "Failed to register subscription" }, 500);
+      console.error("Error reloading catalog:", error);
+      return jsonResponse({ error: "Failed to reload catalog" }, 500);
     }
   }
 
-  // Get all items
-  if (path === `${API_PREFIX}/items` && method === "GET") {
-    return jsonResponse(allItems);
+  // Start enriching every supplier item in the background; with force=true
+  // cached details are fetched again (inventory managers)
+  if (path === `${API_PREFIX}/catalog/enrich` && method === "POST") {
+    const auth = requireUser(req, "inventory:write");
+    if (auth instanceof Response) return auth;
+
+    startEnrichment(url.searchParams.get("force") === "true");
+    return jsonResponse(enrichmentStatus, 202);
+  }
+
+  // Progress of the current or last enrichment run (inventory managers)
+  if (path === `${API_PREFIX}/catalog/enrichment` && method === "GET") {
+    const auth = requireUser(req, "inventory:write");
+    if (auth instanceof Response) return auth;
+
+    return jsonResponse(enrichmentStatus);
+  }
+
+  // Item counts per category, supplier, manufacturer and spec for the
+  // storefront filters. Takes the same parameters as GET /items.
+  if (path === `${API_PREFIX}/catalog/facets` && method === "GET") {
+    const { query, errors } = parseCatalogQuery(url.searchParams);
+    if (errors.length > 0) {
+      return jsonResponse({ error: "Invalid query", details: errors }, 400);
+    }
+
+    return jsonResponse(catalogFacets(catalogWithAvailability(), query));
+  }
+
+  // Stock movements for one item, oldest first
+  if (
+    path.startsWith(`${API_PREFIX}/items/`) &&
+    path.endsWith("/ledger") &&
+    method === "GET"
+  ) {
+    const auth = requireUser(req, "orders:read");
+    if (auth instanceof Response) return auth;
+
+    const itemId = path.split("/").slice(-2)[0];
+    const entries = stockLedger.filter((entry) => entry.itemId === itemId);
+    const item = allItems.find((item) => item.id === itemId);
+
+    if (!item && entries.length === 0) {
+      return jsonResponse({ error: "Item not found" }, 404);
+    }
+
+    return jsonResponse({
+      itemId,
+      stock: item?.stock ?? 0,
+      // Should equal stock; a mismatch means stock changed outside the ledger
+      ledgerTotal: entries.reduce((total, entry) => total + entry.delta, 0),
+      entries,
+    });
+  }
+
+  // Stock level after each of an item's recent movements, for the item page.
+  // Leaves out who moved stock and why, which only admins see.
+  if (
+    path.startsWith(`${API_PREFIX}/items/`) &&
+    path.endsWith("/stock-history") &&
+    method === "GET"
+  ) {
+    const itemId = path.split("/").slice(-2)[0];
+    const item = allItems.find((item) => item.id === itemId);
+    if (!item) {
+      return jsonResponse({ error: "Item not found" }, 404);
+    }
+
+    const points = stockLedger
+      .filter((entry) => entry.itemId === itemId)
+      .slice(-STOCK_HISTORY_POINTS)
+      .map((entry) => ({ timestamp: entry.timestamp, stock: entry.balance }));
+    return jsonResponse({ itemId, stock: item.stock, points });
+  }
+
+  // Parts sharing tags or the category with an item
+  if (
+    path.startsWith(`${API_PREFIX}/items/`) &&
+    path.endsWith("/related") &&
+    method === "GET"
+  ) {
+    const itemId = path.split("/").slice(-2)[0];
+    const items = catalogWithAvailability();
+    const item = items.find((item) => item.id === itemId);
+    if (!item) {
+      return jsonResponse({ error: "Item not found" }, 404);
+    }
+
+    const limit = parseInt(url.searchParams.get("limit") || "6");
+    return jsonResponse(
+      relatedItems(items, item, Math.min(Math.max(limit || 6, 1), 24)),
+    );
   }
 
   // Get single item by ID
@@ -586,63 +3735,177 @@ async function handleRequest(req: Request): Promise<Response> {
     const item = allItems.find((item) => item.id === itemId);
 
     if (item) {
-      return jsonResponse(item);
+      return jsonResponse(withAvailability(item));
     }
     return jsonResponse({ error: "Item not found" }, 404);
   }
 
+  // Cart hold settings for the storefront
+  if (path === `${API_PREFIX}/cart-holds` && method === "GET") {
+    return jsonResponse({
+      enabled: CART_HOLD_TTL > 0,
+      minutes: config.CART_HOLD_MINUTES,
+    });
+  }
+
+  // Hold stock for a cart, replacing whatever it held before (signed-in
+  // participants and admin users)
+  if (path.startsWith(`${API_PREFIX}/cart-holds/`) && method === "PUT") {
+    if (CART_HOLD_TTL <= 0) {
+      return jsonResponse({ error: "Cart holds are disabled" }, 404);
+    }
+
+    const client = getCartHoldClient(req);
+    if (client instanceof Response) return client;
+
+    try {
+      const cartId = path.split("/").pop() as string;
+      if (!/^[\w-]{8,64}$/.test(cartId)) {
+        return jsonResponse({ error: "Invalid cart ID" }, 400);
+      }
+
+      const body = await req.json();
+      const existing = cartHolds[cartId];
+      if (existing?.owner && existing.owner !== client.owner) {
+        return jsonResponse(
+          { error: "This cart belongs to someone else" },
+          403,
+        );
+      }
+
+      if (Array.isArray(body.items) && body.items.length === 0) {
+        const released = releaseCartHold(cartId);
+        if (released) processWaitlist(released.items.map((item) => item.id));
+        return jsonResponse({ success: true });
+      }
+
+      const { cart, errors } = parseCart(body.items);
+      if (errors.length > 0) {
+        return jsonResponse({ error: "Invalid cart", details: errors }, 400);
+      }
+
+      const otherHolds = getCartHoldsOf(client.owner, cartId);
+      if (otherHolds.length >= MAX_CART_HOLDS_PER_CLIENT) {
+        return jsonResponse(
+          {
+            error: `You can hold at most ${MAX_CART_HOLDS_PER_CLIENT} carts at once`,
+          },
+          429,
+        );
+      }
+
+      // Held items count toward the checkout limits like an order would,
+      // together with what the client's other carts hold
+      const quotaCheck = checkOrderQuotas(
+        cart,
+        client.participantId,
+        client.username,
+        otherHolds.flatMap((hold) => hold.items),
+      );
+      if (!quotaCheck.allowed) {
+        return jsonResponse(
+          {
+            error: "This cart would exceed the checkout limits",
+            quotaViolations: quotaCheck.violations,
+          },
+          400,
+        );
+      }
+
+      const result = setCartHold(cartId, cart, client);
+      if (!("hold" in result)) {
+        return jsonResponse(
+          {
+            error: "Not enough stock left to hold these items",
+            unavailableItems: result.unavailableItems,
+          },
+          409,
+        );
+      }
+
+      return jsonResponse(result.hold);
+    } catch (error) {
+      console.error("Error holding cart:", error);
+      return jsonResponse({ error: "Failed to hold cart" }, 500);
+    }
+  }
+
+  // Release a cart's hold (its owner only)
+  if (path.startsWith(`${API_PREFIX}/cart-holds/`) && method === "DELETE") {
+    const client = getCartHoldClient(req);
+    if (client instanceof Response) return client;
+
+    const cartId = path.split("/").pop() as string;
+    const existing = cartHolds[cartId];
+    if (existing?.owner && existing.owner !== client.owner) {
+      return jsonResponse({ error: "This cart belongs to someone else" }, 403);
+    }
+
+    const released = releaseCartHold(cartId);
+    if (released) processWaitlist(released.items.map((item) => item.id));
+    return jsonResponse({ success: true });
+  }
+
   // Create new order
   if (path === `${API_PREFIX}/orders` && method === "POST") {
     try {
       const body = await req.json();
-      const { username, cart } = body;
+      const { cart, errors } = parseCart(body.cart);
 
-      if (!username || !cart || !Array.isArray(cart) || cart.length === 0) {
-        return jsonResponse({ error: "Invalid order data" }, 400);
+      // Signed-in participants get the order linked to their account
+      const participant = getParticipant(req);
+      const username = body.username || participant?.name;
+
+      if (!username || errors.length > 0) {
+        return jsonResponse(
+          { error: "Invalid order data", details: errors },
+          400,
+        );
+      }
+
+      // Only the client that holds a cart can order the stock it holds
+      const cartId = typeof body.cartId === "string" ? body.cartId : undefined;
+      const hold = cartId ? cartHolds[cartId] : undefined;
+      if (hold) {
+        const client = getCartHoldClient(req);
+        if (client instanceof Response || client.owner !== hold.owner) {
+          return jsonResponse(
+            { error: "This cart belongs to someone else" },
+            403,
+          );
+        }
       }
 
       // Generate order ID
       const orderId = uuidv4();
 
-      // Create order
-      const stockCheck = checkOrderStock(cart);
+      const quotaCheck = checkOrderQuotas(cart, participant?.id, username);
 
-      if (!stockCheck.available) {
+      if (!quotaCheck.allowed) {
         return jsonResponse(
           {
-            error:
-              "Some items are out of stock or not available in requested quantity",
-            unavailableItems: stockCheck.unavailableItems,
+            error: "This order would exceed the checkout limits",
+            quotaViolations: quotaCheck.violations,
           },
           400,
         );
       }
 
       // Process the order
-      const newOrder = {
-        id: orderId,
-        username,
-        items: cart.map((cartItem) => {
-          const item = allItems.find((i) => i.id === cartItem.id);
-          return {
-            id: cartItem.id,
-            name: item?.name || cartItem.id,
-            price: item?.price || 0,
-            quantity: cartItem.quantity,
-          };
-        }),
-        status: "pending",
-        notes: [],
-        created: Date.now(),
-        updated: Date.now(),
-      };
+      const newOrder = createOrder(orderId, username, participant?.id, cart);
 
-      // Reserve stock
-      reserveStock(cart);
+      const stockCheck = placeOrder(newOrder, cart, cartId);
 
-      // Store the order
-      orders[orderId] = newOrder;
-      saveOrders();
+      if (!stockCheck.available) {
+        return jsonResponse(
+          {
+            error:
+              "Some items are out of stock or not available in requested quantity",
+            unavailableItems: stockCheck.unavailableItems,
+          },
+          400,
+        );
+      }
 
       return jsonResponse(newOrder);
     } catch (error) {
@@ -651,6 +3914,88 @@ async function handleRequest(req: Request): Promise<Response> {
     }
   }
 
+  // Printable pickup ticket (the participant who placed the order, or staff).
+  // Shows the QR code once the order is approved and refreshes itself until
+  // then, so it also works as a tracking page.
+  if (
+    path.startsWith(`${API_PREFIX}/orders/`) &&
+    path.endsWith("/ticket") &&
+    method === "GET"
+  ) {
+    const orderId = path.split("/").slice(-2)[0];
+    const order = orders[orderId];
+    if (!order || !canSeePickupTicket(req, order)) {
+      return new Response("Order not found", {
+        status: 404,
+        headers: corsHeaders,
+      });
+    }
+
+    const qrSvg =
+      order.status === "approved"
+        ? await pickupQrSvg(pickupUrl(url, order))
+        : null;
+    const html = renderTicketPage(
+      { ...order, statusLabel: ORDER_STATUSES[order.status].label },
+      qrSvg,
+      "/css/style.css",
+    );
+    return new Response(html, {
+      headers: {
+        "Content-Type": "text/html; charset=utf-8",
+        "Cache-Control": "no-store",
+        ...corsHeaders,
+      },
+    });
+  }
+
+  // Pickup QR code alone, for the order page (same access as the ticket)
+  if (
+    path.startsWith(`${API_PREFIX}/orders/`) &&
+    path.endsWith("/pickup-qr") &&
+    method === "GET"
+  ) {
+    const orderId = path.split("/").slice(-2)[0];
+    const order = orders[orderId];
+    if (!order || !canSeePickupTicket(req, order)) {
+      return jsonResponse({ error: "Order not found" }, 404);
+    }
+    if (order.status !== "approved") {
+      return jsonResponse(
+        { error: "Pickup tickets are issued once an order is approved" },
+        409,
+      );
+    }
+
+    return new Response(await pickupQrSvg(pickupUrl(url, order)), {
+      headers: {
+        "Content-Type": "image/svg+xml",
+        "Cache-Control": "no-store",
+        ...corsHeaders,
+      },
+    });
+  }
+
+  // Units lent on an order, for the order page
+  if (
+    path.startsWith(`${API_PREFIX}/orders/`) &&
+    path.endsWith("/loans") &&
+    method === "GET"
+  ) {
+    const order = orders[path.split("/").slice(-2)[0]];
+    if (!order) {
+      return jsonResponse({ error: "Order not found" }, 404);
+    }
+
+    const now = Date.now();
+    return jsonResponse(
+      getOrderLoans(order.id).map((loan) => ({
+        ...loan,
+        overdue: isOverdue(loan, now),
+      })),
+    );
+  }
+
   // Get order by ID
   if (path.startsWith(`${API_PREFIX}/orders/`) && method === "GET") {
     const orderId = path.split("/").pop();
@@ -662,17 +4007,248 @@ async function handleRequest(req: Request): Promise<Response> {
     return jsonResponse({ error: "Order not found" }, 404);
   }
 
+  // Change an order's items: quantities, removals, substitutions and
+  // additions (see orderEdit.ts). Only before anything is handed over.
+  if (
+    path.startsWith(`${API_PREFIX}/orders/`) &&
+    path.endsWith("/items") &&
+    method === "PUT"
+  ) {
+    const auth = requireUser(req, "orders:update");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const order = orders[path.split("/").slice(-2)[0]];
+      if (!order) {
+        return jsonResponse({ error: "Order not found" }, 404);
+      }
+      if (!ORDER_STATUSES[order.status].editable) {
+        return jsonResponse(
+          {
+            error: `Items cannot change once an order is ${ORDER_STATUSES[order.status].label.toLowerCase()}`,
+          },
+          409,
+        );
+      }
+      if (getOrderLoans(order.id).length > 0) {
+        return jsonResponse(
+          { error: "Items cannot change once units are lent out" },
+          409,
+        );
+      }
+
+      const body = await req.json();
+      const plan = planOrderEdit(order.items, body.items, (id) =>
+        allItems.find((i) => i.id === id),
+      );
+      if (plan.errors.length > 0) {
+        return jsonResponse(
+          { error: "Invalid order edit", details: plan.errors },
+          400,
+        );
+      }
+      if (plan.changes.length === 0) {
+        return jsonResponse(order);
+      }
+
+      // Extra units count toward the checkout limits of the order's team,
+      // less whatever the edit gives back
+      const extra = plan.stock.filter((line) => line.quantity > 0);
+      if (extra.length > 0) {
+        const quotaCheck = checkOrderQuotas(
+          extra,
+          order.participantId,
+          order.username,
+          plan.stock.filter((line) => line.quantity < 0),
+        );
+        if (!quotaCheck.allowed) {
+          return jsonResponse(
+            {
+              error: "This edit would exceed the order's checkout limits",
+              quotaViolations: quotaCheck.violations,
+            },
+            400,
+          );
+        }
+      }
+
+      const note = typeof body.note === "string" ? body.note : "";
+      const stockCheck = editOrderItems(order, plan, auth.user.username, note);
+      if (!stockCheck.available) {
+        return jsonResponse(
+          {
+            error: "Not enough stock for the extra items",
+            unavailableItems: stockCheck.unavailableItems,
+          },
+          409,
+        );
+      }
+
+      return jsonResponse(order);
+    } catch (error) {
+      console.error("Error editing order:", error);
+      return jsonResponse({ error: "Failed to edit order" }, 500);
+    }
+  }
+
+  // Split items off into a backorder so the rest can be handed over now
+  if (
+    path.startsWith(`${API_PREFIX}/orders/`) &&
+    path.endsWith("/backorder") &&
+    method === "POST"
+  ) {
+    const auth = requireUser(req, "orders:update");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const order = orders[path.split("/").slice(-2)[0]];
+      if (!order) {
+        return jsonResponse({ error: "Order not found" }, 404);
+      }
+      if (!ORDER_STATUSES[order.status].editable) {
+        return jsonResponse(
+          {
+            error: `Items cannot change once an order is ${ORDER_STATUSES[order.status].label.toLowerCase()}`,
+          },
+          409,
+        );
+      }
+      if (getOrderLoans(order.id).length > 0) {
+        return jsonResponse(
+          { error: "Items cannot change once units are lent out" },
+          409,
+        );
+      }
+
+      const body = await req.json();
+      const plan = planBackorder(order.items, body.items);
+      if (plan.errors.length > 0) {
+        return jsonResponse(
+          { error: "Invalid backorder", details: plan.errors },
+          400,
+        );
+      }
+
+      const note = typeof body.note === "string" ? body.note : "";
+      const backorder = splitBackorder(order, plan, auth.user.username, note);
+
+      return jsonResponse({ order, backorder }, 201);
+    } catch (error) {
+      console.error("Error creating backorder:", error);
+      return jsonResponse({ error: "Failed to create backorder" }, 500);
+    }
+  }
+
+  // Cancel a pending order from the participant account that placed it
+  if (
+    path.startsWith(`${API_PREFIX}/orders/`) &&
+    path.endsWith("/cancel") &&
+    method === "POST"
+  ) {
+    const participant = getParticipant(req);
+    if (!participant) {
+      return jsonResponse({ error: "Not signed in" }, 401);
+    }
+
+    const order = orders[path.split("/").slice(-2)[0]];
+    if (!order || order.participantId !== participant.id) {
+      return jsonResponse({ error: "Order not found" }, 404);
+    }
+    if (order.status !== "pending") {
+      return jsonResponse(
+        {
+          error: `Only pending orders can be cancelled; this one is ${ORDER_STATUSES[order.status].label.toLowerCase()}`,
+        },
+        409,
+      );
+    }
+
+    changeOrderStatus(
+      order,
+      "cancelled",
+      participant.name,
+      "Cancelled by the participant",
+    );
+    publishOrder(order, "updated");
+
+    return jsonResponse(order);
+  }
+
+  // Record which lines of a picked up order came back. Those are restocked
+  // and the order is closed as returned; the rest count as used up.
+  if (
+    path.startsWith(`${API_PREFIX}/orders/`) &&
+    path.endsWith("/return") &&
+    method === "POST"
+  ) {
+    const auth = requireUser(req, "orders:update");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const order = orders[path.split("/").slice(-2)[0]];
+      if (!order) {
+        return jsonResponse({ error: "Order not found" }, 404);
+      }
+      if (!canTransition(order.status, "returned")) {
+        return jsonResponse(
+          {
+            error: `Cannot return an order that is ${ORDER_STATUSES[order.status].label.toLowerCase()}`,
+          },
+          409,
+        );
+      }
+      const openLoans = getOrderLoans(order.id).filter(
+        (loan) => !loan.returned,
+      );
+      if (openLoans.length > 0) {
+        return jsonResponse(
+          {
+            error: `${openLoans.length} loaned units are still out; check them in first`,
+            loans: openLoans,
+          },
+          409,
+        );
+      }
+
+      const body = await req.json();
+      const plan = planReturn(order.items, body.items);
+      if (plan.errors.length > 0) {
+        return jsonResponse(
+          { error: "Invalid return", details: plan.errors },
+          400,
+        );
+      }
+
+      const note =
+        typeof body.note === "string" && body.note
+          ? body.note
+          : plan.changes.join(", ");
+      order.returnedItems = plan.items;
+      changeOrderStatus(
+        order,
+        "returned",
+        auth.user.username,
+        note,
+        plan.items,
+      );
+      publishOrder(order, "updated");
+
+      return jsonResponse(order);
+    } catch (error) {
+      console.error("Error returning order:", error);
+      return jsonResponse({ error: "Failed to return order" }, 500);
+    }
+  }
+
   // Update order status
   if (path.startsWith(`${API_PREFIX}/orders/`) && method === "PUT") {
     try {
+      const auth = requireUser(req, "orders:update");
+      if (auth instanceof Response) return auth;
+
       const orderId = path.split("/").pop();
       const body = await req.json();
-      const { adminCode, status, note } = body;
-
-      // Check admin code - in a real app, use proper authentication
-      if (adminCode !== config.ADMIN_CODE) {
-        return jsonResponse({ error: "Invalid admin code" }, 403);
-      }
+      const { status, note } = body;
 
       const order = orders[orderId as string];
       if (!order) {
@@ -681,35 +4257,64 @@ async function handleRequest(req: Request): Promise<Response> {
 
       // Handle status change
       if (status && status !== order.status) {
-        // Handle cancellation - return stock
-        if (status === "cancelled" && order.status !== "cancelled") {
-          returnStock(
-            order.items.map((item: OrderItem) => ({
-              id: item.id,
-              quantity: item.quantity,
-            })),
+        if (!isOrderStatus(status)) {
+          return jsonResponse({ error: `Unknown order status: ${status}` }, 400);
+        }
+
+        if (!canTransition(order.status, status)) {
+          return jsonResponse(
+            {
+              error: `Cannot change order from ${order.status} to ${status}`,
+              allowedTransitions: ORDER_STATUSES[order.status].transitions,
+            },
+            409,
           );
         }
 
-        order.status = status;
-        order.updated = Date.now();
+        const { permission, action } = ORDER_STATUSES[status];
+        if (!hasPermission(auth.user.role, permission)) {
+          return jsonResponse(
+            {
+              error: `Your role (${auth.user.role}) cannot ${action.toLowerCase()}`,
+            },
+            403,
+          );
+        }
 
-        // Send push notification about status change
-        if (pushSubscriptions[orderId as string]) {
-          sendOrderNotification(orderId as string, status, note);
+        // Closing the order would lose track of units still out on loan
+        const openLoans = getOrderLoans(order.id).filter(
+          (loan) => !loan.returned,
+        );
+        if (
+          ORDER_STATUSES[status].transitions.length === 0 &&
+          openLoans.length > 0
+        ) {
+          return jsonResponse(
+            {
+              error: `${openLoans.length} loaned units are still out; check them in first`,
+              loans: openLoans,
+            },
+            409,
+          );
         }
+
+        changeOrderStatus(order, status, auth.user.username, note);
       }
 
       // Add note if provided
       if (note) {
         order.notes.push({
           text: note,
+          author: auth.user.username,
           timestamp: Date.now(),
         });
+        order.updated = Date.now();
+        order.updatedBy = auth.user.username;
       }
 
       // Save changes
-      saveOrders();
+      storage.put("orders", order.id, order);
+      publishOrder(order, "updated");
 
       return jsonResponse(order);
     } catch (error) {
@@ -718,16 +4323,131 @@ async function handleRequest(req: Request): Promise<Response> {
     }
   }
 
-  // Get all orders (admin only)
-  if (path === `${API_PREFIX}/orders` && method === "GET") {
-    const url = new URL(req.url);
-    const adminCode = url.searchParams.get("adminCode");
+  // Look up the order behind a scanned pickup ticket
+  if (path.startsWith(`${API_PREFIX}/pickup/`) && method === "GET") {
+    const auth = requireUser(req, "orders:read");
+    if (auth instanceof Response) return auth;
+
+    const order = findPickupOrder(path);
+    if (!order) {
+      return jsonResponse({ error: "Invalid or expired pickup ticket" }, 404);
+    }
+    return jsonResponse(order);
+  }
 
-    // Check admin code - in a real app, use proper authentication
-    if (adminCode !== config.ADMIN_CODE) {
-      return jsonResponse({ error: "Invalid admin code" }, 403);
+  // Hand over the items on a scanned pickup ticket
+  if (path.startsWith(`${API_PREFIX}/pickup/`) && method === "POST") {
+    const auth = requireUser(req, "orders:update");
+    if (auth instanceof Response) return auth;
+
+    const order = findPickupOrder(path);
+    if (!order) {
+      return jsonResponse({ error: "Invalid or expired pickup ticket" }, 404);
+    }
+    if (!canTransition(order.status, "picked_up")) {
+      return jsonResponse(
+        {
+          error: `Order is ${ORDER_STATUSES[order.status].label.toLowerCase()}, not ready for pickup`,
+          order,
+        },
+        409,
+      );
+    }
+
+    changeOrderStatus(
+      order,
+      "picked_up",
+      auth.user.username,
+      "Pickup ticket scanned",
+    );
+    publishOrder(order, "updated");
+
+    return jsonResponse(order);
+  }
+
+  // Loans still out, soonest due first; with all=true returned ones too
+  if (path === `${API_PREFIX}/loans` && method === "GET") {
+    const auth = requireUser(req, "orders:read");
+    if (auth instanceof Response) return auth;
+
+    const now = Date.now();
+    const list =
+      url.searchParams.get("all") === "true"
+        ? Object.values(loans).sort((a, b) => b.checkedOut - a.checkedOut)
+        : getOpenLoans();
+    return jsonResponse(
+      list.map((loan) => ({ ...loan, overdue: isOverdue(loan, now) })),
+    );
+  }
+
+  // Lend a unit of a loanable item on an order. Due after LOAN_HOURS,
+  // capped at LOAN_DUE_AT, unless a due time is given.
+  if (path === `${API_PREFIX}/loans` && method === "POST") {
+    const auth = requireUser(req, "orders:update");
+    if (auth instanceof Response) return auth;
+
+    try {
+      const body = await req.json();
+      const { orderId, itemId, unit } = body;
+
+      const order = orders[orderId];
+      if (!order) {
+        return jsonResponse({ error: "Order not found" }, 404);
+      }
+      if (typeof itemId !== "string" || typeof unit !== "string" || !unit) {
+        return jsonResponse({ error: "itemId and unit are required" }, 400);
+      }
+
+      const now = Date.now();
+      const due =
+        body.due === undefined || body.due === ""
+          ? defaultDue(now, LOAN_POLICY)
+          : parseDue(body.due, now);
+      if (due === null) {
+        return jsonResponse({ error: "due must be a time in the future" }, 400);
+      }
+
+      const loan = checkOutLoan(order, itemId, unit, due, auth.user.username);
+      if (typeof loan === "string") {
+        return jsonResponse({ error: loan }, 409);
+      }
+
+      return jsonResponse(loan, 201);
+    } catch (error) {
+      console.error("Error lending unit:", error);
+      return jsonResponse({ error: "Failed to lend unit" }, 500);
+    }
+  }
+
+  // Check a loaned unit back in and restock it
+  if (
+    path.startsWith(`${API_PREFIX}/loans/`) &&
+    path.endsWith("/return") &&
+    method === "POST"
+  ) {
+    const auth = requireUser(req, "orders:update");
+    if (auth instanceof Response) return auth;
+
+    const loan = loans[path.split("/").slice(-2)[0]];
+    if (!loan) {
+      return jsonResponse({ error: "Loan not found" }, 404);
+    }
+    if (loan.returned) {
+      return jsonResponse(
+        { error: `${loan.unit} was already returned`, loan },
+        409,
+      );
     }
 
+    checkInLoan(loan, auth.user.username);
+    return jsonResponse(loan);
+  }
+
+  // Get all orders (admin only)
+  if (path === `${API_PREFIX}/orders` && method === "GET") {
+    const auth = requireUser(req, "orders:read");
+    if (auth instanceof Response) return auth;
+
     return jsonResponse(orders);
   }
 
@@ -737,8 +4457,52 @@ async function handleRequest(req: Request): Promise<Response> {
 
 async function startServer() {
   try {
+    // Ensure data directory exists
+    await mkdir(DATA_DIR, { recursive: true });
+
+    storage = await createStorage(
+      config.storage.BACKEND,
+      DATA_DIR,
+      SQLITE_PATH,
+    );
+    console.log(`Using ${storage.backend} storage`);
+
+    pickupSecret = await loadPickupSecret();
+
     await loadData();
+    await loadStockLedger();
+    await loadOrders();
     await loadSubscriptions();
+    await loadUsers();
+    await loadSessions();
+    await loadParticipants();
+    // Holds that expired while the server was down serve the waitlist
+    await loadWaitlist();
+    await loadCartHolds();
+    await loadLoans();
+
+    for (const supplier of suppliers) {
+      const listed = allItems.some(
+        (item) => item.enrichment && item.supplier === supplier.adapter.name,
+      );
+      if (listed && !supplier.adapter.configured) {
+        console.log(`${offlineMessage(supplier)} (see ${API_PREFIX}/health)`);
+      }
+    }
+
+    if (config.CATALOG_WATCH) {
+      watchCatalogFiles();
+    }
+
+    // Fill in supplier details while the server is already taking orders
+    startEnrichment();
+
+    if (CART_HOLD_TTL > 0) {
+      setInterval(sweepCartHolds, 60 * 1000);
+    }
+
+    checkLoanDeadlines();
+    setInterval(checkLoanDeadlines, 60 * 1000);
 
     // Use Bun's native server
     const server = Bun.serve({
@@ -766,10 +4530,20 @@ async function startServer() {
       },
     });
 
-    console.log(`Server running on port ${PORT}`);
-    console.log(`API available at http://localhost:${PORT}${API_PREFIX}`);
+    console.log(`Server running on port ${server.port}`);
+    console.log(
+      `API available at http://localhost:${server.port}${API_PREFIX}`,
+    );
     console.log(`Static files served from ${PUBLIC_DIR}`);
 
+    // Close storage cleanly so SQLite can fold its journal into the database
+    for (const signal of ["SIGINT", "SIGTERM"] as const) {
+      process.on(signal, () => {
+        storage.close();
+        process.exit(0);
+      });
+    }
+
     return server;
   } catch (error) {
     console.error("Failed to start server:", error);
@@ -777,5 +4551,9 @@ async function startServer() {
   }
 }
 
-// Start the server
-startServer();
+// Start the server unless imported by the tests
+if (import.meta.main) {
+  startServer();
+}
+
+export { startServer };
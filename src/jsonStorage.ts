@@ -0,0 +1,146 @@
+/**
+ * JSON file storage backend for the Hackathon Hardware Store Server
+ * Keeps one file per collection in data/ and rewrites a file when one of
+ * its records changes
+ */
+
+import { join } from "node:path";
+import * as fs from "node:fs";
+import type { Collection, LedgerEntry, Storage } from "./storage";
+
+const FILES: Record<Collection, string> = {
+  items: "items.json",
+  orders: "orders.json",
+  subscriptions: "subscriptions.json",
+  users: "users.json",
+  sessions: "sessions.json",
+  participants: "participants.json",
+  participantSessions: "participant_sessions.json",
+  cartHolds: "cart_holds.json",
+  waitlist: "waitlist.json",
+  loans: "loans.json",
+};
+
+// items.json has always been a list rather than an object keyed by id
+const LIST_COLLECTIONS = new Set<Collection>(["items"]);
+
+const LEDGER_FILE = "stock_ledger.jsonl";
+
+export function createJsonStorage(dataDir: string): Storage {
+  const collections = new Map<Collection, Map<string, unknown>>();
+  const dirty = new Set<Collection>();
+  let pendingLedger: string[] = [];
+  let depth = 0;
+
+  const records = (collection: Collection) => {
+    let map = collections.get(collection);
+    if (!map) {
+      map = new Map();
+      collections.set(collection, map);
+    }
+    return map;
+  };
+
+  // Writes a temporary file and renames it over the old one, so a crash
+  // mid-write never leaves a truncated file behind
+  const writeFile = (collection: Collection) => {
+    const path = join(dataDir, FILES[collection]);
+    const values = [...records(collection).values()];
+    const data = LIST_COLLECTIONS.has(collection)
+      ? values
+      : Object.fromEntries(records(collection));
+
+    fs.writeFileSync(`${path}.tmp`, JSON.stringify(data, null, 2));
+    fs.renameSync(`${path}.tmp`, path);
+  };
+
+  const flush = () => {
+    for (const collection of dirty) {
+      try {
+        writeFile(collection);
+      } catch (error) {
+        console.error(`Error saving ${FILES[collection]}:`, error);
+      }
+    }
+    dirty.clear();
+
+    if (pendingLedger.length > 0) {
+      try {
+        fs.appendFileSync(join(dataDir, LEDGER_FILE), pendingLedger.join(""));
+      } catch (error) {
+        console.error("Error writing stock ledger:", error);
+      }
+      pendingLedger = [];
+    }
+  };
+
+  const changed = () => {
+    if (depth === 0) flush();
+  };
+
+  return {
+    backend: "json",
+
+    async load<T>(collection: Collection) {
+      const map = new Map<string, unknown>();
+      const file = Bun.file(join(dataDir, FILES[collection]));
+
+      if (await file.exists()) {
+        const data = await file.json();
+        const entries: [string, unknown][] = LIST_COLLECTIONS.has(collection)
+          ? (data as { id: string }[]).map((record) => [record.id, record])
+          : Object.entries(data);
+        for (const [id, record] of entries) {
+          map.set(id, record);
+        }
+      }
+
+      collections.set(collection, map);
+      return new Map(map) as Map<string, T>;
+    },
+
+    put<T>(collection: Collection, id: string, record: T) {
+      records(collection).set(id, record);
+      dirty.add(collection);
+      changed();
+    },
+
+    remove(collection: Collection, id: string) {
+      if (records(collection).delete(id)) {
+        dirty.add(collection);
+        changed();
+      }
+    },
+
+    async loadLedger<T extends LedgerEntry>() {
+      const file = Bun.file(join(dataDir, LEDGER_FILE));
+      if (!(await file.exists())) return [];
+
+      return (await file.text())
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line) as T);
+    },
+
+    appendLedger<T extends LedgerEntry>(entry: T) {
+      pendingLedger.push(`${JSON.stringify(entry)}\n`);
+      changed();
+    },
+
+    // Files cannot be updated atomically together, so a transaction
+    // writes each changed file once when it ends
+    transaction<R>(fn: () => R): R {
+      depth++;
+      try {
+        return fn();
+      } finally {
+        depth--;
+        changed();
+      }
+    },
+
+    close() {
+      flush();
+    },
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Tests for the LCSC adapter against a local mock of the LCSC product API
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { createLcscAdapter } from "./lcsc";
+import { createTestSupplierCache } from "./testSupplier";
+
+const cache = createTestSupplierCache("lcsc");
+
+let mock: ReturnType<typeof Bun.serve>;
+
+beforeAll(() => {
+  mock = Bun.serve({
+    port: 0,
+    fetch(req) {
+      const url = new URL(req.url);
+      if (url.pathname !== "/product/detail") {
+        return new Response("Not found", { status: 404 });
+      }
+
+      if (url.searchParams.get("productCode") !== "C25804") {
+        return Response.json({ code: 200, msg: null, result: null });
+      }
+
+      return Response.json({
+        code: 200,
+        msg: null,
+        result: {
+          productCode: "C25804",
+          productModel: "0603WAF1002T5E",
+          brandNameEn: "UNI-ROYAL(Uniroyal Elec)",
+          encapStandard: "0603",
+          productIntroEn: "10kΩ ±1% 100mW 0603 Thick Film Resistors",
+          productDescEn: "",
+          parentCatalogName: "Resistors",
+          catalogName: "Chip Resistor - Surface Mount",
+          pdfUrl: "https://datasheet.lcsc.com/C25804.pdf",
+          productImages: ["https://assets.lcsc.com/images/C25804_front.jpg"],
+          productPriceList: [
+            { ladder: 100, usdPrice: 0.0013, currencyPrice: 0.0013 },
+          ],
+          paramVOList: [
+            { paramNameEn: "Resistance", paramValueEn: "10kΩ" },
+            { paramNameEn: "Tolerance", paramValueEn: "±1%" },
+            { paramNameEn: "Power(Watts)", paramValueEn: "100mW" },
+          ],
+        },
+      });
+    },
+  });
+});
+
+afterAll(() => {
+  mock.stop(true);
+  cache.remove();
+});
+
+function createClient() {
+  const adapter = createLcscAdapter({
+    apiUrl: `http://localhost:${mock.port}`,
+  });
+
+  return cache.createClient(adapter);
+}
+
+describe("LCSC adapter", () => {
+  test("maps product details and parameters", async () => {
+    const client = createClient();
+    const product = client.adapter.normalize(await client.lookup("C25804"));
+
+    expect(product).toEqual({
+      name: "10kΩ ±1% 100mW 0603 Thick Film Resistors",
+      description: undefined,
+      price: 0.0013,
+      imageUrl: "https://assets.lcsc.com/images/C25804_front.jpg",
+      datasheet: "https://datasheet.lcsc.com/C25804.pdf",
+      category: "Resistors",
+      manufacturer: "UNI-ROYAL(Uniroyal Elec)",
+      manufacturerPartNumber: "0603WAF1002T5E",
+      attributes: {
+        Resistance: "10kΩ",
+        Tolerance: "±1%",
+        "Power(Watts)": "100mW",
+        "Package / Case": "0603",
+      },
+    });
+  });
+
+  test("reports parts LCSC does not have", async () => {
+    await expect(createClient().lookup("C0")).rejects.toThrow(
+      "LCSC has no part C0",
+    );
+  });
+});
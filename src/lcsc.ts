@@ -0,0 +1,70 @@
+/**
+ * LCSC supplier adapter for the Hackathon Hardware Store Server
+ * Looks parts up by LCSC part number ("C" followed by digits) with the
+ * product detail endpoint the LCSC website uses, which needs no key
+ */
+
+import type {
+  SupplierAdapter,
+  SupplierCacheEntry,
+  SupplierProduct,
+} from "./supplier";
+import { collectAttributes, parsePrice, supplierFetch } from "./supplier";
+
+export interface LcscOptions {
+  apiUrl: string;
+}
+
+type Json = Record<string, any>;
+
+export function normalizeLcscProduct(
+  entry: SupplierCacheEntry,
+): SupplierProduct {
+  const product = entry.product as Json;
+  const attributes = collectAttributes(
+    product.paramVOList,
+    "paramNameEn",
+    "paramValueEn",
+  );
+  if (product.encapStandard && !attributes["Package / Case"]) {
+    attributes["Package / Case"] = product.encapStandard;
+  }
+
+  const price = product.productPriceList?.[0];
+  return {
+    name: product.productIntroEn || product.productModel,
+    description: product.productDescEn || undefined,
+    price: parsePrice(price?.usdPrice ?? price?.productPrice),
+    imageUrl: product.productImages?.[0],
+    datasheet: product.pdfUrl,
+    category: product.parentCatalogName || product.catalogName,
+    manufacturer: product.brandNameEn,
+    manufacturerPartNumber: product.productModel,
+    attributes,
+  };
+}
+
+export function createLcscAdapter(options: LcscOptions): SupplierAdapter {
+  return {
+    id: "lcsc",
+    name: "LCSC",
+    configured: true,
+
+    request(partNumber: string) {
+      return supplierFetch(
+        `${options.apiUrl}/product/detail?productCode=${encodeURIComponent(partNumber)}`,
+      );
+    },
+
+    // LCSC answers unknown parts with a 200 and an empty result
+    extract(body: unknown, partNumber: string) {
+      const data = (body || {}) as Json;
+      if (data.code !== 200 || !data.result) {
+        throw new Error(`LCSC has no part ${partNumber}`);
+      }
+      return data.result;
+    },
+
+    normalize: normalizeLcscProduct,
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Tests for loan due times and overdue alerts
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  type Loan,
+  type LoanPolicy,
+  defaultDue,
+  describeDuration,
+  loanAlerts,
+  parseDue,
+} from "./loans";
+
+const HOUR = 60 * 60 * 1000;
+const now = Date.UTC(2025, 2, 1, 12);
+
+const policy: LoanPolicy = { hours: 4, dueAt: 0, reminderMinutes: 30 };
+
+function loan(id: string, due: number, fields: Partial<Loan> = {}): Loan {
+  return {
+    id,
+    itemId: "scope",
+    itemName: "Oscilloscope",
+    unit: `SCOPE-${id}`,
+    orderId: "order-1",
+    team: "Team X",
+    checkedOut: now - HOUR,
+    checkedOutBy: "admin",
+    due,
+    ...fields,
+  };
+}
+
+describe("defaultDue", () => {
+  test("lends for the configured hours, but not past the end of the event", () => {
+    expect(defaultDue(now, policy)).toBe(now + 4 * HOUR);
+    expect(defaultDue(now, { ...policy, dueAt: now + 2 * HOUR })).toBe(
+      now + 2 * HOUR,
+    );
+    // Once the event is over, the end no longer applies
+    expect(defaultDue(now, { ...policy, dueAt: now - HOUR })).toBe(
+      now + 4 * HOUR,
+    );
+  });
+});
+
+describe("parseDue", () => {
+  test("accepts future times as ISO dates or milliseconds", () => {
+    expect(parseDue("2025-03-01T18:00:00Z", now)).toBe(
+      Date.UTC(2025, 2, 1, 18),
+    );
+    expect(parseDue(now + HOUR, now)).toBe(now + HOUR);
+    expect(parseDue(now - HOUR, now)).toBeNull();
+    expect(parseDue("tomorrow", now)).toBeNull();
+    expect(parseDue(undefined, now)).toBeNull();
+  });
+});
+
+describe("loanAlerts", () => {
+  test("reminds before the due time and alerts once overdue", () => {
+    const loans = [
+      loan("1", now + 20 * 60 * 1000),
+      loan("2", now + 2 * HOUR),
+      loan("3", now - 60 * 1000),
+      loan("4", now - HOUR, { overdueAlerted: now - 30 * 60 * 1000 }),
+      loan("5", now - HOUR, { returned: now - 2 * 60 * 1000 }),
+      loan("6", now + 10 * 60 * 1000, { reminded: now - 60 * 1000 }),
+    ];
+
+    const alerts = loanAlerts(loans, now, policy);
+    expect(alerts.reminders.map((entry) => entry.id)).toEqual(["1"]);
+    expect(alerts.overdue.map((entry) => entry.id)).toEqual(["3"]);
+  });
+});
+
+describe("describeDuration", () => {
+  test("rounds to minutes", () => {
+    expect(describeDuration(20 * 1000)).toBe("1 minute");
+    expect(describeDuration(45 * 60 * 1000)).toBe("45 minutes");
+    expect(describeDuration(2 * HOUR)).toBe("2 hours");
+    expect(describeDuration(HOUR + 5 * 60 * 1000)).toBe("1 hour 5 minutes");
+  });
+});
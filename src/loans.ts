@@ -0,0 +1,99 @@
+/**
+ * Equipment loans for the Hackathon Hardware Store Server
+ * Works out when loaned units fall due and which loans need a reminder or
+ * an overdue alert
+ */
+
+export interface Loan {
+  id: string;
+  itemId: string;
+  itemName: string;
+  // Serial number or asset tag of the physical unit
+  unit: string;
+  orderId: string;
+  // The order's username or team
+  team: string;
+  participantId?: string;
+  checkedOut: number;
+  checkedOutBy: string;
+  due: number;
+  returned?: number;
+  returnedTo?: string;
+  // When the participant was told the loan is nearly due, then overdue
+  reminded?: number;
+  overdueAlerted?: number;
+}
+
+export interface LoanPolicy {
+  // Default loan length
+  hours: number;
+  // Latest due time, e.g. the end of the hackathon; 0 when not set
+  dueAt: number;
+  // How long before the due time to remind the participant
+  reminderMinutes: number;
+}
+
+/**
+ * Loans are due `hours` after checkout, but no later than the end of the
+ * event while it is still ahead
+ */
+export function defaultDue(now: number, policy: LoanPolicy): number {
+  const due = now + policy.hours * 60 * 60 * 1000;
+  return policy.dueAt > now ? Math.min(due, policy.dueAt) : due;
+}
+
+/**
+ * Reads a due time given as an ISO date or milliseconds. Returns null when
+ * it is not a time in the future.
+ */
+export function parseDue(value: unknown, now: number): number | null {
+  const due =
+    typeof value === "number"
+      ? value
+      : typeof value === "string"
+        ? Date.parse(value)
+        : NaN;
+  return Number.isFinite(due) && due > now ? due : null;
+}
+
+export function isOverdue(loan: Loan, now: number): boolean {
+  return !loan.returned && loan.due <= now;
+}
+
+/**
+ * Open loans that should get a reminder or an overdue alert now. Each loan
+ * gets at most one of each; a loan that is already overdue skips the
+ * reminder.
+ */
+export function loanAlerts(
+  loans: Loan[],
+  now: number,
+  policy: LoanPolicy,
+): { reminders: Loan[]; overdue: Loan[] } {
+  const reminderWindow = policy.reminderMinutes * 60 * 1000;
+  const open = loans.filter((loan) => !loan.returned);
+
+  return {
+    reminders: open.filter(
+      (loan) =>
+        !loan.reminded && loan.due > now && loan.due - now <= reminderWindow,
+    ),
+    overdue: open.filter(
+      (loan) => !loan.overdueAlerted && isOverdue(loan, now),
+    ),
+  };
+}
+
+// "45 minutes" or "2 hours 5 minutes", for notifications
+export function describeDuration(ms: number): string {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const plural = (count: number, unit: string) =>
+    `${count} ${unit}${count === 1 ? "" : "s"}`;
+
+  if (hours === 0) return plural(minutes, "minute");
+  return rest === 0
+    ? plural(hours, "hour")
+    : `${plural(hours, "hour")} ${plural(rest, "minute")}`;
+}
@@ -0,0 +1,126 @@
+/**
+ * Tests for the Mouser adapter against a local mock of the Mouser Search API
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { createMouserAdapter } from "./mouser";
+import { createTestSupplierCache } from "./testSupplier";
+
+const cache = createTestSupplierCache("mouser");
+
+let mock: ReturnType<typeof Bun.serve>;
+
+beforeAll(() => {
+  mock = Bun.serve({
+    port: 0,
+    async fetch(req) {
+      const url = new URL(req.url);
+      if (url.pathname !== "/api/v1/search/partnumber") {
+        return new Response("Not found", { status: 404 });
+      }
+      if (url.searchParams.get("apiKey") !== "mouser-key") {
+        return Response.json({
+          Errors: [{ Code: "Invalid", Message: "Invalid unique identifier." }],
+          SearchResults: null,
+        });
+      }
+
+      const { SearchByPartRequest } = await req.json();
+      const partNumber = SearchByPartRequest.mouserPartNumber;
+      if (partNumber !== "595-NE555P") {
+        return Response.json({
+          Errors: [],
+          SearchResults: { NumberOfResult: 0, Parts: [] },
+        });
+      }
+
+      return Response.json({
+        Errors: [],
+        SearchResults: {
+          NumberOfResult: 2,
+          Parts: [
+            {
+              MouserPartNumber: "595-NE555PSR",
+              ManufacturerPartNumber: "NE555PSR",
+              Description: "Wrong part",
+            },
+            {
+              MouserPartNumber: "595-NE555P",
+              ManufacturerPartNumber: "NE555P",
+              Manufacturer: "Texas Instruments",
+              Description: "Timers & Support Products Single Precision Timer",
+              Category: "Timers & Support Products",
+              DataSheetUrl: "https://www.ti.com/lit/ds/symlink/ne555.pdf",
+              ImagePath: "https://www.mouser.com/images/ne555p.jpg",
+              PriceBreaks: [
+                { Quantity: 1, Price: "$0.62", Currency: "USD" },
+                { Quantity: 10, Price: "$0.44", Currency: "USD" },
+              ],
+              ProductAttributes: [
+                { AttributeName: "Package / Case", AttributeValue: "PDIP-8" },
+                {
+                  AttributeName: "Supply Voltage - Max",
+                  AttributeValue: "16 V",
+                },
+                { AttributeName: "Packaging", AttributeValue: "Tube" },
+              ],
+            },
+          ],
+        },
+      });
+    },
+  });
+});
+
+afterAll(() => {
+  mock.stop(true);
+  cache.remove();
+});
+
+function createClient(apiKey = "mouser-key") {
+  const adapter = createMouserAdapter({
+    apiKey,
+    apiUrl: `http://localhost:${mock.port}`,
+  });
+
+  return cache.createClient(adapter);
+}
+
+describe("Mouser adapter", () => {
+  test("picks the exact part and maps its details", async () => {
+    const client = createClient();
+    const product = client.adapter.normalize(await client.lookup("595-NE555P"));
+
+    expect(product).toEqual({
+      name: "Timers & Support Products Single Precision Timer",
+      price: 0.62,
+      imageUrl: "https://www.mouser.com/images/ne555p.jpg",
+      datasheet: "https://www.ti.com/lit/ds/symlink/ne555.pdf",
+      category: "Timers & Support Products",
+      manufacturer: "Texas Instruments",
+      manufacturerPartNumber: "NE555P",
+      attributes: {
+        "Package / Case": "PDIP-8",
+        "Supply Voltage - Max": "16 V",
+      },
+    });
+  });
+
+  test("reports parts Mouser does not have", async () => {
+    await expect(createClient().lookup("595-BOGUS")).rejects.toThrow(
+      "Mouser has no part 595-BOGUS",
+    );
+  });
+
+  test("reports errors Mouser returns with a 200", async () => {
+    await expect(
+      createClient("wrong-key").lookup("595-NE555P"),
+    ).rejects.toThrow("Invalid unique identifier.");
+  });
+
+  test("needs an API key", async () => {
+    const client = createClient("");
+    expect(client.adapter.configured).toBe(false);
+    await expect(client.lookup("595-NE555P")).rejects.toThrow("not configured");
+  });
+});
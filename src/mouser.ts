@@ -0,0 +1,86 @@
+/**
+ * Mouser supplier adapter for the Hackathon Hardware Store Server
+ * Looks parts up by Mouser part number with the Search API and an API key
+ */
+
+import type {
+  SupplierAdapter,
+  SupplierCacheEntry,
+  SupplierProduct,
+} from "./supplier";
+import { collectAttributes, parsePrice, supplierFetch } from "./supplier";
+
+export interface MouserOptions {
+  apiKey: string;
+  apiUrl: string;
+}
+
+type Json = Record<string, any>;
+
+export function normalizeMouserProduct(
+  entry: SupplierCacheEntry,
+): SupplierProduct {
+  const part = entry.product as Json;
+
+  return {
+    name: part.Description,
+    price: parsePrice(part.PriceBreaks?.[0]?.Price),
+    imageUrl: part.ImagePath,
+    datasheet: part.DataSheetUrl,
+    category: part.Category,
+    manufacturer: part.Manufacturer,
+    manufacturerPartNumber: part.ManufacturerPartNumber,
+    attributes: collectAttributes(
+      part.ProductAttributes,
+      "AttributeName",
+      "AttributeValue",
+    ),
+  };
+}
+
+export function createMouserAdapter(options: MouserOptions): SupplierAdapter {
+  return {
+    id: "mouser",
+    name: "Mouser",
+    configured: Boolean(options.apiKey),
+
+    request(partNumber: string) {
+      return supplierFetch(
+        `${options.apiUrl}/api/v1/search/partnumber?apiKey=${encodeURIComponent(options.apiKey)}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            SearchByPartRequest: {
+              mouserPartNumber: partNumber,
+              partSearchOptions: "Exact",
+            },
+          }),
+        },
+      );
+    },
+
+    // Mouser reports bad keys and unknown parts inside a 200 response
+    extract(body: unknown, partNumber: string) {
+      const data = (body || {}) as Json;
+      if (Array.isArray(data.Errors) && data.Errors.length > 0) {
+        throw new Error(
+          `Mouser: ${data.Errors[0].Message || "request failed"}`,
+        );
+      }
+
+      const wanted = partNumber.toLowerCase();
+      const part = (data.SearchResults?.Parts || []).find(
+        (part: Json) =>
+          String(part.MouserPartNumber).toLowerCase() === wanted ||
+          String(part.ManufacturerPartNumber).toLowerCase() === wanted,
+      );
+      if (!part) {
+        throw new Error(`Mouser has no part ${partNumber}`);
+      }
+      return part;
+    },
+
+    normalize: normalizeMouserProduct,
+  };
+}
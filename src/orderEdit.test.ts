@@ -0,0 +1,148 @@
+/**
+ * Tests for planning order edits, backorders and returns
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  type OrderLine,
+  planBackorder,
+  planOrderEdit,
+  planReturn,
+} from "./orderEdit";
+
+const order: OrderLine[] = [
+  { id: "led-red", name: "Red LED", price: 0.1, quantity: 10 },
+  { id: "ne555", name: "NE555 Timer", price: 0.5, quantity: 2 },
+  { id: "res-10k", name: "10k Resistor", price: 0.02, quantity: 20 },
+];
+
+const catalog: Record<string, { name: string; price: number }> = {
+  lm555: { name: "LM555 Timer", price: 0.6 },
+  "led-green": { name: "Green LED", price: 0.12 },
+};
+
+const lookup = (id: string) => catalog[id];
+
+describe("planOrderEdit", () => {
+  test("describes and reconciles quantity changes, removals and substitutions", () => {
+    const plan = planOrderEdit(
+      order,
+      [
+        { id: "led-red", quantity: 8 },
+        { id: "lm555", quantity: 2, replaces: "ne555" },
+        { id: "led-green", quantity: 4 },
+      ],
+      lookup,
+    );
+
+    expect(plan.errors).toEqual([]);
+    expect(plan.items).toEqual([
+      { id: "led-red", name: "Red LED", price: 0.1, quantity: 8 },
+      { id: "lm555", name: "LM555 Timer", price: 0.6, quantity: 2 },
+      { id: "led-green", name: "Green LED", price: 0.12, quantity: 4 },
+    ]);
+    expect(plan.changes).toEqual([
+      "Red LED: 10 → 8",
+      "NE555 Timer × 2 replaced with LM555 Timer × 2",
+      "Added Green LED × 4",
+      "Removed 10k Resistor × 20",
+    ]);
+    expect(plan.stock).toEqual([
+      { id: "led-red", quantity: -2 },
+      { id: "ne555", quantity: -2 },
+      { id: "res-10k", quantity: -20 },
+      { id: "lm555", quantity: 2 },
+      { id: "led-green", quantity: 4 },
+    ]);
+  });
+
+  test("reports nothing for an unchanged order", () => {
+    const plan = planOrderEdit(order, order, lookup);
+    expect(plan.errors).toEqual([]);
+    expect(plan.changes).toEqual([]);
+    expect(plan.stock).toEqual([]);
+  });
+
+  test("rejects invalid edits", () => {
+    const errors = (lines: unknown) =>
+      planOrderEdit(order, lines, lookup).errors;
+
+    expect(errors([])).toEqual([
+      "An order needs at least one item; cancel it instead",
+    ]);
+    expect(errors([{ id: "led-red", quantity: 0 }])).toEqual([
+      "Quantity for led-red must be a whole number of at least 1",
+    ]);
+    expect(errors([{ id: "bogus", quantity: 1 }])).toEqual([
+      "Item bogus not found",
+    ]);
+    expect(
+      errors([
+        { id: "led-red", quantity: 1 },
+        { id: "led-red", quantity: 2 },
+      ]),
+    ).toEqual(["led-red is listed more than once"]);
+    expect(
+      errors([
+        { id: "led-red", quantity: 10 },
+        { id: "lm555", quantity: 1, replaces: "led-red" },
+      ]),
+    ).toEqual(["lm555 can only replace a line that is removed from the order"]);
+  });
+});
+
+describe("planBackorder", () => {
+  test("splits quantities off the order", () => {
+    const plan = planBackorder(order, [
+      { id: "led-red", quantity: 2 },
+      { id: "ne555", quantity: 2 },
+    ]);
+
+    expect(plan.errors).toEqual([]);
+    expect(plan.keep).toEqual([
+      { id: "led-red", name: "Red LED", price: 0.1, quantity: 8 },
+      { id: "res-10k", name: "10k Resistor", price: 0.02, quantity: 20 },
+    ]);
+    expect(plan.move).toEqual([
+      { id: "led-red", name: "Red LED", price: 0.1, quantity: 2 },
+      { id: "ne555", name: "NE555 Timer", price: 0.5, quantity: 2 },
+    ]);
+    expect(plan.changes).toEqual([
+      "Red LED × 2 moved to a backorder",
+      "NE555 Timer × 2 moved to a backorder",
+    ]);
+  });
+
+  test("rejects backorders the order cannot cover", () => {
+    expect(planBackorder(order, [{ id: "lm555", quantity: 1 }]).errors).toEqual(
+      ["lm555 is not on this order"],
+    );
+    expect(
+      planBackorder(order, [{ id: "led-red", quantity: 11 }]).errors,
+    ).toEqual(["Only 10 of Red LED are on this order"]);
+    expect(planBackorder(order, order).errors).toEqual([
+      "Nothing would be left on the order; leave it as it is instead",
+    ]);
+  });
+});
+
+describe("planReturn", () => {
+  test("restocks only the lines that came back", () => {
+    const plan = planReturn(order, [{ id: "ne555", quantity: 1 }]);
+
+    expect(plan.errors).toEqual([]);
+    expect(plan.items).toEqual([
+      { id: "ne555", name: "NE555 Timer", price: 0.5, quantity: 1 },
+    ]);
+    expect(plan.changes).toEqual(["NE555 Timer × 1 returned"]);
+  });
+
+  test("rejects returns the order cannot cover", () => {
+    expect(planReturn(order, []).errors).toEqual([
+      "List at least one returned item, or mark the order fulfilled instead",
+    ]);
+    expect(planReturn(order, [{ id: "ne555", quantity: 3 }]).errors).toEqual([
+      "Only 2 of NE555 Timer are on this order",
+    ]);
+  });
+});
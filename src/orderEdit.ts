@@ -0,0 +1,245 @@
+/**
+ * Order editing for the Hackathon Hardware Store Server
+ * Works out how an admin's edit, backorder or return changes an order's
+ * lines, the stock each item needs, and how to describe it to the participant
+ */
+
+export interface OrderLine {
+  id: string;
+  name: string;
+  price: number;
+  quantity: number;
+}
+
+// A line as the admin wants it. `replaces` names the line it substitutes.
+export interface EditLine {
+  id: string;
+  quantity: number;
+  replaces?: string;
+}
+
+export interface OrderEditPlan {
+  items: OrderLine[];
+  // One entry per change, e.g. "Red LED: 10 → 8"
+  changes: string[];
+  // Units each item needs reserved (positive) or returned (negative)
+  stock: { id: string; quantity: number }[];
+  errors: string[];
+}
+
+export interface BackorderPlan {
+  // Lines staying on the order, and those moving to the backorder
+  keep: OrderLine[];
+  move: OrderLine[];
+  changes: string[];
+  errors: string[];
+}
+
+function isQuantity(value: unknown): value is number {
+  return Number.isInteger(value) && (value as number) >= 1;
+}
+
+function parseLines(value: unknown, errors: string[]): EditLine[] {
+  if (!Array.isArray(value)) {
+    errors.push("items must be a list of { id, quantity }");
+    return [];
+  }
+
+  const seen = new Set<string>();
+  return value.flatMap((line, index) => {
+    if (!line || typeof line.id !== "string" || !line.id) {
+      errors.push(`Line ${index + 1} needs an item ID`);
+      return [];
+    }
+    if (!isQuantity(line.quantity)) {
+      errors.push(
+        `Quantity for ${line.id} must be a whole number of at least 1`,
+      );
+      return [];
+    }
+    if (seen.has(line.id)) {
+      errors.push(`${line.id} is listed more than once`);
+      return [];
+    }
+    seen.add(line.id);
+    return [
+      {
+        id: line.id,
+        quantity: line.quantity,
+        replaces: typeof line.replaces === "string" ? line.replaces : undefined,
+      },
+    ];
+  });
+}
+
+/**
+ * Compares the order's lines with the lines the admin wants. Lines left out
+ * are removed; a new line with `replaces` substitutes for a removed one.
+ * Lines already on the order keep the name and price they were ordered at.
+ */
+export function planOrderEdit(
+  current: OrderLine[],
+  next: unknown,
+  lookup: (id: string) => { name: string; price: number } | undefined,
+): OrderEditPlan {
+  const errors: string[] = [];
+  const lines = parseLines(next, errors);
+  if (errors.length === 0 && lines.length === 0) {
+    errors.push("An order needs at least one item; cancel it instead");
+  }
+
+  const byId = new Map(current.map((line) => [line.id, line]));
+  const kept = new Set(lines.map((line) => line.id));
+  const replaced = new Set<string>();
+  const items: OrderLine[] = [];
+  const changes: string[] = [];
+
+  for (const line of lines) {
+    const existing = byId.get(line.id);
+    if (existing) {
+      items.push({ ...existing, quantity: line.quantity });
+      if (existing.quantity !== line.quantity) {
+        changes.push(
+          `${existing.name}: ${existing.quantity} → ${line.quantity}`,
+        );
+      }
+      continue;
+    }
+
+    const item = lookup(line.id);
+    if (!item) {
+      errors.push(`Item ${line.id} not found`);
+      continue;
+    }
+    items.push({
+      id: line.id,
+      name: item.name,
+      price: item.price,
+      quantity: line.quantity,
+    });
+
+    const original = line.replaces ? byId.get(line.replaces) : undefined;
+    if (line.replaces && (!original || kept.has(line.replaces))) {
+      errors.push(
+        `${line.id} can only replace a line that is removed from the order`,
+      );
+    } else if (original && replaced.has(original.id)) {
+      errors.push(`${original.id} is replaced more than once`);
+    } else if (original) {
+      replaced.add(original.id);
+      changes.push(
+        `${original.name} × ${original.quantity} replaced with ${item.name} × ${line.quantity}`,
+      );
+    } else {
+      changes.push(`Added ${item.name} × ${line.quantity}`);
+    }
+  }
+
+  for (const line of current) {
+    if (!kept.has(line.id) && !replaced.has(line.id)) {
+      changes.push(`Removed ${line.name} × ${line.quantity}`);
+    }
+  }
+
+  const stock = new Map<string, number>();
+  for (const line of current) stock.set(line.id, -line.quantity);
+  for (const line of items) {
+    stock.set(line.id, (stock.get(line.id) || 0) + line.quantity);
+  }
+
+  return {
+    items,
+    changes,
+    stock: [...stock]
+      .filter(([, quantity]) => quantity !== 0)
+      .map(([id, quantity]) => ({ id, quantity })),
+    errors,
+  };
+}
+
+/**
+ * Splits the given quantities off the order so the rest can be handed over
+ * now. At least one unit has to stay on the order.
+ */
+export function planBackorder(
+  current: OrderLine[],
+  backorder: unknown,
+): BackorderPlan {
+  const errors: string[] = [];
+  const lines = parseLines(backorder, errors);
+  if (errors.length === 0 && lines.length === 0) {
+    errors.push("List at least one item to backorder");
+  }
+
+  const moving = new Map(lines.map((line) => [line.id, line.quantity]));
+  const keep: OrderLine[] = [];
+  const move: OrderLine[] = [];
+  const changes: string[] = [];
+
+  for (const line of lines) {
+    const existing = current.find((item) => item.id === line.id);
+    if (!existing) {
+      errors.push(`${line.id} is not on this order`);
+    } else if (line.quantity > existing.quantity) {
+      errors.push(
+        `Only ${existing.quantity} of ${existing.name} are on this order`,
+      );
+    }
+  }
+
+  for (const line of current) {
+    const quantity = moving.get(line.id) || 0;
+    if (quantity > 0) {
+      move.push({ ...line, quantity: Math.min(quantity, line.quantity) });
+      changes.push(`${line.name} × ${quantity} moved to a backorder`);
+    }
+    if (line.quantity > quantity) {
+      keep.push({ ...line, quantity: line.quantity - quantity });
+    }
+  }
+
+  if (errors.length === 0 && keep.length === 0) {
+    errors.push(
+      "Nothing would be left on the order; leave it as it is instead",
+    );
+  }
+
+  return { keep, move, changes, errors };
+}
+
+/**
+ * Checks the lines that came back when an order is returned. Lines left out,
+ * like parts that were used up, are not restocked.
+ */
+export function planReturn(
+  current: OrderLine[],
+  returned: unknown,
+): { items: OrderLine[]; changes: string[]; errors: string[] } {
+  const errors: string[] = [];
+  const lines = parseLines(returned, errors);
+  if (errors.length === 0 && lines.length === 0) {
+    errors.push(
+      "List at least one returned item, or mark the order fulfilled instead",
+    );
+  }
+
+  const items: OrderLine[] = [];
+  for (const line of lines) {
+    const existing = current.find((item) => item.id === line.id);
+    if (!existing) {
+      errors.push(`${line.id} is not on this order`);
+    } else if (line.quantity > existing.quantity) {
+      errors.push(
+        `Only ${existing.quantity} of ${existing.name} are on this order`,
+      );
+    } else {
+      items.push({ ...existing, quantity: line.quantity });
+    }
+  }
+
+  return {
+    items,
+    changes: items.map((item) => `${item.name} × ${item.quantity} returned`),
+    errors,
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * Tests for the order lifecycle
+ */
+
+import { describe, expect, test } from "bun:test";
+import { hasPermission } from "./roles";
+import {
+  ORDER_STATUSES,
+  canTransition,
+  isOrderStatus,
+  normalizeOrderStatus,
+} from "./orderStatus";
+
+describe("order statuses", () => {
+  test("accept only the statuses of the lifecycle", () => {
+    expect(isOrderStatus("approved")).toBe(true);
+    expect(isOrderStatus("shipped")).toBe(false);
+    expect(isOrderStatus(3)).toBe(false);
+  });
+
+  test("reject keys inherited from Object", () => {
+    for (const key of [
+      "constructor",
+      "toString",
+      "__proto__",
+      "hasOwnProperty",
+    ]) {
+      expect(isOrderStatus(key)).toBe(false);
+      expect(normalizeOrderStatus(key)).toBeNull();
+    }
+  });
+
+  test("map legacy statuses and check transitions", () => {
+    expect(normalizeOrderStatus("completed")).toBe("fulfilled");
+    expect(canTransition("pending", "approved")).toBe(true);
+    expect(canTransition("returned", "pending")).toBe(false);
+  });
+
+  test("leave denying and cancelling to managers", () => {
+    const allowed = (status: keyof typeof ORDER_STATUSES) =>
+      hasPermission("fulfiller", ORDER_STATUSES[status].permission);
+
+    expect(allowed("approved")).toBe(true);
+    expect(allowed("picked_up")).toBe(true);
+    expect(allowed("denied")).toBe(false);
+    expect(allowed("cancelled")).toBe(false);
+    expect(hasPermission("manager", ORDER_STATUSES.denied.permission)).toBe(
+      true,
+    );
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Order lifecycle definition for the Hackathon Hardware Store Server
+ * Shared by the order routes, push notifications and the admin UI
+ */
+
+import type { Permission } from "./roles";
+
+export type OrderStatus =
+  | "pending"
+  | "approved"
+  | "picked_up"
+  | "fulfilled"
+  | "denied"
+  | "cancelled"
+  | "returned";
+
+export interface OrderStatusDefinition {
+  label: string;
+  // Button text shown to admins when moving an order into this status
+  action: string;
+  // Colour family used by the UI: success, warning, error or neutral
+  tone: "success" | "warning" | "error" | "neutral";
+  // Statuses an order in this status may move to next
+  transitions: OrderStatus[];
+  // Whether entering this status puts the order's items back into stock
+  releasesStock: boolean;
+  // Whether admins can still change the items, i.e. nothing is handed over
+  editable: boolean;
+  // Completes "Your order #1234abcd ..." in push notifications
+  notification: string;
+  // Needed to move an order into this status. Fulfillers approve and hand
+  // over orders; turning them down is left to managers.
+  permission: Permission;
+}
+
+export const ORDER_STATUSES: Record<OrderStatus, OrderStatusDefinition> = {
+  pending: {
+    label: "Pending",
+    action: "Mark Pending",
+    tone: "warning",
+    transitions: ["approved", "denied", "cancelled"],
+    releasesStock: false,
+    editable: true,
+    notification: "is waiting for approval",
+    permission: "orders:update",
+  },
+  approved: {
+    label: "Approved",
+    action: "Approve Order",
+    tone: "success",
+    transitions: ["picked_up", "fulfilled", "cancelled"],
+    releasesStock: false,
+    editable: true,
+    notification: "has been approved and is ready for pickup",
+    permission: "orders:update",
+  },
+  picked_up: {
+    label: "Picked Up",
+    action: "Mark Picked Up",
+    tone: "neutral",
+    transitions: ["returned", "fulfilled"],
+    releasesStock: false,
+    editable: false,
+    notification: "has been picked up",
+    permission: "orders:update",
+  },
+  fulfilled: {
+    label: "Fulfilled",
+    action: "Mark Fulfilled",
+    tone: "success",
+    transitions: [],
+    releasesStock: false,
+    editable: false,
+    notification: "has been fulfilled",
+    permission: "orders:update",
+  },
+  denied: {
+    label: "Denied",
+    action: "Deny Order",
+    tone: "error",
+    transitions: [],
+    releasesStock: true,
+    editable: false,
+    notification: "has been denied",
+    permission: "orders:cancel",
+  },
+  cancelled: {
+    label: "Cancelled",
+    action: "Cancel Order",
+    tone: "error",
+    transitions: [],
+    releasesStock: true,
+    editable: false,
+    notification: "has been cancelled",
+    permission: "orders:cancel",
+  },
+  returned: {
+    label: "Returned",
+    action: "Mark Returned",
+    tone: "neutral",
+    transitions: [],
+    releasesStock: true,
+    editable: false,
+    notification: "has been returned",
+    permission: "orders:update",
+  },
+};
+
+// Statuses written by older versions of the server
+const LEGACY_STATUSES: Record<string, OrderStatus> = {
+  completed: "fulfilled",
+};
+
+export function isOrderStatus(status: unknown): status is OrderStatus {
+  // hasOwn, as `in` would also accept inherited keys like "constructor"
+  return typeof status === "string" && Object.hasOwn(ORDER_STATUSES, status);
+}
+
+export function normalizeOrderStatus(status: string): OrderStatus | null {
+  if (isOrderStatus(status)) return status;
+  return Object.hasOwn(LEGACY_STATUSES, status)
+    ? LEGACY_STATUSES[status]
+    : null;
+}
+
+export function canTransition(from: OrderStatus, to: OrderStatus): boolean {
+  return ORDER_STATUSES[from].transitions.includes(to);
+}
@@ -0,0 +1,87 @@
+/**
+ * Tests for pickup ticket tokens and the ticket page
+ */
+
+import { describe, expect, test } from "bun:test";
+import {
+  createPickupToken,
+  pickupQrSvg,
+  renderTicketPage,
+  verifyPickupToken,
+} from "./pickup";
+
+const orderId = "6f1c2a0e-5b7d-4e8a-9c3f-1d2e3f4a5b6c";
+const HOUR = 60 * 60 * 1000;
+
+describe("pickup tokens", () => {
+  test("verify for the order they were signed for", () => {
+    const token = createPickupToken(orderId, "secret", HOUR);
+    expect(token.startsWith(`${orderId}.`)).toBe(true);
+    expect(verifyPickupToken(token, "secret")).toBe(orderId);
+  });
+
+  test("stop verifying once they expire", () => {
+    const now = Date.UTC(2025, 0, 1);
+    const token = createPickupToken(orderId, "secret", HOUR, now);
+
+    expect(verifyPickupToken(token, "secret", now + HOUR - 1000)).toBe(orderId);
+    expect(verifyPickupToken(token, "secret", now + HOUR + 1000)).toBeNull();
+  });
+
+  test("reject tampered, foreign and malformed tokens", () => {
+    const token = createPickupToken(orderId, "secret", HOUR);
+    const [, expires, signature] = token.split(".");
+    const otherOrder = createPickupToken("another-order", "secret", HOUR);
+
+    expect(verifyPickupToken(token, "other-secret")).toBeNull();
+    expect(
+      verifyPickupToken(`another-order.${expires}.${signature}`, "secret"),
+    ).toBeNull();
+    expect(
+      verifyPickupToken(
+        `${orderId}.${otherOrder.split(".").slice(1).join(".")}`,
+        "secret",
+      ),
+    ).toBeNull();
+    // A later expiry than the one that was signed
+    expect(
+      verifyPickupToken(`${orderId}.zzzzzzz.${signature}`, "secret"),
+    ).toBeNull();
+    expect(verifyPickupToken(`${token}x`, "secret")).toBeNull();
+    expect(verifyPickupToken(orderId, "secret")).toBeNull();
+    expect(verifyPickupToken(`${orderId}.${signature}`, "secret")).toBeNull();
+    expect(verifyPickupToken("..abc", "secret")).toBeNull();
+  });
+});
+
+describe("ticket page", () => {
+  const order = {
+    id: orderId,
+    username: "<script>alert(1)</script>",
+    statusLabel: "Approved",
+    items: [{ name: "NE555 Timer", quantity: 2 }],
+    created: Date.UTC(2025, 0, 1),
+  };
+
+  test("shows the QR code and escapes order details", async () => {
+    const svg = await pickupQrSvg("https://store.example/admin.html?pickup=x");
+    const html = renderTicketPage(order, svg, "/css/style.css");
+
+    expect(svg).toContain("<svg");
+    expect(html).toContain(svg);
+    expect(html).toContain("NE555 Timer &times; 2");
+    expect(html).toContain("&lt;script&gt;");
+    expect(html).not.toContain("<script>");
+    expect(html).not.toContain('http-equiv="refresh"');
+  });
+
+  test("refreshes until the order is ready", () => {
+    const html = renderTicketPage(
+      { ...order, statusLabel: "Pending" },
+      null,
+      "/css/style.css",
+    );
+    expect(html).toContain('http-equiv="refresh"');
+    expect(html).not.toContain("<svg");
+  });
+});
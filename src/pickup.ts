@@ -0,0 +1,119 @@
+/**
+ * Pickup tickets for the Hackathon Hardware Store Server
+ * Signs approved orders into tokens that volunteers scan at the pickup desk,
+ * and renders the ticket page with its QR code
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+import QRCode from "qrcode";
+
+// What the ticket page shows about an order
+export interface TicketOrder {
+  id: string;
+  username: string;
+  statusLabel: string;
+  items: { name: string; quantity: number }[];
+  created: number;
+}
+
+function sign(orderId: string, expires: string, secret: string): string {
+  // 128 bits of the HMAC keeps the QR code small and is plenty to stop guessing
+  return createHmac("sha256", secret)
+    .update(`pickup:${orderId}:${expires}`)
+    .digest("base64url")
+    .slice(0, 22);
+}
+
+// Tokens look like <order id>.<expiry>.<signature>, with the expiry in
+// seconds since the epoch written in base 36 to keep the QR code small
+export function createPickupToken(
+  orderId: string,
+  secret: string,
+  ttl: number,
+  now = Date.now(),
+): string {
+  const expires = Math.ceil((now + ttl) / 1000).toString(36);
+  return `${orderId}.${expires}.${sign(orderId, expires, secret)}`;
+}
+
+// Returns the order ID a token was signed for, or null if this server did
+// not sign it or it has expired
+export function verifyPickupToken(
+  token: string,
+  secret: string,
+  now = Date.now(),
+): string | null {
+  const parts = token.split(".");
+  if (parts.length !== 3 || !parts[0] || !/^[0-9a-z]+$/.test(parts[1])) {
+    return null;
+  }
+
+  const [orderId, expires, signature] = parts;
+  const expected = Buffer.from(sign(orderId, expires, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return parseInt(expires, 36) * 1000 > now ? orderId : null;
+}
+
+// Draws the QR code on the server, so tickets need no third-party service
+export function pickupQrSvg(text: string): Promise<string> {
+  return QRCode.toString(text, {
+    type: "svg",
+    errorCorrectionLevel: "M",
+    margin: 2,
+  });
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Renders a printable ticket page. Without a QR code (the order is not
+ * ready yet) the page reloads itself every 30 seconds until it is.
+ */
+export function renderTicketPage(
+  order: TicketOrder,
+  qrSvg: string | null,
+  stylesheet: string,
+): string {
+  const items = order.items
+    .map((item) => `<li>${escapeHtml(item.name)} &times; ${item.quantity}</li>`)
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  ${qrSvg ? "" : '<meta http-equiv="refresh" content="30">'}
+  <title>Pickup Ticket | Hackathon Hardware Store</title>
+  <link rel="stylesheet" href="${escapeHtml(stylesheet)}">
+</head>
+<body>
+  <main class="container pickup-ticket-page">
+    <h2>Pickup Ticket</h2>
+    <p class="ticket-order">Order #${escapeHtml(order.id.slice(0, 8))} for ${escapeHtml(order.username)}</p>
+    <p class="ticket-status">Status: <strong>${escapeHtml(order.statusLabel)}</strong></p>
+    ${
+      qrSvg
+        ? `<div class="ticket-qr">${qrSvg}</div>
+    <p>Show this code at the pickup desk.</p>`
+        : "<p>Your QR code appears here once your order is ready for pickup. This page refreshes on its own.</p>"
+    }
+    <h3>Items</h3>
+    <ul class="ticket-items">${items}</ul>
+    <p class="ticket-date">Ordered ${escapeHtml(new Date(order.created).toUTCString())}</p>
+  </main>
+</body>
+</html>
+`;
+}
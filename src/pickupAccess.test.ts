@@ -0,0 +1,87 @@
+/**
+ * Tests for who can open an order's pickup ticket and QR code: the
+ * participant who placed the order and staff, nobody else
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { type TestServer, startTestServer, testItem } from "./testServer";
+
+let server: TestServer;
+let adminToken: string;
+let ownerToken: string;
+let orderId: string;
+
+function get(path: string, token?: string) {
+  return fetch(`${server.base}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+}
+
+async function registerParticipant(handle: string): Promise<string> {
+  const response = await fetch(`${server.base}/participants/register`, {
+    method: "POST",
+    body: JSON.stringify({ handle, name: handle }),
+  });
+  return (await response.json()).token;
+}
+
+beforeAll(async () => {
+  server = await startTestServer({
+    backend: "json",
+    files: { "items.json": JSON.stringify([testItem("led", 10)]) },
+    env: { ADMIN_CODE: "pickup-test" },
+  });
+
+  const login = await fetch(`${server.base}/auth/login`, {
+    method: "POST",
+    body: JSON.stringify({ username: "admin", password: "pickup-test" }),
+  });
+  adminToken = (await login.json()).token;
+
+  ownerToken = await registerParticipant("owner@example.com");
+  const order = await fetch(`${server.base}/orders`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${ownerToken}`,
+    },
+    body: JSON.stringify({ cart: [{ id: "led", quantity: 1 }] }),
+  });
+  orderId = (await order.json()).id;
+
+  const approved = await fetch(`${server.base}/orders/${orderId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${adminToken}`,
+    },
+    body: JSON.stringify({ status: "approved" }),
+  });
+  expect(approved.ok).toBe(true);
+});
+
+afterAll(() => {
+  server?.stop();
+});
+
+describe("pickup ticket access", () => {
+  for (const page of ["ticket", "pickup-qr"]) {
+    test(`${page}: the participant who placed the order can open it`, async () => {
+      const response = await get(`/orders/${orderId}/${page}`, ownerToken);
+      expect(response.status).toBe(200);
+      expect(await response.text()).toContain("<svg");
+    });
+
+    test(`${page}: staff can open it`, async () => {
+      const response = await get(`/orders/${orderId}/${page}`, adminToken);
+      expect(response.status).toBe(200);
+    });
+
+    test(`${page}: guests and other participants cannot`, async () => {
+      const other = await registerParticipant(`other-${page}@example.com`);
+
+      expect((await get(`/orders/${orderId}/${page}`)).status).toBe(404);
+      expect((await get(`/orders/${orderId}/${page}`, other)).status).toBe(404);
+    });
+  }
+});
@@ -4,28 +4,58 @@
  */
 import API from './api.js';
 import Config from './config.js';
+import Html from './html.js';
 
 const Admin = {
   // Admin state
   isAuthenticated: false,
-  adminCode: null,
+  session: null,
   orders: {},
+  orderStatuses: {},
+  roles: {},
+  users: [],
+  items: [],
+  editingItemId: null,
   currentOrderId: null,
+  // Set while the current order's item editor or return form is open
+  editingOrderItems: false,
   isLoading: false,
+  // Live order and stock updates, open while logged in
+  events: null,
+  inventoryRenderTimer: null,
+  // Pickup ticket being handed over, and the camera scanning for the next one
+  pickupToken: null,
+  pickupOrder: null,
+  pickupCamera: null,
+  // Loaned units still out, soonest due first
+  loans: [],
 
   /**
    * Initialize the admin module
    */
-  init() {
+  async init() {
+    // Load the order lifecycle and roles so actions match what the server accepts
+    [this.orderStatuses, this.roles] = await Promise.all([
+      API.getOrderStatuses(),
+      API.getRoles()
+    ]);
+
     // Check for existing admin session
-    this.checkAdminSession();
+    await this.checkAdminSession();
     
     // Set up event listeners
     this.setupEventListeners();
     
+    // A ticket scanned with a phone camera opens admin.html?pickup=<token>
+    const pickupToken = new URLSearchParams(window.location.search).get('pickup');
+    if (pickupToken) {
+      this.pickupToken = pickupToken;
+    }
+
     // If already authenticated, load orders directly
     if (this.isAuthenticated) {
       this.loadAllOrders();
+      this.openPendingPickup();
     }
     
     // Check if an order ID was provided in URL
@@ -56,7 +86,7 @@ const Admin = {
     // Add autocomplete attribute to password field
     const adminCodeInput = document.getElementById('admin-code');
     if (adminCodeInput) {
-      adminCodeInput.setAttribute('autocomplete', 'new-password');
+      adminCodeInput.setAttribute('autocomplete', 'current-password');
     }
 
     // Order lookup form
@@ -82,6 +112,98 @@ const Admin = {
       });
     }
 
+    // End every admin session, e.g. at a shift change
+    const revokeBtn = document.getElementById('admin-revoke-sessions');
+    if (revokeBtn) {
+      revokeBtn.addEventListener('click', () => {
+        this.revokeAllSessions();
+      });
+    }
+
+    // Admin tabs
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+      tab.addEventListener('click', () => {
+        this.showTab(tab.dataset.tab);
+      });
+    });
+
+    // Pickup desk. Handheld barcode scanners type the ticket and press Enter.
+    const pickupForm = document.getElementById('pickup-form');
+    if (pickupForm) {
+      pickupForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.lookupPickup(document.getElementById('pickup-token').value);
+      });
+    }
+
+    const pickupScanBtn = document.getElementById('pickup-scan');
+    if (pickupScanBtn && 'BarcodeDetector' in window) {
+      pickupScanBtn.classList.remove('hidden');
+      pickupScanBtn.addEventListener('click', () => {
+        if (this.pickupCamera) {
+          this.stopPickupCamera();
+        } else {
+          this.startPickupCamera();
+        }
+      });
+    }
+
+    // Inventory filter
+    const inventorySearch = document.getElementById('inventory-search');
+    if (inventorySearch) {
+      inventorySearch.addEventListener('input', () => {
+        this.renderInventory();
+      });
+    }
+
+    // Catalog reload
+    const reloadBtn = document.getElementById('catalog-reload');
+    if (reloadBtn) {
+      reloadBtn.addEventListener('click', () => {
+        this.reloadCatalog();
+      });
+    }
+
+    // Supplier enrichment
+    const enrichBtn = document.getElementById('catalog-enrich');
+    if (enrichBtn) {
+      enrichBtn.addEventListener('click', () => {
+        this.enrichCatalog();
+      });
+    }
+
+    // Add/edit item form
+    const itemForm = document.getElementById('item-form');
+    if (itemForm) {
+      itemForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.saveItem();
+      });
+    }
+
+    const itemLoanable = document.getElementById('item-loanable');
+    if (itemLoanable) {
+      itemLoanable.addEventListener('change', () => {
+        document.getElementById('item-units').classList.toggle('hidden', !itemLoanable.checked);
+      });
+    }
+
+    const itemFormCancel = document.getElementById('item-form-cancel');
+    if (itemFormCancel) {
+      itemFormCancel.addEventListener('click', () => {
+        this.resetItemForm();
+      });
+    }
+
+    // Add user form
+    const userCreateForm = document.getElementById('user-create-form');
+    if (userCreateForm) {
+      userCreateForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.createUser();
+      });
+    }
+
     // Order list toggle
     const toggleBtn = document.getElementById('toggle-order-list');
     if (toggleBtn) {
@@ -98,50 +220,49 @@ const Admin = {
   },
 
   /**
-   * Check if admin is already logged in from previous session
+   * Check if admin is already logged in via the session cookie
    */
-  checkAdminSession() {
-    const savedAdminCode = sessionStorage.getItem('adminCode');
-    if (savedAdminCode) {
-      this.adminCode = savedAdminCode;
+  async checkAdminSession() {
+    const session = await API.getSession();
+    if (session) {
+      this.session = session;
       this.isAuthenticated = true;
       this.updateAdminUI(true);
     }
   },
 
   /**
-   * Authenticate admin with passcode
+   * Authenticate admin with username and password in exchange for a session
    */
   async authenticate() {
+    const usernameInput = document.getElementById('admin-username');
     const adminCodeInput = document.getElementById('admin-code');
-    if (!adminCodeInput) return;
+    if (!usernameInput || !adminCodeInput) return;
     
-    const adminCodeValue = adminCodeInput.value.trim();
-    if (!adminCodeValue) {
-      this.showError('Please enter admin code');
+    const username = usernameInput.value.trim();
+    const adminCodeValue = adminCodeInput.value;
+    if (!username || !adminCodeValue) {
+      this.showError('Please enter username and password');
       return;
     }
 
     this.showLoading(true);
     
     try {
-      // Test authentication by attempting to fetch all orders
-      await API.getAllOrders(adminCodeValue);
-      
-      // If successful, save admin code and update UI
-      this.adminCode = adminCodeValue;
+      // The server keeps the session in an HttpOnly cookie, so drop the raw token
+      const { token, ...session } = await API.login(username, adminCodeValue);
+      this.session = session;
       this.isAuthenticated = true;
-      
-      // Save to session storage
-      sessionStorage.setItem('adminCode', this.adminCode);
+      adminCodeInput.value = '';
       
       // Update UI to show authenticated state
       this.updateAdminUI(true);
       
       // Load all orders
       this.loadAllOrders();
+      this.openPendingPickup();
     } catch (error) {
-      this.showError('Invalid admin code. Please try again.');
+      this.showError('Invalid username or password. Please try again.');
       if (adminCodeInput) {
         adminCodeInput.value = '';
       }
@@ -162,8 +283,10 @@ const Admin = {
     this.showLoading(true);
     
     try {
-      this.orders = await API.getAllOrders(this.adminCode);
+      this.orders = await API.getAllOrders();
       this.renderOrderList();
+      this.subscribeToUpdates();
+      this.loadLoans();
       
       // If we have a current order ID, load its details
       if (this.currentOrderId) {
@@ -176,6 +299,54 @@ const Admin = {
     }
   },
 
+  /**
+   * Show new orders, status changes and stock moves as they happen
+   */
+  subscribeToUpdates() {
+    if (this.events) return;
+
+    this.events = API.subscribeToEvents({
+      order: ({ change, order }) => {
+        this.orders[order.id] = order;
+        this.renderOrderList();
+        // Leave an open item editor alone; saving it shows the latest order
+        if (order.id === this.currentOrderId && !this.editingOrderItems) {
+          this.renderOrderDetails(order);
+        }
+        if (order.id === this.pickupOrder?.id) {
+          this.renderPickup(order);
+        }
+        if (change === 'created') {
+          this.showSuccess(`New order from ${order.username}`);
+        }
+      },
+      stock: update => {
+        const item = this.items.find(item => item.id === update.id);
+        if (!item) return;
+        Object.assign(item, { stock: update.stock, held: update.held, available: update.available });
+
+        // A checkout moves several items at once; redraw the table once
+        clearTimeout(this.inventoryRenderTimer);
+        this.inventoryRenderTimer = setTimeout(() => this.renderInventory(), 200);
+      },
+      loan: ({ change, loan }) => {
+        this.loans = this.loans.filter(entry => entry.id !== loan.id);
+        if (!loan.returned) {
+          this.loans.push(loan);
+          this.loans.sort((a, b) => a.due - b.due);
+        }
+        this.renderLoans();
+        if (loan.orderId === this.currentOrderId && !this.editingOrderItems) {
+          this.renderOrderLoans(this.orders[loan.orderId]);
+        }
+        if (change === 'overdue') {
+          this.showError(`${loan.itemName} (${loan.unit}) lent to ${loan.team} is overdue`);
+        }
+      },
+      reconnect: () => this.loadAllOrders(),
+    });
+  },
+
   /**
    * Load specific order details
    * @param {string} orderId - ID of the order to display
@@ -210,8 +381,8 @@ const Admin = {
   },
 
   /**
-   * Update order status (approve/deny)
-   * @param {string} status - New status ('approved' or 'denied')
+   * Update order status
+   * @param {string} status - New status, one of the lifecycle transitions
    */
   async updateOrderStatus(status) {
     if (!this.isAuthenticated || !this.currentOrderId) {
@@ -219,7 +390,8 @@ const Admin = {
       return;
     }
 
-    const note = prompt(`Enter a note for ${status} this order (optional):`);
+    const label = this.getStatusLabel(status);
+    const note = prompt(`Enter a note for moving this order to ${label} (optional):`);
 
     this.showLoading(true);
     
@@ -227,21 +399,248 @@ const Admin = {
       const result = await API.updateOrderStatus(
         this.currentOrderId,
         status,
-        note || `Order ${status}`,
-        this.adminCode
+        note || `Order ${label.toLowerCase()}`
       );
       
       // Update local data
-      this.orders[this.currentOrderId] = result.order;
+      this.orders[this.currentOrderId] = result;
       
       // Re-render details and list
-      this.renderOrderDetails(result.order);
+      this.renderOrderDetails(result);
       this.renderOrderList();
       
       // Show success message
-      this.showSuccess(`Order ${this.currentOrderId} was ${status}`);
+      this.showSuccess(`Order ${this.currentOrderId} is now ${label}`);
+    } catch (error) {
+      this.showError(`Failed to move order to ${label}: ${error.message}`);
+    } finally {
+      this.showLoading(false);
+    }
+  },
+
+  /**
+   * Replace the order's item table with an editor for quantities,
+   * substitutions, extra parts and backorders
+   * @param {Object} order - Order being edited
+   */
+  async showOrderItemEditor(order) {
+    const container = document.querySelector('#order-details .order-items-container');
+    if (!container) return;
+
+    this.editingOrderItems = true;
+    if (this.items.length === 0) {
+      try {
+        this.items = await API.getItems();
+      } catch (error) {
+        console.error('Failed to load items for substitutes:', error);
+      }
+    }
+
+    container.innerHTML = `
+      <h3>Edit Items</h3>
+      <form id="order-item-editor" class="order-item-editor">
+        <datalist id="order-item-options">
+          ${this.items.map(item => `<option value="${Html.escape(item.id)}">${Html.escape(item.name)} (${item.available ?? item.stock} available)</option>`).join('')}
+        </datalist>
+        <table class="order-items-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>Quantity</th>
+              <th>Substitute With</th>
+              <th>Backorder</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${order.items.map(item => `
+              <tr data-id="${Html.escape(item.id)}">
+                <td>${Html.escape(item.name)}</td>
+                <td><input type="number" class="edit-quantity" min="0" step="1" value="${item.quantity}" title="0 removes the line"></td>
+                <td><input type="text" class="edit-substitute" list="order-item-options" placeholder="Item ID" autocomplete="off"></td>
+                <td><input type="number" class="edit-backorder" min="0" max="${item.quantity}" step="1" value="0"></td>
+              </tr>
+            `).join('')}
+            <tr class="edit-add-row">
+              <td><input type="text" class="edit-add-id" list="order-item-options" placeholder="Add item ID" autocomplete="off"></td>
+              <td><input type="number" class="edit-add-quantity" min="1" step="1" value="1"></td>
+              <td colspan="2"></td>
+            </tr>
+          </tbody>
+        </table>
+        <input type="text" id="order-edit-note" placeholder="Note for the participant (optional)" autocomplete="off">
+        <div class="form-actions">
+          <button type="submit" class="button">Save Changes</button>
+          <button type="button" id="order-backorder" class="button secondary">Move to Backorder</button>
+          <button type="button" id="order-edit-cancel" class="button secondary">Cancel</button>
+        </div>
+      </form>
+    `;
+
+    const form = container.querySelector('#order-item-editor');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveOrderItems(order, form);
+    });
+    form.querySelector('#order-backorder').addEventListener('click', () => {
+      this.backorderOrderItems(order, form);
+    });
+    form.querySelector('#order-edit-cancel').addEventListener('click', () => {
+      this.renderOrderDetails(this.orders[order.id] || order);
+    });
+  },
+
+  /**
+   * Replace the order's item table with a form for what came back. Those
+   * lines are restocked and the order is closed as returned.
+   * @param {Object} order - Picked up order being returned
+   */
+  showReturnForm(order) {
+    const container = document.querySelector('#order-details .order-items-container');
+    if (!container) return;
+
+    this.editingOrderItems = true;
+    container.innerHTML = `
+      <h3>Return Items</h3>
+      <p>Enter how many of each item came back. Anything not returned, like used-up parts, stays off the shelf.</p>
+      <form id="order-return-form" class="order-item-editor">
+        <table class="order-items-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>Taken</th>
+              <th>Returned</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${order.items.map(item => `
+              <tr data-id="${Html.escape(item.id)}">
+                <td>${Html.escape(item.name)}</td>
+                <td>${item.quantity}</td>
+                <td><input type="number" class="return-quantity" min="0" max="${item.quantity}" step="1" value="${item.quantity}"></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        <input type="text" id="order-return-note" placeholder="Note, e.g. condition of the tools (optional)" autocomplete="off">
+        <div class="form-actions">
+          <button type="submit" class="button">Restock and Close Order</button>
+          <button type="button" id="order-return-cancel" class="button secondary">Cancel</button>
+        </div>
+      </form>
+    `;
+
+    const form = container.querySelector('#order-return-form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.returnOrderItems(order, form);
+    });
+    form.querySelector('#order-return-cancel').addEventListener('click', () => {
+      this.renderOrderDetails(this.orders[order.id] || order);
+    });
+  },
+
+  /**
+   * Restock the returned quantities and close the order
+   * @param {Object} order - Picked up order being returned
+   * @param {HTMLFormElement} form - The return form
+   */
+  async returnOrderItems(order, form) {
+    const items = [];
+    form.querySelectorAll('tr[data-id]').forEach(row => {
+      const quantity = parseInt(row.querySelector('.return-quantity').value, 10) || 0;
+      if (quantity > 0) {
+        items.push({ id: row.dataset.id, quantity });
+      }
+    });
+
+    if (items.length === 0) {
+      this.showError('Nothing came back? Mark the order fulfilled instead.');
+      return;
+    }
+
+    this.showLoading(true);
+
+    try {
+      const result = await API.returnOrderItems(order.id, items, form.querySelector('#order-return-note').value.trim());
+      this.orders[result.id] = result;
+      this.renderOrderDetails(result);
+      this.renderOrderList();
+      this.showSuccess(`Order ${result.id} returned`);
+    } catch (error) {
+      this.showError(error.message);
+    } finally {
+      this.showLoading(false);
+    }
+  },
+
+  /**
+   * Save quantity changes, removals, substitutions and added parts
+   * @param {Object} order - Order being edited
+   * @param {HTMLFormElement} form - The item editor
+   */
+  async saveOrderItems(order, form) {
+    const items = [];
+    form.querySelectorAll('tr[data-id]').forEach(row => {
+      const quantity = parseInt(row.querySelector('.edit-quantity').value, 10) || 0;
+      const substitute = row.querySelector('.edit-substitute').value.trim();
+      if (quantity <= 0) return;
+
+      items.push(substitute && substitute !== row.dataset.id
+        ? { id: substitute, quantity, replaces: row.dataset.id }
+        : { id: row.dataset.id, quantity });
+    });
+
+    const addId = form.querySelector('.edit-add-id').value.trim();
+    const addQuantity = parseInt(form.querySelector('.edit-add-quantity').value, 10) || 0;
+    if (addId && addQuantity > 0) {
+      items.push({ id: addId, quantity: addQuantity });
+    }
+
+    this.showLoading(true);
+
+    try {
+      const result = await API.editOrderItems(order.id, items, form.querySelector('#order-edit-note').value.trim());
+      this.orders[result.id] = result;
+      this.renderOrderDetails(result);
+      this.renderOrderList();
+      this.showSuccess(`Order ${result.id} updated`);
+    } catch (error) {
+      this.showError(error.message);
+    } finally {
+      this.showLoading(false);
+    }
+  },
+
+  /**
+   * Split the quantities in the Backorder column off into a new order
+   * @param {Object} order - Order being edited
+   * @param {HTMLFormElement} form - The item editor
+   */
+  async backorderOrderItems(order, form) {
+    const items = [];
+    form.querySelectorAll('tr[data-id]').forEach(row => {
+      const quantity = parseInt(row.querySelector('.edit-backorder').value, 10) || 0;
+      if (quantity > 0) {
+        items.push({ id: row.dataset.id, quantity });
+      }
+    });
+
+    if (items.length === 0) {
+      this.showError('Enter how many of each item to backorder');
+      return;
+    }
+
+    this.showLoading(true);
+
+    try {
+      const result = await API.backorderItems(order.id, items, form.querySelector('#order-edit-note').value.trim());
+      this.orders[result.order.id] = result.order;
+      this.orders[result.backorder.id] = result.backorder;
+      this.renderOrderDetails(result.order);
+      this.renderOrderList();
+      this.showSuccess(`Backorder #${result.backorder.id.substring(0, 8)} created`);
     } catch (error) {
-      this.showError(`Failed to ${status} order: ${error.message}`);
+      this.showError(error.message);
     } finally {
       this.showLoading(false);
     }
@@ -268,7 +667,7 @@ const Admin = {
     
     // Sort orders by timestamp (newest first)
     const sortedOrderIds = orderIds.sort((a, b) => {
-      return new Date(this.orders[b].timestamp) - new Date(this.orders[a].timestamp);
+      return this.orders[b].created - this.orders[a].created;
     });
     
     // Create list items for each order
@@ -281,13 +680,13 @@ const Admin = {
       orderItem.innerHTML = `
         <div class="order-item-header">
           <span class="order-id">#${orderId.substring(0, 8)}</span>
-          <span class="order-date">${new Date(order.timestamp).toLocaleDateString()}</span>
-          <span class="status-badge ${order.status}">${order.status.toUpperCase()}</span>
+          <span class="order-date">${new Date(order.created).toLocaleDateString()}</span>
+          <span class="status-badge ${order.status}">${this.getStatusLabel(order.status).toUpperCase()}</span>
         </div>
         <div class="order-item-details">
-          <span class="order-user">${order.username}</span>
+          <span class="order-user">${Html.escape(order.username)}</span>
           <span class="order-items-count">${order.items.length} items</span>
-          <span class="order-total">$${order.totalPrice.toFixed(2)}</span>
+          <span class="order-total">$${this.calculateOrderTotal(order).toFixed(2)}</span>
         </div>
       `;
       
@@ -350,6 +749,24 @@ const Admin = {
     if (deniedElement) deniedElement.textContent = deniedCount;
   },
 
+  /**
+   * Get the display label for an order status
+   * @param {string} status - Status name
+   * @returns {string} Human readable label
+   */
+  getStatusLabel(status) {
+    return this.orderStatuses[status]?.label || status;
+  },
+
+  /**
+   * Calculate total price of items in an order
+   * @param {Object} order - Order to total
+   * @returns {number} Total price
+   */
+  calculateOrderTotal(order) {
+    return order.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+  },
+
   /**
    * Render order details in the main view
    * @param {Object} orderData - Order data to display
@@ -357,6 +774,9 @@ const Admin = {
   renderOrderDetails(orderData) {
     const orderDetailsContainer = document.getElementById('order-details');
     if (!orderDetailsContainer) return;
+
+    this.editingOrderItems = false;
+    const orderLink = id => `<a href="#" class="order-link" data-order-id="${id}">#${id.substring(0, 8)}</a>`;
     
     // Fetch latest item data including current stock levels
     const fetchCurrentItemData = async () => {
@@ -375,18 +795,36 @@ const Admin = {
       <div class="order-details ${orderData.status}">
         <div class="order-header">
           <h2>Order #${orderData.id}</h2>
-          <span class="status-badge large ${orderData.status}">${orderData.status.toUpperCase()}</span>
+          <span class="status-badge large ${orderData.status}">${this.getStatusLabel(orderData.status).toUpperCase()}</span>
         </div>
         
         <div class="order-meta">
           <div class="meta-item">
             <span class="meta-label">Date:</span>
-            <span class="meta-value">${new Date(orderData.timestamp).toLocaleString()}</span>
+            <span class="meta-value">${new Date(orderData.created).toLocaleString()}</span>
           </div>
           <div class="meta-item">
             <span class="meta-label">Username:</span>
-            <span class="meta-value">${orderData.username}</span>
+            <span class="meta-value">${Html.escape(orderData.username)}</span>
           </div>
+          ${orderData.backorderOf ? `
+            <div class="meta-item">
+              <span class="meta-label">Backorder of:</span>
+              <span class="meta-value">${orderLink(orderData.backorderOf)}</span>
+            </div>
+          ` : ''}
+          ${orderData.returnedItems ? `
+            <div class="meta-item">
+              <span class="meta-label">Returned:</span>
+              <span class="meta-value">${orderData.returnedItems.map(item => `${Html.escape(item.name)} × ${item.quantity}`).join(', ')}</span>
+            </div>
+          ` : ''}
+          ${orderData.backorders?.length ? `
+            <div class="meta-item">
+              <span class="meta-label">Backorders:</span>
+              <span class="meta-value">${orderData.backorders.map(orderLink).join(', ')}</span>
+            </div>
+          ` : ''}
         </div>
         
         <div class="order-items-container">
@@ -407,23 +845,50 @@ const Admin = {
             <tfoot>
               <tr>
                 <td colspan="3">Total</td>
-                <td>$${orderData.totalPrice.toFixed(2)}</td>
+                <td>$${this.calculateOrderTotal(orderData).toFixed(2)}</td>
                 <td></td>
               </tr>
             </tfoot>
           </table>
         </div>
         
+        <div id="order-loans" class="order-loans hidden">
+          <!-- Loaned units will be dynamically inserted here -->
+        </div>
+        
+        ${orderData.edits?.length ? `
+          <div class="order-history">
+            <h3>Item Changes</h3>
+            <ul class="status-history">
+              ${orderData.edits.map(edit => `
+                <li class="status-entry">
+                  <div class="status-entry-header">
+                    <span class="status-time">${new Date(edit.timestamp).toLocaleString()}</span>
+                    <span class="status-actor">by ${Html.escape(edit.actor)}</span>
+                  </div>
+                  <ul class="edit-changes">
+                    ${edit.changes.map(change => `<li>${Html.escape(change)}</li>`).join('')}
+                  </ul>
+                  ${edit.note ? `<div class="status-note">${Html.escape(edit.note)}</div>` : ''}
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        ` : ''}
+        
         <div class="order-history">
           <h3>Order History</h3>
           <ul class="status-history">
             ${orderData.statusHistory.map(history => `
               <li class="status-entry">
                 <div class="status-entry-header">
-                  <span class="status-badge ${history.status}">${history.status.toUpperCase()}</span>
+                  <span class="status-badge ${history.status}">${this.getStatusLabel(history.status).toUpperCase()}</span>
                   <span class="status-time">${new Date(history.timestamp).toLocaleString()}</span>
                 </div>
-                ${history.note ? `<div class="status-note">${history.note}</div>` : ''}
+                <div class="status-actor">
+                  ${history.from ? `${this.getStatusLabel(history.from)} → ${this.getStatusLabel(history.status)}` : 'Created'} by ${Html.escape(history.actor)}
+                </div>
+                ${history.note ? `<div class="status-note">${Html.escape(history.note)}</div>` : ''}
               </li>
             `).join('')}
           </ul>
@@ -431,26 +896,45 @@ const Admin = {
       </div>
     `;
     
-    // Add action buttons if order is pending and user is authenticated
-    if (this.isAuthenticated && orderData.status === 'pending') {
+    // Add a button for each transition the lifecycle and the user's role allow
+    const transitions = (this.orderStatuses[orderData.status]?.transitions || [])
+      .filter(status => this.can(this.orderStatuses[status].permission));
+    if (this.isAuthenticated && this.can('orders:update') && transitions.length > 0) {
       const actionButtons = document.createElement('div');
       actionButtons.className = 'order-actions';
       
-      const approveButton = document.createElement('button');
-      approveButton.className = 'approve-button';
-      approveButton.textContent = 'Approve Order';
-      approveButton.addEventListener('click', () => this.updateOrderStatus('approved'));
-      
-      const denyButton = document.createElement('button');
-      denyButton.className = 'deny-button';
-      denyButton.textContent = 'Deny Order';
-      denyButton.addEventListener('click', () => this.updateOrderStatus('denied'));
+      transitions.forEach(status => {
+        const definition = this.orderStatuses[status];
+        const button = document.createElement('button');
+        button.className = `status-action-button ${definition.tone}`;
+        button.textContent = definition.action;
+        // Returns ask which lines came back before closing the order
+        button.addEventListener('click', () => (
+          status === 'returned' ? this.showReturnForm(orderData) : this.updateOrderStatus(status)
+        ));
+        actionButtons.appendChild(button);
+      });
       
-      actionButtons.appendChild(approveButton);
-      actionButtons.appendChild(denyButton);
+      // Quantities and parts can change until the items are handed over
+      if (this.orderStatuses[orderData.status]?.editable) {
+        const editButton = document.createElement('button');
+        editButton.className = 'status-action-button neutral';
+        editButton.textContent = 'Edit Items';
+        editButton.addEventListener('click', () => this.showOrderItemEditor(orderData));
+        actionButtons.appendChild(editButton);
+      }
       
       orderDetailsContainer.appendChild(actionButtons);
     }
+
+    orderDetailsContainer.querySelectorAll('.order-link').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.loadOrderDetails(link.dataset.orderId);
+      });
+    });
+
+    this.renderOrderLoans(orderData);
     
     // Now fetch current stock data and update the table
     fetchCurrentItemData().then(items => {
@@ -473,7 +957,7 @@ const Admin = {
         
         return `
           <tr class="${outOfStock ? 'stock-warning' : ''}">
-            <td>${item.name}</td>
+            <td>${Html.escape(item.name)}</td>
             <td>$${item.price.toFixed(2)}</td>
             <td>${item.quantity}</td>
             <td>$${(item.price * item.quantity).toFixed(2)}</td>
@@ -484,6 +968,191 @@ const Admin = {
     });
   },
 
+  /**
+   * Show the units lent on an order's loanable lines, with a form to lend
+   * the next one and buttons to check them back in
+   * @param {Object} order - Order shown in the details view
+   */
+  async renderOrderLoans(order) {
+    const container = document.getElementById('order-loans');
+    if (!container || !order) return;
+
+    if (this.items.length === 0) {
+      try {
+        this.items = await API.getItems();
+      } catch (error) {
+        console.error('Failed to load items for loans:', error);
+      }
+    }
+
+    const lines = order.items
+      .map(line => ({ line, item: this.items.find(item => item.id === line.id) }))
+      .filter(({ item }) => item?.loanable);
+    if (lines.length === 0) {
+      container.classList.add('hidden');
+      return;
+    }
+
+    let loans = [];
+    try {
+      loans = await API.getOrderLoans(order.id);
+    } catch (error) {
+      this.showError(error.message);
+    }
+
+    const canUpdate = this.can('orders:update');
+    const lending = canUpdate && ['approved', 'picked_up'].includes(order.status);
+    const lent = new Set(this.loans.map(loan => `${loan.itemId}/${loan.unit}`));
+
+    container.innerHTML = `
+      <h3>Loaned Units</h3>
+      ${lines.map(({ line, item }) => {
+        const itemLoans = loans.filter(loan => loan.itemId === item.id);
+        const free = (item.units || []).filter(unit => !lent.has(`${item.id}/${unit}`));
+        return `
+          <div class="order-loan-line" data-id="${Html.escape(item.id)}">
+            <h4>${Html.escape(item.name)}: ${itemLoans.length} of ${line.quantity} lent</h4>
+            <ul class="loan-units">
+              ${itemLoans.map(loan => `
+                <li class="${this.isLoanOverdue(loan) ? 'loan-overdue' : ''}">
+                  <strong>${Html.escape(loan.unit)}</strong>
+                  ${loan.returned
+                    ? `returned ${new Date(loan.returned).toLocaleString()} to ${Html.escape(loan.returnedTo)}`
+                    : `due ${new Date(loan.due).toLocaleString()}${this.isLoanOverdue(loan) ? ' (overdue)' : ''}`}
+                  ${canUpdate && !loan.returned ? `<button class="button secondary check-in" data-loan-id="${Html.escape(loan.id)}">Check In</button>` : ''}
+                </li>
+              `).join('')}
+            </ul>
+            ${lending && itemLoans.length < line.quantity ? `
+              <form class="admin-inline-form loan-form">
+                <select class="loan-unit" required>
+                  ${free.map(unit => `<option value="${Html.escape(unit)}">${Html.escape(unit)}</option>`).join('')}
+                </select>
+                <input type="datetime-local" class="loan-due" title="Due back; leave empty for the usual loan period">
+                <button type="submit" class="button" ${free.length === 0 ? 'disabled' : ''}>Lend</button>
+              </form>
+            ` : ''}
+          </div>
+        `;
+      }).join('')}
+    `;
+    container.classList.remove('hidden');
+
+    container.querySelectorAll('.check-in').forEach(button => {
+      button.addEventListener('click', () => {
+        this.checkInLoan(loans.find(loan => loan.id === button.dataset.loanId));
+      });
+    });
+    container.querySelectorAll('.loan-form').forEach(form => {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.checkOutLoan(order, form.closest('.order-loan-line').dataset.id, form);
+      });
+    });
+  },
+
+  /**
+   * Lend the unit picked in an order's loan form
+   * @param {Object} order - Order the unit is lent on
+   * @param {string} itemId - Loanable item
+   * @param {HTMLFormElement} form - The loan form
+   */
+  async checkOutLoan(order, itemId, form) {
+    const unit = form.querySelector('.loan-unit').value;
+    const due = form.querySelector('.loan-due').value;
+
+    try {
+      const loan = await API.checkOutLoan(order.id, itemId, unit, due ? new Date(due).toISOString() : undefined);
+      this.showSuccess(`${loan.unit} lent to ${loan.team} until ${new Date(loan.due).toLocaleString()}`);
+      await this.loadLoans();
+      this.renderOrderLoans(this.orders[order.id] || order);
+    } catch (error) {
+      this.showError(error.message);
+    }
+  },
+
+  /**
+   * Check a loaned unit back in, which restocks it
+   * @param {Object} loan - Loan being returned
+   */
+  async checkInLoan(loan) {
+    try {
+      await API.checkInLoan(loan.id);
+      this.showSuccess(`${loan.unit} checked in`);
+      await this.loadLoans();
+      if (loan.orderId === this.currentOrderId) {
+        this.renderOrderLoans(this.orders[loan.orderId]);
+      }
+    } catch (error) {
+      this.showError(error.message);
+    }
+  },
+
+  /**
+   * Check whether a loan is past its due time and not back yet
+   * @param {Object} loan - Loan to check
+   * @returns {boolean} Whether it is overdue
+   */
+  isLoanOverdue(loan) {
+    return !loan.returned && loan.due <= Date.now();
+  },
+
+  /**
+   * Load the loans still out for the loans tab
+   */
+  async loadLoans() {
+    try {
+      this.loans = await API.getLoans();
+      this.renderLoans();
+    } catch (error) {
+      console.error('Failed to load loans:', error);
+    }
+  },
+
+  /**
+   * Render the outstanding loans and the overdue count on the tab
+   */
+  renderLoans() {
+    const overdue = this.loans.filter(loan => this.isLoanOverdue(loan)).length;
+    const badge = document.getElementById('loan-overdue-count');
+    if (badge) {
+      badge.textContent = `${overdue} overdue`;
+      badge.classList.toggle('hidden', overdue === 0);
+    }
+
+    const loanList = document.getElementById('loan-list');
+    if (!loanList) return;
+
+    if (this.loans.length === 0) {
+      loanList.innerHTML = '<tr><td colspan="6">No equipment is out on loan</td></tr>';
+      return;
+    }
+
+    const canUpdate = this.can('orders:update');
+    loanList.innerHTML = '';
+    this.loans.forEach(loan => {
+      const row = document.createElement('tr');
+      row.className = this.isLoanOverdue(loan) ? 'loan-overdue' : '';
+      row.innerHTML = `
+        <td>${Html.escape(loan.itemName)}</td>
+        <td>${Html.escape(loan.unit)}</td>
+        <td>${Html.escape(loan.team)}</td>
+        <td><a href="#" class="order-link">#${loan.orderId.substring(0, 8)}</a></td>
+        <td>${new Date(loan.due).toLocaleString()}${this.isLoanOverdue(loan) ? ' (overdue)' : ''}</td>
+        <td>${canUpdate ? '<button class="button secondary check-in">Check In</button>' : ''}</td>
+      `;
+
+      row.querySelector('.order-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        this.showTab('orders');
+        this.loadOrderDetails(loan.orderId);
+      });
+      row.querySelector('.check-in')?.addEventListener('click', () => this.checkInLoan(loan));
+
+      loanList.appendChild(row);
+    });
+  },
+
   /**
    * Render empty order details when no order is selected
    */
@@ -514,22 +1183,848 @@ const Admin = {
     if (authContainer) {
       authContainer.classList.toggle('hidden', !isAuthenticated);
     }
+
+    const userInfo = document.getElementById('admin-user-info');
+    if (userInfo) {
+      const user = this.session?.user;
+      userInfo.textContent = isAuthenticated && user
+        ? `Logged in as ${user.name} (${this.roles[user.role]?.label || user.role})`
+        : '';
+    }
+
+    // Hide controls the current role is not allowed to use
+    document.querySelectorAll('[data-permission]').forEach(element => {
+      element.classList.toggle('hidden', !isAuthenticated || !this.can(element.dataset.permission));
+    });
   },
 
   /**
-   * Log out from admin panel
+   * Check whether the logged in user has a permission
+   * @param {string} permission - Permission name, e.g. 'orders:update'
+   * @returns {boolean} Whether the user's role grants it
    */
-  logout() {
-    this.isAuthenticated = false;
-    this.adminCode = null;
-    sessionStorage.removeItem('adminCode');
-    this.updateAdminUI(false);
-    this.renderEmptyOrderDetails();
-    this.orders = {};
-    
-    // Clear order ID input
-    const orderIdInput = document.getElementById('order-id-input');
-    if (orderIdInput) orderIdInput.value = '';
+  can(permission) {
+    return Boolean(this.session?.permissions?.includes(permission));
+  },
+
+  /**
+   * Switch the visible admin tab
+   * @param {string} name - Tab name: 'orders', 'pickup', 'loans', 'inventory', 'waitlist' or 'users'
+   */
+  showTab(name) {
+    document.querySelectorAll('.admin-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.tab === name);
+    });
+    document.querySelectorAll('.admin-tab-panel').forEach(panel => {
+      panel.classList.toggle('active', panel.id === `tab-${name}`);
+    });
+
+    if (name !== 'pickup') {
+      this.stopPickupCamera();
+    }
+
+    if (name === 'inventory') {
+      this.loadInventory();
+    } else if (name === 'loans') {
+      this.loadLoans();
+    } else if (name === 'waitlist') {
+      this.loadWaitlist();
+    } else if (name === 'users') {
+      this.loadUsers();
+    }
+  },
+
+  /**
+   * Open the pickup ticket from the page address once logged in
+   */
+  openPendingPickup() {
+    if (!this.pickupToken) return;
+
+    this.showTab('pickup');
+    this.lookupPickup(this.pickupToken);
+    // Drop the token from the address so a reload does not scan it again
+    window.history.replaceState(null, '', window.location.pathname);
+  },
+
+  /**
+   * Read the token from a scanned or pasted ticket, which holds either the
+   * admin.html?pickup= link or the bare token
+   * @param {string} text - Scanned or pasted text
+   * @returns {string} Pickup token
+   */
+  parsePickupToken(text) {
+    const value = text.trim();
+    try {
+      return new URL(value).searchParams.get('pickup') || value;
+    } catch (error) {
+      return value;
+    }
+  },
+
+  /**
+   * Look up the order on a pickup ticket and show its items
+   * @param {string} text - Scanned or pasted ticket
+   */
+  async lookupPickup(text) {
+    const token = this.parsePickupToken(text || '');
+    if (!token) {
+      this.showError('Please scan or enter a pickup ticket');
+      return;
+    }
+
+    this.showLoading(true);
+
+    try {
+      const order = await API.lookupPickup(token);
+      this.pickupToken = token;
+      this.renderPickup(order);
+    } catch (error) {
+      this.pickupToken = null;
+      this.pickupOrder = null;
+      this.showError(error.message);
+      const result = document.getElementById('pickup-result');
+      if (result) result.innerHTML = '';
+    } finally {
+      this.showLoading(false);
+      const input = document.getElementById('pickup-token');
+      if (input) {
+        input.value = '';
+        input.focus();
+      }
+    }
+  },
+
+  /**
+   * Show a scanned order with a button to hand it over
+   * @param {Object} order - Order behind the pickup ticket
+   */
+  renderPickup(order) {
+    const result = document.getElementById('pickup-result');
+    if (!result) return;
+
+    this.pickupOrder = order;
+    const ready = order.status === 'approved';
+
+    result.innerHTML = `
+      <div class="pickup-order ${order.status}">
+        <div class="order-header">
+          <h4>#${order.id.substring(0, 8)} for ${Html.escape(order.username)}</h4>
+          <span class="status-badge ${order.status}">${this.getStatusLabel(order.status).toUpperCase()}</span>
+        </div>
+        <table class="admin-table">
+          <tbody>
+            ${order.items.map(item => `
+              <tr>
+                <td class="pickup-quantity">${item.quantity} ×</td>
+                <td>${Html.escape(item.name)}</td>
+                <td>${Html.escape(item.id)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${ready
+          ? (this.can('orders:update') ? '<button id="pickup-confirm" class="button">Mark Picked Up</button>' : '')
+          : `<p class="pickup-warning">This order is ${this.getStatusLabel(order.status).toLowerCase()}, not waiting for pickup.</p>`}
+      </div>
+    `;
+
+    result.querySelector('#pickup-confirm')?.addEventListener('click', () => {
+      this.confirmPickup();
+    });
+  },
+
+  /**
+   * Mark the scanned order as picked up
+   */
+  async confirmPickup() {
+    if (!this.pickupToken) return;
+
+    this.showLoading(true);
+
+    try {
+      const order = await API.confirmPickup(this.pickupToken);
+      this.orders[order.id] = order;
+      this.renderOrderList();
+      this.renderPickup(order);
+      this.showSuccess(`Order #${order.id.substring(0, 8)} handed to ${order.username}`);
+    } catch (error) {
+      this.showError(`Failed to confirm pickup: ${error.message}`);
+    } finally {
+      this.showLoading(false);
+    }
+  },
+
+  /**
+   * Scan pickup tickets with the device camera, where the browser can read
+   * QR codes
+   */
+  async startPickupCamera() {
+    const video = document.getElementById('pickup-camera');
+    const button = document.getElementById('pickup-scan');
+    if (!video) return;
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' }
+      });
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      video.srcObject = stream;
+      video.classList.remove('hidden');
+      await video.play();
+      if (button) button.textContent = 'Stop Camera';
+
+      const camera = { stream, timer: null, lastCode: null };
+      this.pickupCamera = camera;
+
+      const scan = async () => {
+        if (this.pickupCamera !== camera) return;
+        try {
+          const [code] = await detector.detect(video);
+          // Each ticket is read once while it stays in front of the camera
+          if (code && code.rawValue !== camera.lastCode && !this.isLoading) {
+            camera.lastCode = code.rawValue;
+            await this.lookupPickup(code.rawValue);
+          }
+        } catch (error) {
+          console.error('Error reading QR code:', error);
+        }
+        camera.timer = setTimeout(scan, 300);
+      };
+      scan();
+    } catch (error) {
+      this.stopPickupCamera();
+      this.showError('Could not open the camera: ' + error.message);
+    }
+  },
+
+  /**
+   * Stop scanning and release the camera
+   */
+  stopPickupCamera() {
+    const camera = this.pickupCamera;
+    this.pickupCamera = null;
+    if (camera) {
+      clearTimeout(camera.timer);
+      camera.stream.getTracks().forEach(track => track.stop());
+    }
+
+    const video = document.getElementById('pickup-camera');
+    if (video) {
+      video.srcObject = null;
+      video.classList.add('hidden');
+    }
+    const button = document.getElementById('pickup-scan');
+    if (button) button.textContent = 'Scan with Camera';
+  },
+
+  /**
+   * Load inventory items for the inventory tab
+   */
+  async loadInventory() {
+    this.items = await API.getItems();
+    this.renderInventory();
+  },
+
+  /**
+   * Render the inventory table, filtered by the search box
+   */
+  renderInventory() {
+    const inventoryList = document.getElementById('inventory-list');
+    if (!inventoryList) return;
+
+    const query = (document.getElementById('inventory-search')?.value || '').trim().toLowerCase();
+    const items = this.items.filter(item => !query ||
+      [item.id, item.name, item.category].some(field => (field || '').toLowerCase().includes(query)));
+
+    if (items.length === 0) {
+      inventoryList.innerHTML = '<tr><td colspan="6">No items found</td></tr>';
+      return;
+    }
+
+    const canEdit = this.can('inventory:write');
+    inventoryList.innerHTML = '';
+    items.forEach(item => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${Html.escape(item.id)}</td>
+        <td>
+          ${Html.escape(item.name)}
+          ${item.enrichment?.status === 'unenriched' ? `<span class="unenriched" title="${Html.escape(item.enrichment.error || 'Not looked up yet')}">No ${Html.escape(item.supplier)} details</span>` : ''}
+        </td>
+        <td>${Html.escape(item.category)}</td>
+        <td>$${Number(item.price).toFixed(2)}</td>
+        <td>${item.stock === 0 ? '<span class="stock-status oos">OOS</span>' : item.stock}${item.held ? ` (${item.held} held in carts)` : ''}</td>
+        <td>
+          <button class="button secondary show-ledger">History</button>
+          ${canEdit ? `
+            <button class="button adjust-stock">Stock ±</button>
+            <button class="button secondary edit-item">Edit</button>
+            ${item.enrichment ? '<button class="button secondary enrich-item">Re-enrich</button>' : ''}
+            <button class="button secondary delete-item">Delete</button>
+          ` : ''}
+        </td>
+      `;
+
+      row.querySelector('.show-ledger').addEventListener('click', () => this.showItemLedger(item));
+
+      if (canEdit) {
+        row.querySelector('.adjust-stock').addEventListener('click', () => this.adjustStock(item));
+        row.querySelector('.edit-item').addEventListener('click', () => this.editItem(item));
+        row.querySelector('.delete-item').addEventListener('click', () => this.deleteItem(item));
+        row.querySelector('.enrich-item')?.addEventListener('click', () => this.enrichItem(item));
+      }
+
+      inventoryList.appendChild(row);
+    });
+  },
+
+  /**
+   * Show the stock movement history for an item
+   * @param {Object} item - Item to show
+   */
+  async showItemLedger(item) {
+    const container = document.getElementById('item-ledger');
+    if (!container) return;
+
+    try {
+      const ledger = await API.getItemLedger(item.id);
+      const mismatch = ledger.ledgerTotal !== ledger.stock;
+
+      container.innerHTML = `
+        <h4>Stock History: ${Html.escape(item.name)}</h4>
+        <p>
+          Current stock ${ledger.stock}, ledger total ${ledger.ledgerTotal}
+          ${mismatch ? '<span class="ledger-mismatch">(does not match)</span>' : ''}
+        </p>
+        <table class="admin-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Type</th>
+              <th>Change</th>
+              <th>Balance</th>
+              <th>Reason</th>
+              <th>Order</th>
+              <th>By</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${ledger.entries.slice().reverse().map(entry => `
+              <tr>
+                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>${entry.type}</td>
+                <td>${entry.delta > 0 ? '+' : ''}${entry.delta}</td>
+                <td>${entry.balance}</td>
+                <td>${Html.escape(entry.reason)}</td>
+                <td>${entry.orderId ? `#${entry.orderId.substring(0, 8)}` : ''}</td>
+                <td>${Html.escape(entry.actor)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+      container.classList.remove('hidden');
+      container.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+      this.showError(error.message);
+    }
+  },
+
+  /**
+   * Fill the item form with an existing item for editing
+   * @param {Object} item - Item to edit
+   */
+  editItem(item) {
+    this.editingItemId = item.id;
+
+    const fields = {
+      'item-id': item.id,
+      'item-name': item.name,
+      'item-category': item.category,
+      'item-price': item.price,
+      'item-stock': item.stock,
+      'item-supplier': item.supplier,
+      'item-part-number': item.partNumber,
+      'item-tags': (item.tags || []).join(', '),
+      'item-manufacturer': item.manufacturer,
+      'item-mpn': item.manufacturerPartNumber,
+      'item-image-url': item.imageUrl,
+      'item-datasheet': item.datasheet,
+      'item-description': item.description,
+      'item-attributes': Object.entries(item.attributes || {})
+        .map(([name, value]) => `${name}: ${value}`)
+        .join('\n'),
+      'item-units': (item.units || []).join('\n')
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value ?? '';
+    });
+    document.getElementById('item-loanable').checked = Boolean(item.loanable);
+    document.getElementById('item-units').classList.toggle('hidden', !item.loanable);
+
+    // ID is the key and stock only changes through adjustments
+    document.getElementById('item-id').disabled = true;
+    document.getElementById('item-stock').disabled = true;
+    document.getElementById('item-form-title').textContent = `Edit ${item.name}`;
+    document.getElementById('item-form-cancel').classList.remove('hidden');
+    document.getElementById('item-form').scrollIntoView({ behavior: 'smooth' });
+  },
+
+  /**
+   * Parse "Name: Value" lines from the specs box
+   * @param {string} text - One spec per line
+   * @returns {Object} Attribute values keyed by name
+   */
+  parseAttributes(text) {
+    const attributes = {};
+    text.split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        attributes[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    });
+    return attributes;
+  },
+
+  /**
+   * Clear the item form back to "add" mode
+   */
+  resetItemForm() {
+    this.editingItemId = null;
+    document.getElementById('item-form').reset();
+    document.getElementById('item-id').disabled = false;
+    document.getElementById('item-stock').disabled = false;
+    document.getElementById('item-form-title').textContent = 'Add Item';
+    document.getElementById('item-form-cancel').classList.add('hidden');
+    document.getElementById('item-units').classList.add('hidden');
+  },
+
+  /**
+   * Create or update an item from the item form
+   */
+  async saveItem() {
+    const value = id => document.getElementById(id).value.trim();
+    const item = {
+      name: value('item-name'),
+      category: value('item-category'),
+      supplier: value('item-supplier'),
+      partNumber: value('item-part-number'),
+      tags: value('item-tags'),
+      manufacturer: value('item-manufacturer'),
+      manufacturerPartNumber: value('item-mpn'),
+      imageUrl: value('item-image-url'),
+      datasheet: value('item-datasheet'),
+      description: value('item-description'),
+      attributes: this.parseAttributes(value('item-attributes')),
+      loanable: document.getElementById('item-loanable').checked
+    };
+    if (value('item-price') !== '') item.price = Number(value('item-price'));
+    // One serial number or asset tag per line
+    if (item.loanable) item.units = value('item-units');
+
+    try {
+      if (this.editingItemId) {
+        await API.updateItem(this.editingItemId, item);
+        this.showSuccess(`Updated ${item.name}`);
+      } else {
+        item.id = value('item-id');
+        // Loanable items default to one in stock per unit
+        if (value('item-stock') !== '' || !item.loanable) {
+          item.stock = Number(value('item-stock') || 0);
+        }
+        await API.createItem(item);
+        this.showSuccess(`Added ${item.name}`);
+      }
+
+      this.resetItemForm();
+      this.loadInventory();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  },
+
+  /**
+   * Prompt for a stock change and its reason, then apply it
+   * @param {Object} item - Item to adjust
+   */
+  async adjustStock(item) {
+    const input = prompt(`Change stock of ${item.name} (currently ${item.stock}). Use a negative number to remove units:`);
+    if (input === null) return;
+
+    const delta = parseInt(input, 10);
+    if (!Number.isInteger(delta) || delta === 0) {
+      this.showError('Please enter a whole number other than 0');
+      return;
+    }
+
+    const reason = prompt('Reason for the change (e.g. "New box arrived", "Recount"):');
+    if (!reason) {
+      this.showError('A reason is required to change stock');
+      return;
+    }
+
+    // Distinguish new deliveries from count corrections in the ledger
+    const type = delta > 0 && confirm('Are these newly arrived units? OK = restock, Cancel = count correction')
+      ? 'restock'
+      : 'adjustment';
+
+    try {
+      const updated = await API.adjustStock(item.id, delta, reason, type);
+      this.showSuccess(`${item.name} now has ${updated.stock} in stock`);
+      this.loadInventory();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  },
+
+  /**
+   * Preview a catalog CSV import, then apply it after confirmation
+   */
+  async reloadCatalog() {
+    try {
+      const preview = await API.reloadCatalog(true);
+      if (!confirm(this.describeCatalogReport(preview) + '\n\nApply these changes?')) {
+        return;
+      }
+
+      const report = await API.reloadCatalog();
+      this.showSuccess(`Catalog reloaded: ${report.added.length} added, ${report.updated.length} updated, ${report.removed.length} removed`);
+      this.loadInventory();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  },
+
+  /**
+   * Look up supplier details for items that are missing them or out of date
+   */
+  async enrichCatalog() {
+    try {
+      const status = await API.enrichCatalog();
+      this.showSuccess(`Fetching supplier details for ${status.total} items in the background`);
+    } catch (error) {
+      this.showError(error.message);
+    }
+  },
+
+  /**
+   * Fetch supplier details for one item again, ignoring the cache
+   * @param {Object} item - Item to enrich
+   */
+  async enrichItem(item) {
+    try {
+      const updated = await API.enrichItem(item.id);
+      this.showSuccess(`Updated ${updated.name} from ${updated.supplier}`);
+    } catch (error) {
+      this.showError(error.message);
+    }
+    this.loadInventory();
+  },
+
+  /**
+   * Summarise a catalog reload report for a confirmation dialog
+   * @param {Object} report - Report from the reload endpoint
+   * @returns {string} Plain text summary
+   */
+  describeCatalogReport(report) {
+    const lines = [
+      `${report.added.length} to add, ${report.updated.length} to update, ${report.removed.length} to remove, ${report.unchanged} unchanged`
+    ];
+
+    // Items that could not be removed need a human decision
+    if (report.kept.length > 0) {
+      lines.push('', `Kept although no longer in the CSVs:`);
+      report.kept.forEach(item => lines.push(`  ${item.id}: ${item.reason}`));
+    }
+
+    if (report.conflicts.length > 0) {
+      lines.push('', 'Changed by hand, so the CSV will not overwrite:');
+      report.conflicts.forEach(item => lines.push(`  ${item.id} (${item.fields.join(', ') || 'no changes'}): ${item.reason}`));
+    }
+
+    if (report.errors.length > 0) {
+      lines.push('', `${report.errors.length} rows will be skipped:`);
+      report.errors.forEach(error => {
+        lines.push(`  ${error.file} row ${error.row}${error.sku ? ` (${error.sku})` : ''}: ${error.message}`);
+      });
+    }
+
+    return lines.join('\n');
+  },
+
+  /**
+   * Delete an item after confirmation
+   * @param {Object} item - Item to delete
+   */
+  async deleteItem(item) {
+    if (!confirm(`Delete ${item.name} from the catalog?`)) {
+      return;
+    }
+
+    try {
+      await API.deleteItem(item.id);
+      this.showSuccess(`Deleted ${item.name}`);
+      this.loadInventory();
+    } catch (error) {
+      this.showError(error.message);
+    }
+  },
+
+  /**
+   * Load and render the waitlist queue of every item
+   */
+  async loadWaitlist() {
+    const container = document.getElementById('waitlist-queues');
+    if (!container) return;
+
+    try {
+      const queues = await API.getWaitlist();
+      if (queues.length === 0) {
+        container.innerHTML = '<p>Nobody is waiting for anything</p>';
+        return;
+      }
+
+      const canEdit = this.can('orders:update');
+      container.innerHTML = '';
+      queues.forEach(queue => {
+        const section = document.createElement('div');
+        section.className = 'waitlist-queue';
+        section.innerHTML = `
+          <h4>${Html.escape(queue.itemName)}</h4>
+          <table class="admin-table">
+            <tbody>
+              ${queue.entries.map((entry, index) => `
+                <tr data-id="${Html.escape(entry.id)}">
+                  <td>${index + 1}.</td>
+                  <td>${Html.escape(entry.username)}</td>
+                  <td>× ${entry.quantity}</td>
+                  <td>${new Date(entry.created).toLocaleString()}</td>
+                  <td>
+                    ${canEdit ? `
+                      <button class="button secondary move-up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                      <button class="button secondary move-down" ${index === queue.entries.length - 1 ? 'disabled' : ''}>↓</button>
+                      <button class="button secondary remove-entry">Remove</button>
+                    ` : ''}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `;
+
+        if (canEdit) {
+          section.querySelectorAll('tr').forEach((row, index) => {
+            row.querySelector('.move-up').addEventListener('click', () => this.moveWaitlistEntry(queue, index, -1));
+            row.querySelector('.move-down').addEventListener('click', () => this.moveWaitlistEntry(queue, index, 1));
+            row.querySelector('.remove-entry').addEventListener('click', () => this.removeWaitlistEntry(queue.entries[index]));
+          });
+        }
+
+        container.appendChild(section);
+      });
+    } catch (error) {
+      this.showError('Failed to load waitlist: ' + error.message);
+    }
+  },
+
+  /**
+   * Move a waitlist entry one place up or down in its queue
+   * @param {Object} queue - Item queue from the server
+   * @param {number} index - Current position of the entry
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  async moveWaitlistEntry(queue, index, offset) {
+    const ids = queue.entries.map(entry => entry.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+
+    try {
+      await API.reorderWaitlist(queue.itemId, ids);
+    } catch (error) {
+      this.showError(error.message);
+    }
+    this.loadWaitlist();
+  },
+
+  /**
+   * Remove an entry from the waitlist after confirmation
+   * @param {Object} entry - Waitlist entry
+   */
+  async removeWaitlistEntry(entry) {
+    if (!confirm(`Remove ${entry.username} from the waitlist?`)) {
+      return;
+    }
+
+    try {
+      await API.removeWaitlistEntry(entry.id);
+      this.showSuccess(`Removed ${entry.username} from the waitlist`);
+    } catch (error) {
+      this.showError(error.message);
+    }
+    this.loadWaitlist();
+  },
+
+  /**
+   * Load admin users for the user management panel (managers only)
+   */
+  async loadUsers() {
+    if (!this.can('users:manage')) return;
+
+    try {
+      this.users = await API.getUsers();
+      this.renderUsers();
+    } catch (error) {
+      this.showError('Failed to load users: ' + error.message);
+    }
+  },
+
+  /**
+   * Render the user management table and role picker
+   */
+  renderUsers() {
+    const userList = document.getElementById('user-list');
+    const roleSelect = document.getElementById('new-user-role');
+    if (!userList) return;
+
+    const roleOptions = selected => Object.entries(this.roles).map(([role, definition]) => `
+      <option value="${role}" ${role === selected ? 'selected' : ''}>${definition.label}</option>
+    `).join('');
+
+    if (roleSelect) {
+      roleSelect.innerHTML = roleOptions('viewer');
+    }
+
+    userList.innerHTML = '';
+    this.users.forEach(user => {
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${Html.escape(user.username)}</td>
+        <td>${Html.escape(user.name)}</td>
+        <td><select class="user-role">${roleOptions(user.role)}</select></td>
+        <td>${user.disabled ? 'Disabled' : 'Active'}</td>
+        <td>
+          <button class="button secondary toggle-user">${user.disabled ? 'Enable' : 'Disable'}</button>
+          <button class="button secondary delete-user">Delete</button>
+        </td>
+      `;
+
+      row.querySelector('.user-role').addEventListener('change', (e) => {
+        this.updateUser(user.id, { role: e.target.value });
+      });
+
+      row.querySelector('.toggle-user').addEventListener('click', () => {
+        this.updateUser(user.id, { disabled: !user.disabled });
+      });
+
+      row.querySelector('.delete-user').addEventListener('click', () => {
+        this.deleteUser(user);
+      });
+
+      userList.appendChild(row);
+    });
+  },
+
+  /**
+   * Create an admin user from the add user form
+   */
+  async createUser() {
+    const username = document.getElementById('new-user-username');
+    const name = document.getElementById('new-user-name');
+    const password = document.getElementById('new-user-password');
+    const role = document.getElementById('new-user-role');
+    if (!username || !name || !password || !role) return;
+
+    try {
+      await API.createUser({
+        username: username.value.trim(),
+        name: name.value.trim(),
+        password: password.value,
+        role: role.value
+      });
+
+      username.value = '';
+      name.value = '';
+      password.value = '';
+      this.showSuccess('User created');
+      this.loadUsers();
+    } catch (error) {
+      this.showError('Failed to create user: ' + error.message);
+    }
+  },
+
+  /**
+   * Update an admin user's role or status
+   * @param {string} userId - ID of the user
+   * @param {Object} changes - Fields to change
+   */
+  async updateUser(userId, changes) {
+    try {
+      await API.updateUser(userId, changes);
+      this.showSuccess('User updated');
+    } catch (error) {
+      this.showError('Failed to update user: ' + error.message);
+    }
+
+    // Re-render either way so the table reflects the server state
+    this.loadUsers();
+  },
+
+  /**
+   * Delete an admin user after confirmation
+   * @param {Object} user - User to delete
+   */
+  async deleteUser(user) {
+    if (!confirm(`Delete ${user.username}? They will be logged out immediately.`)) {
+      return;
+    }
+
+    try {
+      await API.deleteUser(user.id);
+      this.showSuccess(`Deleted ${user.username}`);
+      this.loadUsers();
+    } catch (error) {
+      this.showError('Failed to delete user: ' + error.message);
+    }
+  },
+
+  /**
+   * Log out from admin panel
+   */
+  async logout() {
+    await API.logout();
+    this.events?.close();
+    this.events = null;
+    this.stopPickupCamera();
+    this.pickupToken = null;
+    this.pickupOrder = null;
+    this.isAuthenticated = false;
+    this.session = null;
+    this.users = [];
+    this.updateAdminUI(false);
+    this.showTab('orders');
+    this.renderEmptyOrderDetails();
+    this.orders = {};
+    
+    // Clear order ID input
+    const orderIdInput = document.getElementById('order-id-input');
+    if (orderIdInput) orderIdInput.value = '';
+  },
+
+  /**
+   * Revoke all admin sessions, including this one
+   */
+  async revokeAllSessions() {
+    if (!confirm('Log out every admin device? Everyone will need to log in again.')) {
+      return;
+    }
+
+    try {
+      const result = await API.revokeAllSessions();
+      this.showSuccess(`Ended ${result.revoked} admin sessions`);
+      await this.logout();
+    } catch (error) {
+      this.showError('Failed to end sessions: ' + error.message);
+    }
   },
 
   /**
@@ -563,7 +2058,7 @@ const Admin = {
     errorElement.className = 'error-toast';
     errorElement.innerHTML = `
       <div class="toast-icon error">✖</div>
-      <div class="toast-message">${message}</div>
+      <div class="toast-message">${Html.escape(message)}</div>
     `;
     document.body.appendChild(errorElement);
     
@@ -590,7 +2085,7 @@ const Admin = {
     successElement.className = 'success-toast';
     successElement.innerHTML = `
       <div class="toast-icon success">✓</div>
-      <div class="toast-message">${message}</div>
+      <div class="toast-message">${Html.escape(message)}</div>
     `;
     document.body.appendChild(successElement);
     
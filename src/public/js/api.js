@@ -9,22 +9,70 @@ const API = {
   BASE_URL: Config.get('API_BASE_URL'),
 
   /**
-   * Fetches all items from the store
+   * Builds the catalog query string shared by items and facets
+   * @param {Object} filters - Search words, category, stock, manufacturer, spec values, sort and page
+   * @returns {string} Query string including the leading ?, or empty
+   */
+  catalogQuery(filters = {}) {
+    const params = new URLSearchParams();
+    if (filters.q) params.set('q', filters.q);
+    if (filters.category) params.set('category', filters.category);
+    if (filters.supplier) params.set('supplier', filters.supplier);
+    if (filters.inStock) params.set('inStock', 'true');
+    if (filters.manufacturer) params.set('manufacturer', filters.manufacturer);
+    Object.entries(filters.attributes || {}).forEach(([name, value]) => {
+      params.set(`attr.${name}`, value);
+    });
+    if (filters.sort) params.set('sort', filters.sort);
+    if (filters.order) params.set('order', filters.order);
+    if (filters.limit) {
+      params.set('page', filters.page || 1);
+      params.set('limit', filters.limit);
+    }
+    return params.toString() ? `?${params}` : '';
+  },
+
+  /**
+   * Fetches items from the store
+   * @param {Object} filters - Optional search, filters and sort, see catalogQuery
    * @returns {Promise<Array>} Array of item objects
    */
-  async getItems() {
+  async getItems(filters = {}) {
     try {
-      const response = await fetch(`${this.BASE_URL}/items`);
-      if (!response.ok) {
-        throw new Error('Failed to fetch items');
-      }
-      return await response.json();
+      return (await this.searchItems(filters)).items;
     } catch (error) {
       console.error('Error fetching items:', error);
       return [];
     }
   },
 
+  /**
+   * Fetches one page of matching items
+   * @param {Object} filters - Search, filters, sort, page and limit, see catalogQuery
+   * @returns {Promise<Object>} The page's items and how many items match in total
+   */
+  async searchItems(filters = {}) {
+    const response = await fetch(`${this.BASE_URL}/items${this.catalogQuery(filters)}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch items');
+    }
+    const items = await response.json();
+    return { items, total: Number(response.headers.get('X-Total-Count') ?? items.length) };
+  },
+
+  /**
+   * Fetches item counts per category, manufacturer and spec for the store filters
+   * @param {Object} filters - Same filters as searchItems; page and sort are ignored
+   * @returns {Promise<Object>} Facet counts
+   */
+  async getCatalogFacets(filters = {}) {
+    const response = await fetch(`${this.BASE_URL}/catalog/facets${this.catalogQuery(filters)}`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch filters');
+    }
+    return response.json();
+  },
+
   /**
    * Fetches a specific item by ID
    * @param {string} id - Item ID
@@ -43,25 +91,203 @@ const API = {
     }
   },
 
+  /**
+   * Fetches an item's stock level after each recent stock movement
+   * @param {string} id - Item ID
+   * @returns {Promise<Object|null>} Current stock and history points, or null on failure
+   */
+  async getStockHistory(id) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/items/${id}/stock-history`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch stock history for item: ${id}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error(`Error fetching stock history for ${id}:`, error);
+      return null;
+    }
+  },
+
+  /**
+   * Fetches parts that share tags or the category with an item
+   * @param {string} id - Item ID
+   * @returns {Promise<Array>} Related items, best matches first
+   */
+  async getRelatedItems(id) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/items/${id}/related`);
+      if (!response.ok) {
+        throw new Error(`Failed to fetch related items for: ${id}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.error(`Error fetching related items for ${id}:`, error);
+      return [];
+    }
+  },
+
+  /**
+   * Creates an inventory item (inventory managers only)
+   * @param {Object} item - Item fields including id and name
+   * @returns {Promise<Object>} Created item
+   */
+  async createItem(item) {
+    return this.sendItemRequest('POST', `${this.BASE_URL}/items`, item, 'create item');
+  },
+
+  /**
+   * Updates an inventory item's details (inventory managers only)
+   * @param {string} id - Item ID
+   * @param {Object} changes - Fields to change; stock is changed with adjustStock
+   * @returns {Promise<Object>} Updated item
+   */
+  async updateItem(id, changes) {
+    return this.sendItemRequest('PUT', `${this.BASE_URL}/items/${id}`, changes, 'update item');
+  },
+
+  /**
+   * Deletes an inventory item (inventory managers only)
+   * @param {string} id - Item ID
+   * @returns {Promise<Object>} Success flag
+   */
+  async deleteItem(id) {
+    return this.sendItemRequest('DELETE', `${this.BASE_URL}/items/${id}`, undefined, 'delete item');
+  },
+
+  /**
+   * Adds or removes stock for an item (inventory managers only)
+   * @param {string} id - Item ID
+   * @param {number} delta - Units to add (positive) or remove (negative)
+   * @param {string} reason - Why the stock changed
+   * @param {string} type - 'restock' for new units, 'adjustment' for corrections
+   * @returns {Promise<Object>} Updated item
+   */
+  async adjustStock(id, delta, reason, type = 'adjustment') {
+    return this.sendItemRequest('POST', `${this.BASE_URL}/items/${id}/stock`, { delta, reason, type }, 'adjust stock');
+  },
+
+  /**
+   * Re-imports the catalog CSV files (inventory managers only)
+   * @param {boolean} dryRun - Only report what would change
+   * @returns {Promise<Object>} Report of added, updated, removed and kept items and rejected rows
+   */
+  async reloadCatalog(dryRun = false) {
+    const query = dryRun ? '?dryRun=true' : '';
+    return this.sendItemRequest('POST', `${this.BASE_URL}/catalog/reload${query}`, undefined, 'reload catalog');
+  },
+
+  /**
+   * Starts looking up supplier details for the catalog in the background (inventory managers only)
+   * @param {boolean} force - Fetch details again even if they are cached
+   * @returns {Promise<Object>} Progress of the enrichment run
+   */
+  async enrichCatalog(force = false) {
+    const query = force ? '?force=true' : '';
+    return this.sendItemRequest('POST', `${this.BASE_URL}/catalog/enrich${query}`, undefined, 'enrich catalog');
+  },
+
+  /**
+   * Fetches supplier details for one item again (inventory managers only)
+   * @param {string} id - Item ID
+   * @returns {Promise<Object>} Updated item
+   */
+  async enrichItem(id) {
+    return this.sendItemRequest('POST', `${this.BASE_URL}/items/${id}/enrich`, undefined, 'enrich item');
+  },
+
+  /**
+   * Gets the stock movement ledger for an item (admin only)
+   * @param {string} id - Item ID
+   * @returns {Promise<Object>} Current stock, ledger total and entries
+   */
+  async getItemLedger(id) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/items/${id}/ledger`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch stock history');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error(`Error fetching ledger for ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sends an inventory write request and unwraps the JSON response
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {Object|undefined} body - JSON body, if any
+   * @param {string} action - Description used in error messages
+   * @returns {Promise<Object>} Parsed response
+   */
+  async sendItemRequest(method, url, body, action) {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        const details = error.details
+          || (error.unavailableItems || []).map(item => `${item.name} (${item.availableStock} available)`);
+        const suffix = details.length > 0 ? `: ${details.join(', ')}` : '';
+        throw new Error((error.error || `Failed to ${action}`) + suffix);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error(`Failed to ${action}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches the order lifecycle definition
+   * @returns {Promise<Object>} Status definitions keyed by status name
+   */
+  async getOrderStatuses() {
+    try {
+      const response = await fetch(`${this.BASE_URL}/order-statuses`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch order statuses');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching order statuses:', error);
+      return {};
+    }
+  },
+
   /**
    * Places a new order
    * @param {string} username - Customer username
    * @param {Array} cart - Array of cart items with quantity
+   * @param {string} [cartId] - Cart whose hold becomes part of the order
    * @returns {Promise<Object>} Order confirmation with orderId
    */
-  async placeOrder(username, cart) {
+  async placeOrder(username, cart, cartId) {
     try {
       const response = await fetch(`${this.BASE_URL}/orders`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ username, cart })
+        body: JSON.stringify({ username, cart, cartId })
       });
 
       if (!response.ok) {
         const error = await response.json();
-        throw new Error(error.error || 'Failed to place order');
+        const orderError = new Error(error.error || 'Failed to place order');
+        // Keep the per-item details so checkout can show what to change
+        orderError.unavailableItems = error.unavailableItems || [];
+        orderError.quotaViolations = error.quotaViolations || [];
+        throw orderError;
       }
 
       return await response.json();
@@ -71,6 +297,104 @@ const API = {
     }
   },
 
+  /**
+   * Gets whether carts hold stock and for how long
+   * @returns {Promise<Object>} { enabled, minutes }
+   */
+  async getCartHoldSettings() {
+    try {
+      const response = await fetch(`${this.BASE_URL}/cart-holds`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch cart hold settings');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching cart hold settings:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Holds stock for everything in a cart, replacing the previous hold
+   * @param {string} cartId - Cart ID generated by this browser
+   * @param {Array} items - Cart items with id and quantity
+   * @returns {Promise<Object>} The hold, including when it expires
+   */
+  async holdCart(cartId, items) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/cart-holds/${cartId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          items: items.map(item => ({ id: item.id, quantity: item.quantity }))
+        })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        const holdError = new Error(error.error || 'Failed to hold cart');
+        holdError.status = response.status;
+        holdError.unavailableItems = error.unavailableItems || [];
+        holdError.quotaViolations = error.quotaViolations || [];
+        throw holdError;
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error holding cart:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Joins the waitlist for an out-of-stock item
+   * @param {string} itemId - Item ID
+   * @param {number} quantity - Units wanted
+   * @param {string} username - Name to put the order under
+   * @returns {Promise<Object>} Waitlist entry, including its place in line
+   */
+  async joinWaitlist(itemId, quantity, username) {
+    return this.sendItemRequest('POST', `${this.BASE_URL}/waitlist`, { itemId, quantity, username }, 'join waitlist');
+  },
+
+  /**
+   * Gets the waiting entries for every item (admin only)
+   * @returns {Promise<Array>} Queues of entries per item
+   */
+  async getWaitlist() {
+    try {
+      const response = await fetch(`${this.BASE_URL}/waitlist`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch waitlist');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching waitlist:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sets the order of an item's waitlist (admin only)
+   * @param {string} itemId - Item ID
+   * @param {Array<string>} ids - Every waiting entry ID, first in line first
+   * @returns {Promise<Array>} The reordered queue
+   */
+  async reorderWaitlist(itemId, ids) {
+    return this.sendItemRequest('PUT', `${this.BASE_URL}/items/${itemId}/waitlist`, { ids }, 'reorder waitlist');
+  },
+
+  /**
+   * Removes an entry from the waitlist
+   * @param {string} id - Waitlist entry ID
+   * @returns {Promise<Object>} Success response
+   */
+  async removeWaitlistEntry(id) {
+    return this.sendItemRequest('DELETE', `${this.BASE_URL}/waitlist/${id}`, undefined, 'remove waitlist entry');
+  },
+
   /**
    * Gets order details by order ID
    * @param {string} orderId - The order ID
@@ -89,16 +413,327 @@ const API = {
     }
   },
 
+  /**
+   * Cancels a pending order placed by the signed-in participant
+   * @param {string} orderId - The order ID
+   * @returns {Promise<Object>} Cancelled order
+   */
+  async cancelOrder(orderId) {
+    return this.sendItemRequest('POST', `${this.BASE_URL}/orders/${orderId}/cancel`, undefined, 'cancel order');
+  },
+
+  /**
+   * Gets the address of an order's printable pickup ticket, which also tracks
+   * the order until it is ready
+   * @param {string} orderId - The order ID
+   * @returns {string} Ticket page URL
+   */
+  getPickupTicketUrl(orderId) {
+    return `${this.BASE_URL}/orders/${encodeURIComponent(orderId)}/ticket`;
+  },
+
+  /**
+   * Gets the address of an approved order's pickup QR code
+   * @param {string} orderId - The order ID
+   * @returns {string} SVG image URL
+   */
+  getPickupQrUrl(orderId) {
+    return `${this.BASE_URL}/orders/${encodeURIComponent(orderId)}/pickup-qr`;
+  },
+
+  /**
+   * Registers a participant by email or team name
+   * @param {string} handle - Email address or team name
+   * @param {string} name - Optional display name
+   * @returns {Promise<Object>} Participant and their one-time magic code
+   */
+  async registerParticipant(handle, name) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/participants/register`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ handle, name })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to register');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error registering participant:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Signs a participant in with their magic code
+   * @param {string} handle - Email address or team name
+   * @param {string} code - Magic code from registration
+   * @returns {Promise<Object>} Participant details
+   */
+  async loginParticipant(handle, code) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/participants/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ handle, code })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to sign in');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error signing in participant:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Signs the current participant out
+   * @returns {Promise<void>}
+   */
+  async logoutParticipant() {
+    try {
+      await fetch(`${this.BASE_URL}/participants/logout`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error signing out participant:', error);
+    }
+  },
+
+  /**
+   * Gets the signed-in participant
+   * @returns {Promise<Object|null>} Participant or null if not signed in
+   */
+  async getParticipant() {
+    try {
+      const response = await fetch(`${this.BASE_URL}/participants/me`);
+      if (!response.ok) {
+        return null;
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching participant:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Gets all orders placed by the signed-in participant
+   * @returns {Promise<Array>} Array of orders, newest first
+   */
+  async getMyOrders() {
+    try {
+      const response = await fetch(`${this.BASE_URL}/participants/me/orders`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch your orders');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching participant orders:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Logs in as an admin user; the server sets an HttpOnly session cookie
+   * @param {string} username - Admin username
+   * @param {string} password - Admin password
+   * @returns {Promise<Object>} Session details with user and permissions
+   */
+  async login(username, password) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/auth/login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ username, password })
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to log in');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error logging in:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Ends the current admin session
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    try {
+      await fetch(`${this.BASE_URL}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+  },
+
+  /**
+   * Gets the current admin session
+   * @returns {Promise<Object|null>} Session details or null if not logged in
+   */
+  async getSession() {
+    try {
+      const response = await fetch(`${this.BASE_URL}/auth/session`);
+      if (!response.ok) {
+        return null;
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching session:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Revokes every admin session on the server (admin only)
+   * @returns {Promise<Object>} Number of sessions revoked
+   */
+  async revokeAllSessions() {
+    try {
+      const response = await fetch(`${this.BASE_URL}/auth/sessions`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error('Failed to revoke sessions');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches the admin role definitions
+   * @returns {Promise<Object>} Role definitions keyed by role name
+   */
+  async getRoles() {
+    try {
+      const response = await fetch(`${this.BASE_URL}/roles`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch roles');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Gets all admin users (managers only)
+   * @returns {Promise<Array>} Array of user objects
+   */
+  async getUsers() {
+    try {
+      const response = await fetch(`${this.BASE_URL}/users`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch users');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates an admin user (managers only)
+   * @param {Object} user - Username, name, role and password
+   * @returns {Promise<Object>} Created user
+   */
+  async createUser(user) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/users`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(user)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to create user');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error creating user:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates an admin user (managers only)
+   * @param {string} userId - The user ID
+   * @param {Object} changes - Any of name, role, password, disabled
+   * @returns {Promise<Object>} Updated user
+   */
+  async updateUser(userId, changes) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/users/${userId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update user');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error updating user:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes an admin user (managers only)
+   * @param {string} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async deleteUser(userId) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/users/${userId}`, { method: 'DELETE' });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to delete user');
+      }
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      throw error;
+    }
+  },
+
   /**
    * Gets all orders (admin only)
-   * @param {string} adminCode - Admin authentication code
    * @returns {Promise<Object>} Object with orders
    */
-  async getAllOrders(adminCode) {
+  async getAllOrders() {
     try {
-      const response = await fetch(`${this.BASE_URL}/orders?adminCode=${adminCode}`);
+      const response = await fetch(`${this.BASE_URL}/orders`);
       if (!response.ok) {
-        throw new Error('Failed to fetch orders or invalid admin code');
+        throw new Error('Failed to fetch orders or session expired');
       }
       return await response.json();
     } catch (error) {
@@ -110,19 +745,18 @@ const API = {
   /**
    * Updates an order status (admin only)
    * @param {string} orderId - The order ID
-   * @param {string} status - New status ('approved' or 'denied')
+   * @param {string} status - New status, one of the order lifecycle statuses
    * @param {string} note - Optional note about the status change
-   * @param {string} adminCode - Admin authentication code
    * @returns {Promise<Object>} Updated order
    */
-  async updateOrderStatus(orderId, status, note, adminCode) {
+  async updateOrderStatus(orderId, status, note) {
     try {
       const response = await fetch(`${this.BASE_URL}/orders/${orderId}`, {
         method: 'PUT',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ status, note, adminCode })
+        body: JSON.stringify({ status, note })
       });
 
       if (!response.ok) {
@@ -135,6 +769,147 @@ const API = {
       console.error('Error updating order status:', error);
       throw error;
     }
+  },
+
+  /**
+   * Changes an order's items (admin only). Lines left out are removed.
+   * @param {string} orderId - The order ID
+   * @param {Array<Object>} items - Lines as { id, quantity }, with `replaces` naming the line a substitute replaces
+   * @param {string} note - Optional note for the participant
+   * @returns {Promise<Object>} Updated order
+   */
+  async editOrderItems(orderId, items, note) {
+    return this.sendItemRequest('PUT', `${this.BASE_URL}/orders/${orderId}/items`, { items, note }, 'edit order');
+  },
+
+  /**
+   * Splits items off an order into a new backorder (admin only)
+   * @param {string} orderId - The order ID
+   * @param {Array<Object>} items - Quantities to backorder as { id, quantity }
+   * @param {string} note - Optional note for the participant
+   * @returns {Promise<Object>} The updated order and the backorder
+   */
+  async backorderItems(orderId, items, note) {
+    return this.sendItemRequest('POST', `${this.BASE_URL}/orders/${orderId}/backorder`, { items, note }, 'create backorder');
+  },
+
+  /**
+   * Closes a picked up order as returned, restocking the lines that came back (admin only)
+   * @param {string} orderId - The order ID
+   * @param {Array<Object>} items - Returned quantities as { id, quantity }
+   * @param {string} note - Optional note for the participant
+   * @returns {Promise<Object>} Returned order
+   */
+  async returnOrderItems(orderId, items, note) {
+    return this.sendItemRequest('POST', `${this.BASE_URL}/orders/${orderId}/return`, { items, note }, 'return order');
+  },
+
+  /**
+   * Fetches the units lent out on an order
+   * @param {string} orderId - The order ID
+   * @returns {Promise<Array>} Loans, each with an overdue flag
+   */
+  async getOrderLoans(orderId) {
+    return this.sendItemRequest('GET', `${this.BASE_URL}/orders/${orderId}/loans`, undefined, 'load loans');
+  },
+
+  /**
+   * Fetches loans, soonest due first (admin only)
+   * @param {boolean} all - Include loans that were returned
+   * @returns {Promise<Array>} Loans, each with an overdue flag
+   */
+  async getLoans(all = false) {
+    return this.sendItemRequest('GET', `${this.BASE_URL}/loans${all ? '?all=true' : ''}`, undefined, 'load loans');
+  },
+
+  /**
+   * Lends a unit of a loanable item on an order (admin only)
+   * @param {string} orderId - The order ID
+   * @param {string} itemId - The loanable item
+   * @param {string} unit - Serial number or asset tag of the unit
+   * @param {string} due - Optional due time as an ISO date; defaults to the loan policy
+   * @returns {Promise<Object>} The new loan
+   */
+  async checkOutLoan(orderId, itemId, unit, due) {
+    return this.sendItemRequest('POST', `${this.BASE_URL}/loans`, { orderId, itemId, unit, due }, 'lend unit');
+  },
+
+  /**
+   * Checks a loaned unit back in (admin only)
+   * @param {string} loanId - The loan ID
+   * @returns {Promise<Object>} The returned loan
+   */
+  async checkInLoan(loanId) {
+    return this.sendItemRequest('POST', `${this.BASE_URL}/loans/${loanId}/return`, undefined, 'check in unit');
+  },
+
+  /**
+   * Looks up the order behind a scanned pickup ticket (admin only)
+   * @param {string} token - Pickup token from the QR code
+   * @returns {Promise<Object>} Order
+   */
+  async lookupPickup(token) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/pickup/${encodeURIComponent(token)}`);
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to look up pickup ticket');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error looking up pickup ticket:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Marks the order on a scanned pickup ticket as picked up (admin only)
+   * @param {string} token - Pickup token from the QR code
+   * @returns {Promise<Object>} Updated order
+   */
+  async confirmPickup(token) {
+    try {
+      const response = await fetch(`${this.BASE_URL}/pickup/${encodeURIComponent(token)}`, {
+        method: 'POST'
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to confirm pickup');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('Error confirming pickup:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Opens the live update stream. Admins who are logged in get every order.
+   * @param {Object} handlers - Callbacks for 'order', 'stock' and 'loan' events, and 'reconnect'
+   *   after the stream dropped and changes may have been missed
+   * @param {Array<string>} orderIds - Orders to follow
+   * @returns {EventSource|null} The stream, or null where the browser has no EventSource
+   */
+  subscribeToEvents(handlers, orderIds = []) {
+    if (!window.EventSource) return null;
+
+    const query = orderIds.length > 0 ? `?orders=${encodeURIComponent(orderIds.join(','))}` : '';
+    const source = new EventSource(`${this.BASE_URL}/events${query}`);
+
+    let connected = false;
+    source.addEventListener('open', () => {
+      if (connected) handlers.reconnect?.();
+      connected = true;
+    });
+    ['order', 'stock', 'loan'].forEach(event => {
+      if (handlers[event]) {
+        source.addEventListener(event, message => handlers[event](JSON.parse(message.data)));
+      }
+    });
+
+    return source;
   }
 };
 
@@ -0,0 +1,43 @@
+/**
+ * HTML helpers for the Hackathon Hardware Store Client
+ * Makes server data safe to put into innerHTML templates
+ */
+
+// Characters that could end a text node or a quoted attribute
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+const Html = {
+  /**
+   * Escape a value for use as text or in a quoted attribute
+   * @param {*} value - Value to escape; null and undefined become ''
+   * @returns {string} Escaped text
+   */
+  escape(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ENTITIES[char]);
+  },
+
+  /**
+   * Escape a link from the server, dropping anything but http(s) and
+   * relative URLs so that a javascript: link cannot run
+   * @param {string} value - URL to use in href, src or data
+   * @returns {string} Escaped URL, or '' if it is not allowed
+   */
+  url(value) {
+    if (!value) return '';
+
+    try {
+      const { protocol } = new URL(value, window.location.href);
+      return protocol === 'http:' || protocol === 'https:' ? this.escape(value) : '';
+    } catch {
+      return '';
+    }
+  }
+};
+
+export default Html;
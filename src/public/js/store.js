@@ -4,12 +4,42 @@
  */
 import API from './api.js';
 import Notifications from './notifications.js';
+import Html from './html.js';
 
 const Store = {
   // Store state
   items: [],
+  // Search, filters, sort and page chosen on the store page
+  filters: {
+    q: '',
+    category: '',
+    inStock: false,
+    manufacturer: '',
+    attributes: {},
+    sort: '',
+    order: '',
+    page: 1,
+    limit: 48,
+  },
+  // Matches across all pages, and counts per category, manufacturer and spec
+  totalItems: 0,
+  facets: null,
+  // Ignores answers to searches that were overtaken by newer ones
+  searchRequest: 0,
+  // Items on product cards and the item page, kept current by live stock updates
+  shownItems: new Map(),
+  currentItem: null,
+  currentStockHistory: null,
+  // Labels for order statuses, loaded with the order page
+  orderStatuses: {},
+  // Signed-in participant, who can cancel their own pending orders
+  participant: null,
+  // Equipment lent on the order shown on the order page
+  orderLoans: [],
   cart: [],
   isLoading: false,
+  // Whether the server sets stock aside for carts; loaded in init()
+  cartHolds: null,
 
   /**
    * Initialize the store module
@@ -18,6 +48,7 @@ const Store = {
     // Always load cart and update cart count on every page
     this.loadCart();
     this.updateCartCount();
+    this.cartHolds = API.getCartHoldSettings().catch(() => ({ enabled: false }));
     
     // Initialize event listeners based on current page
     if (document.getElementById('product-list')) {
@@ -28,6 +59,10 @@ const Store = {
       this.initCheckoutPage();
     } else if (document.getElementById('order-status')) {
       this.initOrderPage();
+    } else if (document.getElementById('my-orders')) {
+      this.initMyOrdersPage();
+    } else if (document.getElementById('item-detail')) {
+      this.initItemPage();
     }
 
     // Initialize notifications if supported
@@ -44,8 +79,13 @@ const Store = {
   async initStorePage() {
     this.showLoading(true);
     try {
+      this.bindCatalogControls();
       await this.loadProducts();
-      this.renderProducts();
+      this.renderCatalog();
+      API.subscribeToEvents({
+        stock: update => this.updateItemStock(update),
+        reconnect: () => this.reloadCatalog(),
+      });
     } catch (error) {
       this.showError('Failed to load products. Please try again later.');
     } finally {
@@ -66,9 +106,16 @@ const Store = {
   /**
    * Initialize the checkout page
    */
-  initCheckoutPage() {
+  async initCheckoutPage() {
     this.renderCheckoutSummary();
     
+    // Signed-in participants get their name filled in and the order linked to them
+    const participant = await API.getParticipant();
+    const usernameInput = document.getElementById('username');
+    if (participant && usernameInput && !usernameInput.value) {
+      usernameInput.value = participant.name;
+    }
+    
     document.getElementById('checkout-form')?.addEventListener('submit', async (e) => {
       e.preventDefault();
       await this.processCheckout();
@@ -82,6 +129,19 @@ const Store = {
     const orderId = this.getOrderIdFromURL();
     if (orderId) {
       this.loadOrderStatus(orderId);
+
+      // Follow status changes without reloading the page
+      API.subscribeToEvents({
+        order: ({ order }) => this.renderOrderStatus(order),
+        loan: ({ change, loan }) => {
+          this.orderLoans = this.orderLoans.filter(entry => entry.id !== loan.id).concat(loan);
+          this.renderOrderLoans();
+          if (change === 'reminder' || change === 'overdue') {
+            this.showError(`${loan.itemName} (${loan.unit}) is ${change === 'overdue' ? 'overdue' : 'due back soon'}`);
+          }
+        },
+        reconnect: () => this.loadOrderStatus(orderId),
+      }, [orderId]);
     } else {
       // When page loads initially, just focus the input field without showing an error
       // Only show errors when user tries to look up an empty order ID
@@ -110,18 +170,306 @@ const Store = {
   },
 
   /**
-   * Load all products from API
+   * Initialize the My Orders page
+   */
+  async initMyOrdersPage() {
+    document.getElementById('participant-login-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const handle = document.getElementById('login-handle').value.trim();
+      const code = document.getElementById('login-code').value.trim();
+      
+      try {
+        await API.loginParticipant(handle, code);
+        await this.loadMyOrders();
+      } catch (error) {
+        this.showError(error.message);
+      }
+    });
+    
+    document.getElementById('participant-register-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const handle = document.getElementById('register-handle').value.trim();
+      const name = document.getElementById('register-name').value.trim();
+      
+      try {
+        const result = await API.registerParticipant(handle, name);
+        
+        // The server only reveals the code once, so make it hard to miss
+        const notice = document.getElementById('magic-code-notice');
+        const codeElement = document.getElementById('magic-code');
+        if (notice && codeElement) {
+          codeElement.textContent = result.code;
+          notice.classList.remove('hidden');
+        }
+        
+        await this.loadMyOrders();
+      } catch (error) {
+        this.showError(error.message);
+      }
+    });
+    
+    document.getElementById('participant-logout')?.addEventListener('click', async () => {
+      await API.logoutParticipant();
+      document.getElementById('magic-code-notice')?.classList.add('hidden');
+      await this.loadMyOrders();
+    });
+    
+    await this.loadMyOrders();
+  },
+
+  /**
+   * Load and display the signed-in participant's orders, or the sign in forms
+   */
+  async loadMyOrders() {
+    const authContainer = document.getElementById('participant-auth');
+    const ordersContainer = document.getElementById('participant-orders');
+    const orderList = document.getElementById('my-orders');
+    if (!authContainer || !ordersContainer || !orderList) return;
+    
+    this.showLoading(true);
+    
+    try {
+      const participant = await API.getParticipant();
+      authContainer.classList.toggle('hidden', Boolean(participant));
+      ordersContainer.classList.toggle('hidden', !participant);
+      if (!participant) return;
+      
+      const nameElement = document.getElementById('participant-name');
+      if (nameElement) {
+        nameElement.textContent = `Signed in as ${participant.name} (${participant.handle})`;
+      }
+      
+      const [orders, statuses] = await Promise.all([
+        API.getMyOrders(),
+        API.getOrderStatuses()
+      ]);
+      
+      if (orders.length === 0) {
+        orderList.innerHTML = '<li class="no-orders">No orders yet. <a href="index.html">Browse the store</a></li>';
+        return;
+      }
+      
+      orderList.innerHTML = orders.map(order => `
+        <li>
+          <a href="order.html?id=${order.id}">#${order.id.substring(0, 8)}</a>
+          <span>${new Date(order.created).toLocaleString()}</span>
+          <span>${order.items.reduce((count, item) => count + item.quantity, 0)} items</span>
+          <span class="status-badge ${order.status}">${(statuses[order.status]?.label || order.status).toUpperCase()}</span>
+          ${order.status === 'approved' ? `<a href="${API.getPickupTicketUrl(order.id)}" target="_blank" rel="noopener">Pickup ticket</a>` : ''}
+          ${order.status === 'pending' ? `<button class="button secondary cancel-order" data-order-id="${order.id}">Cancel</button>` : ''}
+        </li>
+      `).join('');
+
+      orderList.querySelectorAll('.cancel-order').forEach(button => {
+        button.addEventListener('click', async () => {
+          if (await this.cancelOrder(button.dataset.orderId)) {
+            await this.loadMyOrders();
+          }
+        });
+      });
+    } catch (error) {
+      this.showError('Failed to load your orders: ' + error.message);
+    } finally {
+      this.showLoading(false);
+    }
+  },
+
+  /**
+   * Load the current page of products and the filter counts from the API
    */
   async loadProducts() {
     try {
-      this.items = await API.getItems();
+      const [result, facets] = await Promise.all([
+        API.searchItems(this.filters),
+        API.getCatalogFacets(this.filters),
+      ]);
+      this.items = result.items;
+      this.totalItems = result.total;
+      this.facets = facets;
     } catch (error) {
       console.error('Failed to load products:', error);
       this.items = [];
+      this.totalItems = 0;
       throw error;
     }
   },
 
+  /**
+   * Wire up the search box, sort, stock, category, manufacturer, spec and page controls
+   */
+  bindCatalogControls() {
+    const searchInput = document.getElementById('product-search');
+    const sortSelect = document.getElementById('product-sort');
+    const inStockToggle = document.getElementById('filter-in-stock');
+    const manufacturerSelect = document.getElementById('filter-manufacturer');
+    const attributeSelect = document.getElementById('filter-attribute');
+    const valueSelect = document.getElementById('filter-attribute-value');
+
+    // Search once typing pauses rather than on every key
+    let searchTimer = null;
+    searchInput?.addEventListener('input', () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        this.filters.q = searchInput.value.trim();
+        this.applyFilters();
+      }, 300);
+    });
+
+    sortSelect?.addEventListener('change', () => {
+      const [sort, order] = sortSelect.value.split(':');
+      this.filters.sort = sort;
+      this.filters.order = order || '';
+      this.applyFilters();
+    });
+
+    inStockToggle?.addEventListener('change', () => {
+      this.filters.inStock = inStockToggle.checked;
+      this.applyFilters();
+    });
+
+    document.getElementById('category-facets')?.addEventListener('click', event => {
+      const facet = event.target.closest('.category-facet');
+      if (!facet) return;
+      this.filters.category = facet.dataset.category;
+      this.applyFilters();
+    });
+
+    manufacturerSelect?.addEventListener('change', () => {
+      this.filters.manufacturer = manufacturerSelect.value;
+      this.applyFilters();
+    });
+
+    attributeSelect?.addEventListener('change', () => {
+      this.filters.attributes = {};
+      this.applyFilters();
+    });
+
+    valueSelect?.addEventListener('change', () => {
+      this.filters.attributes = valueSelect.value ? { [attributeSelect.value]: valueSelect.value } : {};
+      this.applyFilters();
+    });
+
+    document.getElementById('filter-clear')?.addEventListener('click', () => {
+      this.filters.manufacturer = '';
+      this.filters.attributes = {};
+      attributeSelect.value = '';
+      this.applyFilters();
+    });
+
+    document.getElementById('page-previous')?.addEventListener('click', () => {
+      this.showPage(this.filters.page - 1);
+    });
+    document.getElementById('page-next')?.addEventListener('click', () => {
+      this.showPage(this.filters.page + 1);
+    });
+  },
+
+  /**
+   * Reload the product list with the current filters, starting from the first page
+   */
+  async applyFilters() {
+    this.filters.page = 1;
+    await this.reloadCatalog();
+  },
+
+  /**
+   * Show another page of the current results
+   * @param {number} page - Page number, starting from 1
+   */
+  async showPage(page) {
+    this.filters.page = page;
+    await this.reloadCatalog();
+    document.querySelector('.product-container')?.scrollIntoView({ behavior: 'smooth' });
+  },
+
+  /**
+   * Fetch and render the catalog, unless a newer search started meanwhile
+   */
+  async reloadCatalog() {
+    const request = ++this.searchRequest;
+    try {
+      await this.loadProducts();
+      if (request === this.searchRequest) this.renderCatalog();
+    } catch (error) {
+      if (request === this.searchRequest) {
+        this.showError('Failed to load products. Please try again later.');
+      }
+    }
+  },
+
+  /**
+   * Render the filters, products and page controls
+   */
+  renderCatalog() {
+    this.renderFacets();
+    this.renderProducts();
+    this.renderPagination();
+  },
+
+  /**
+   * Fill the category, manufacturer and spec filters with counts for the current results
+   */
+  renderFacets() {
+    if (!this.facets) return;
+    const { categories, manufacturers, attributes } = this.facets;
+
+    const categoryList = document.getElementById('category-facets');
+    if (categoryList) {
+      const total = categories.reduce((sum, facet) => sum + facet.count, 0);
+      const chip = (value, label, count) => `
+        <button type="button" class="category-facet${this.filters.category === value ? ' active' : ''}" data-category="${Html.escape(value)}">
+          ${Html.escape(label)} <span class="facet-count">${count}</span>
+        </button>
+      `;
+      categoryList.innerHTML = chip('', 'All', total)
+        + categories.map(facet => chip(facet.value, facet.value, facet.count)).join('');
+    }
+
+    const container = document.getElementById('product-filters');
+    if (!container) return;
+
+    const options = (facets, selected) => facets
+      .map(facet => `<option value="${Html.escape(facet.value)}"${facet.value === selected ? ' selected' : ''}>${Html.escape(facet.value)} (${facet.count})</option>`)
+      .join('');
+
+    const manufacturerSelect = document.getElementById('filter-manufacturer');
+    const attributeSelect = document.getElementById('filter-attribute');
+    const valueSelect = document.getElementById('filter-attribute-value');
+    const [selectedName, selectedValue] = Object.entries(this.filters.attributes)[0] || [attributeSelect.value, ''];
+    const names = Object.keys(attributes).sort();
+
+    manufacturerSelect.innerHTML = '<option value="">All manufacturers</option>'
+      + options(manufacturers, this.filters.manufacturer);
+    attributeSelect.innerHTML = '<option value="">Filter by spec</option>'
+      + names.map(name => `<option value="${Html.escape(name)}"${name === selectedName ? ' selected' : ''}>${Html.escape(name)}</option>`).join('');
+    valueSelect.innerHTML = '<option value="">Any value</option>'
+      + (attributes[attributeSelect.value] ? options(attributes[attributeSelect.value], selectedValue) : '');
+    valueSelect.disabled = !attributeSelect.value;
+
+    // Only worth showing when there is a choice, or a filter to clear
+    const filtered = this.filters.manufacturer || Object.keys(this.filters.attributes).length > 0;
+    container.classList.toggle('hidden', manufacturers.length < 2 && names.length === 0 && !filtered);
+  },
+
+  /**
+   * Show which page of how many, and hide the page controls when everything fits on one
+   */
+  renderPagination() {
+    const count = document.getElementById('product-count');
+    if (count) {
+      count.textContent = `${this.totalItems} ${this.totalItems === 1 ? 'product' : 'products'}`;
+    }
+
+    const pagination = document.getElementById('product-pagination');
+    if (!pagination) return;
+
+    const pages = Math.ceil(this.totalItems / this.filters.limit);
+    pagination.classList.toggle('hidden', pages <= 1);
+    document.getElementById('page-info').textContent = `Page ${this.filters.page} of ${pages}`;
+    document.getElementById('page-previous').disabled = this.filters.page <= 1;
+    document.getElementById('page-next').disabled = this.filters.page >= pages;
+  },
+
   /**
    * Render products to the store page
    */
@@ -133,82 +481,262 @@ const Store = {
     productList.innerHTML = '';
     
     if (this.items.length === 0) {
-      productList.innerHTML = '<div class="no-products">No products available</div>';
+      const { q, category, inStock, manufacturer, attributes } = this.filters;
+      const filtered = q || category || inStock || manufacturer || Object.keys(attributes).length > 0;
+      productList.innerHTML = `<div class="no-products">${filtered ? 'No products match your search' : 'No products available'}</div>`;
       return;
     }
 
-    // Create product cards
     this.items.forEach(item => {
-      const productCard = document.createElement('div');
-      productCard.className = 'product-card';
-      productCard.innerHTML = `
-        <div class="product-image">
-          <img src="${item.imageUrl || 'https://via.placeholder.com/150?text=No+Image'}" alt="${item.name}">
+      productList.appendChild(this.createProductCard(item));
+    });
+  },
+
+  /**
+   * Build a product card linking to the item page
+   * @param {Object} item - Product to show
+   * @returns {HTMLElement} Card with working cart and waitlist buttons
+   */
+  createProductCard(item) {
+    const itemUrl = `item.html?id=${encodeURIComponent(item.id)}`;
+    const productCard = document.createElement('div');
+    productCard.className = 'product-card';
+    productCard.dataset.itemId = item.id;
+    this.shownItems.set(item.id, item);
+    const datasheet = Html.url(item.datasheet);
+    productCard.innerHTML = `
+      <a class="product-image" href="${itemUrl}">
+        <img src="${Html.url(item.imageUrl) || 'https://via.placeholder.com/150?text=No+Image'}" alt="${Html.escape(item.name)}">
+      </a>
+      <div class="product-info">
+        <h3><a href="${itemUrl}">${Html.escape(item.name)}</a></h3>
+        <p class="product-description">${Html.escape(item.description)}</p>
+        ${item.manufacturer ? `<p class="product-manufacturer">Manufacturer: ${Html.escape(item.manufacturer)}${item.manufacturerPartNumber ? ` (${Html.escape(item.manufacturerPartNumber)})` : ''}</p>` : ''}
+        ${item.attributes && Object.keys(item.attributes).length > 0 ? `
+          <ul class="product-specs">
+            ${Object.entries(item.attributes).slice(0, 3).map(([name, value]) => `<li><span>${Html.escape(name)}:</span> ${Html.escape(value)}</li>`).join('')}
+          </ul>
+        ` : ''}
+        <div class="product-meta">
+          <span class="product-price">$${parseFloat(item.price).toFixed(2)}</span>
+          <span class="product-stock">${item.available ?? item.stock} in stock</span>
+        </div>
+        <div class="product-actions">
+          ${datasheet ? `<a href="${datasheet}" target="_blank" class="datasheet-link">Datasheet</a>` : ''}
+          ${(item.available ?? item.stock) > 0
+            ? `<button class="add-to-cart" data-id="${Html.escape(item.id)}">Add to Cart</button>`
+            : `<button class="join-waitlist" data-id="${Html.escape(item.id)}">Join Waitlist</button>`}
+        </div>
+      </div>
+    `;
+
+    // Add click event to the "Add to Cart" or "Join Waitlist" button
+    productCard.querySelector('.add-to-cart')?.addEventListener('click', () => {
+      this.addToCart(item);
+    });
+    productCard.querySelector('.join-waitlist')?.addEventListener('click', () => {
+      this.joinWaitlist(item.id, item.name, 1);
+    });
+    return productCard;
+  },
+
+  /**
+   * Initialize the item detail page
+   */
+  async initItemPage() {
+    const itemId = new URLSearchParams(window.location.search).get('id');
+    const container = document.getElementById('item-detail');
+    if (!itemId) {
+      container.innerHTML = '<div class="no-products">No item selected. <a href="index.html">Browse the store</a></div>';
+      return;
+    }
+
+    this.showLoading(true);
+    try {
+      const [item, history, related] = await Promise.all([
+        API.getItemById(itemId),
+        API.getStockHistory(itemId),
+        API.getRelatedItems(itemId),
+      ]);
+      if (!item) {
+        container.innerHTML = '<div class="no-products">This item is no longer in the store. <a href="index.html">Browse the store</a></div>';
+        return;
+      }
+
+      document.title = `${item.name} | Hackathon Hardware Store`;
+      this.currentItem = item;
+      this.currentStockHistory = history;
+      this.renderItemDetail(item, history);
+      this.renderRelatedParts(related);
+      API.subscribeToEvents({ stock: update => this.updateItemStock(update) });
+    } finally {
+      this.showLoading(false);
+    }
+  },
+
+  /**
+   * Render the full description, specs, supplier, stock history and datasheet of an item
+   * @param {Object} item - Item from the API
+   * @param {Object|null} history - Stock history from the API
+   */
+  renderItemDetail(item, history) {
+    const container = document.getElementById('item-detail');
+    const available = item.available ?? item.stock;
+    const specs = Object.entries(item.attributes || {});
+    const datasheet = Html.url(item.datasheet);
+
+    container.innerHTML = `
+      <div class="item-overview">
+        <div class="item-image">
+          <img src="${Html.url(item.imageUrl) || 'https://via.placeholder.com/300?text=No+Image'}" alt="${Html.escape(item.name)}">
         </div>
-        <div class="product-info">
-          <h3>${item.name}</h3>
-          <p class="product-description">${item.description}</p>
-          <p class="product-manufacturer">Manufacturer: ${item.manufacturer}</p>
+        <div class="item-summary">
+          <h2>${Html.escape(item.name)}</h2>
+          <p class="item-category">${Html.escape(item.category)}${item.tags.length > 0 ? ` &middot; ${Html.escape(item.tags.join(', '))}` : ''}</p>
+          <p class="item-description">${Html.escape(item.description || 'No description available.')}</p>
+          <dl class="item-sourcing">
+            <dt>Supplier</dt><dd>${Html.escape(item.supplier)}</dd>
+            <dt>Part number</dt><dd>${Html.escape(item.partNumber)}</dd>
+            ${item.manufacturer ? `<dt>Manufacturer</dt><dd>${Html.escape(item.manufacturer)}</dd>` : ''}
+            ${item.manufacturerPartNumber ? `<dt>Manufacturer part</dt><dd>${Html.escape(item.manufacturerPartNumber)}</dd>` : ''}
+          </dl>
           <div class="product-meta">
             <span class="product-price">$${parseFloat(item.price).toFixed(2)}</span>
-            <span class="product-stock">${item.stock} in stock</span>
+            <span class="product-stock">${available} in stock</span>
+          </div>
+          <div class="item-stock-history">
+            ${this.renderStockSparkline(history)}
           </div>
           <div class="product-actions">
-            ${item.datasheet ? `<a href="${item.datasheet}" target="_blank" class="datasheet-link">Datasheet</a>` : ''}
-            <button class="add-to-cart" data-id="${item.id}">Add to Cart</button>
+            ${available > 0
+              ? '<button class="add-to-cart">Add to Cart</button>'
+              : '<button class="join-waitlist">Join Waitlist</button>'}
           </div>
         </div>
-      `;
-      productList.appendChild(productCard);
-      
-      // Add click event to the "Add to Cart" button
-      productCard.querySelector('.add-to-cart').addEventListener('click', () => {
-        this.addToCart(item);
-      });
+      </div>
+      ${specs.length > 0 ? `
+        <h3>Specifications</h3>
+        <table class="item-specs">
+          ${specs.map(([name, value]) => `<tr><th>${Html.escape(name)}</th><td>${Html.escape(value)}</td></tr>`).join('')}
+        </table>
+      ` : ''}
+      ${datasheet ? `
+        <h3>Datasheet</h3>
+        <object class="datasheet-preview" data="${datasheet}" type="application/pdf">
+          <p>This datasheet can't be previewed here.</p>
+        </object>
+        <p><a href="${datasheet}" target="_blank" class="datasheet-link">Open datasheet in a new tab</a></p>
+      ` : ''}
+    `;
+
+    container.querySelector('.add-to-cart')?.addEventListener('click', () => {
+      this.addToCart(item);
+    });
+    container.querySelector('.join-waitlist')?.addEventListener('click', () => {
+      this.joinWaitlist(item.id, item.name, 1);
     });
   },
 
+  /**
+   * Draw an item's stock level over its recent movements as an inline SVG
+   * @param {Object|null} history - Stock history from the API
+   * @returns {string} SVG markup, or a note when there is nothing to draw
+   */
+  renderStockSparkline(history) {
+    if (!history || history.points.length < 2) {
+      return '<p class="sparkline-empty">No stock changes yet</p>';
+    }
+
+    const width = 200;
+    const height = 40;
+    const stocks = history.points.map(point => point.stock);
+    const max = Math.max(...stocks, 1);
+    const step = width / (stocks.length - 1);
+    const points = stocks
+      .map((stock, index) => `${(index * step).toFixed(1)},${(height - (stock / max) * height).toFixed(1)}`)
+      .join(' ');
+    const since = new Date(history.points[0].timestamp).toLocaleDateString();
+
+    return `
+      <svg class="sparkline" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="Stock over the last ${stocks.length} changes">
+        <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="2" vector-effect="non-scaling-stroke" />
+      </svg>
+      <p class="sparkline-caption">Stock since ${since} (peak ${max})</p>
+    `;
+  },
+
+  /**
+   * Show a stock change from the live update stream on product cards and the item page
+   * @param {Object} update - Item ID with its new stock, held and available counts
+   */
+  updateItemStock(update) {
+    const counts = { stock: update.stock, held: update.held, available: update.available };
+
+    const item = this.shownItems.get(update.id);
+    if (item) {
+      Object.assign(item, counts);
+      document.querySelectorAll('.product-card').forEach(card => {
+        if (card.dataset.itemId === update.id) {
+          card.replaceWith(this.createProductCard(item));
+        }
+      });
+    }
+
+    if (this.currentItem?.id === update.id) {
+      const wasAvailable = (this.currentItem.available ?? this.currentItem.stock) > 0;
+      Object.assign(this.currentItem, counts);
+      if (wasAvailable !== update.available > 0) {
+        // Swap between Add to Cart and Join Waitlist
+        this.renderItemDetail(this.currentItem, this.currentStockHistory);
+      } else {
+        document.querySelector('#item-detail .product-stock').textContent = `${update.available} in stock`;
+      }
+    }
+  },
+
+  /**
+   * Show cards for parts that go with the item
+   * @param {Array} items - Related items from the API
+   */
+  renderRelatedParts(items) {
+    const section = document.getElementById('related-parts-section');
+    const list = document.getElementById('related-parts');
+    if (!section || !list || items.length === 0) return;
+
+    list.innerHTML = '';
+    items.forEach(item => list.appendChild(this.createProductCard(item)));
+    section.classList.remove('hidden');
+  },
+
   /**
    * Add an item to the cart
    * @param {Object} item - Product to add
    */
-  addToCart(item) {
+  async addToCart(item) {
     // Check if item is already in cart
     const existingItem = this.cart.find(cartItem => cartItem.id === item.id);
     
-    if (existingItem) {
-      existingItem.quantity += 1;
-    } else {
-      this.cart.push({
+    const nextCart = existingItem
+      ? this.cart.map(cartItem => cartItem.id === item.id ? { ...cartItem, quantity: cartItem.quantity + 1 } : cartItem)
+      : [...this.cart, {
         id: item.id,
         name: item.name,
         price: parseFloat(item.price),
         imageUrl: item.imageUrl,
         quantity: 1
-      });
-    }
-    
-    // Save cart to local storage
-    this.saveCart();
+      }];
     
-    // Update UI
-    this.updateCartCount();
-    this.showAddedToCart(item.name);
+    if (await this.updateCart(nextCart)) {
+      this.showAddedToCart(item.name);
+    }
   },
 
   /**
    * Remove an item from the cart
    * @param {string} itemId - ID of the item to remove
    */
-  removeFromCart(itemId) {
-    this.cart = this.cart.filter(item => item.id !== itemId);
-    this.saveCart();
-    this.updateCartCount();
-    
-    // If on cart page, re-render the cart
-    if (document.getElementById('cart-items')) {
-      this.renderCart();
-    }
+  async removeFromCart(itemId) {
+    await this.updateCart(this.cart.filter(item => item.id !== itemId));
   },
 
   /**
@@ -216,17 +744,96 @@ const Store = {
    * @param {string} itemId - ID of the item
    * @param {number} quantity - New quantity
    */
-  updateCartItemQuantity(itemId, quantity) {
-    const item = this.cart.find(item => item.id === itemId);
-    if (item) {
-      item.quantity = Math.max(1, quantity); // Ensure quantity is at least 1
+  async updateCartItemQuantity(itemId, quantity) {
+    await this.updateCart(this.cart.map(item => item.id === itemId
+      ? { ...item, quantity: Math.max(1, quantity) } // Ensure quantity is at least 1
+      : item));
+  },
+
+  /**
+   * Replace the cart, holding its stock first when cart holds are enabled
+   * @param {Array} nextCart - New cart contents
+   * @returns {Promise<boolean>} Whether the cart was changed
+   */
+  async updateCart(nextCart) {
+    const held = await this.holdCart(nextCart);
+    
+    if (held) {
+      this.cart = nextCart;
+      this.saveCart();
+      this.updateCartCount();
     }
-    this.saveCart();
     
-    // If on cart page, re-render the cart
+    // If on cart page, re-render the cart (also resets a rejected quantity)
     if (document.getElementById('cart-items')) {
       this.renderCart();
     }
+    
+    return held;
+  },
+
+  /**
+   * Ask the server to set the cart's items aside
+   * @param {Array} cart - Cart contents to hold
+   * @returns {Promise<boolean>} False if the server could not hold them
+   */
+  async holdCart(cart) {
+    const settings = await this.cartHolds;
+    if (!settings.enabled) return true;
+    
+    try {
+      const hold = await API.holdCart(this.getCartId(), cart);
+      localStorage.setItem('hackathonCartHoldExpires', hold.expires || '');
+      return true;
+    } catch (error) {
+      // Only signed-in participants get their items held; guests can still order
+      if (error.status === 401) {
+        localStorage.removeItem('hackathonCartHoldExpires');
+        return true;
+      }
+      
+      const details = [
+        ...(error.unavailableItems || []).map(item => `${item.name}: only ${item.availableStock} left`),
+        ...(error.quotaViolations || []).map(violation => this.describeQuotaViolation(violation))
+      ].join(', ');
+      this.showError(details ? `${error.message} (${details})` : error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Get the ID this browser uses for its cart hold, creating one if needed
+   * @returns {string} Cart ID
+   */
+  getCartId() {
+    let cartId = localStorage.getItem('hackathonCartId');
+    if (!cartId) {
+      cartId = crypto.randomUUID();
+      localStorage.setItem('hackathonCartId', cartId);
+    }
+    return cartId;
+  },
+
+  /**
+   * Show how long the cart's items stay set aside
+   */
+  async renderHoldNotice() {
+    const notice = document.getElementById('cart-hold-notice');
+    if (!notice) return;
+    
+    const settings = await this.cartHolds;
+    const expires = Number(localStorage.getItem('hackathonCartHoldExpires'));
+    
+    if (!settings.enabled || this.cart.length === 0 || !expires) {
+      notice.style.display = 'none';
+      return;
+    }
+    
+    notice.style.display = 'block';
+    notice.classList.toggle('expired', expires <= Date.now());
+    notice.textContent = expires > Date.now()
+      ? `Your items are held for you until ${new Date(expires).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+      : 'Your hold has expired, so these items are no longer set aside. Change the cart to hold them again.';
   },
 
   /**
@@ -237,6 +844,15 @@ const Store = {
     return this.cart.reduce((total, item) => total + (item.price * item.quantity), 0);
   },
 
+  /**
+   * Calculate total price of items in an order
+   * @param {Object} order - Order returned by the API
+   * @returns {number} Total price
+   */
+  calculateOrderTotal(order) {
+    return order.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+  },
+
   /**
    * Render the shopping cart page
    */
@@ -264,21 +880,21 @@ const Store = {
       cartItem.className = 'cart-item';
       cartItem.innerHTML = `
         <div class="cart-item-image">
-          <img src="${item.imageUrl || 'https://via.placeholder.com/50?text=No+Image'}" alt="${item.name}">
+          <img src="${Html.url(item.imageUrl) || 'https://via.placeholder.com/50?text=No+Image'}" alt="${Html.escape(item.name)}">
         </div>
         <div class="cart-item-details">
-          <h3>${item.name}</h3>
+          <h3>${Html.escape(item.name)}</h3>
           <p class="cart-item-price">$${item.price.toFixed(2)}</p>
         </div>
         <div class="cart-item-quantity">
-          <button class="decrease-quantity" data-id="${item.id}">-</button>
-          <input type="number" min="1" value="${item.quantity}" data-id="${item.id}" class="quantity-input">
-          <button class="increase-quantity" data-id="${item.id}">+</button>
+          <button class="decrease-quantity" data-id="${Html.escape(item.id)}">-</button>
+          <input type="number" min="1" value="${item.quantity}" data-id="${Html.escape(item.id)}" class="quantity-input">
+          <button class="increase-quantity" data-id="${Html.escape(item.id)}">+</button>
         </div>
         <div class="cart-item-total">
           $${(item.price * item.quantity).toFixed(2)}
         </div>
-        <button class="remove-item" data-id="${item.id}">×</button>
+        <button class="remove-item" data-id="${Html.escape(item.id)}">×</button>
       `;
       cartItemsContainer.appendChild(cartItem);
       
@@ -302,6 +918,7 @@ const Store = {
     
     // Show cart summary
     cartSummary.style.display = 'block';
+    this.renderHoldNotice();
     
     // Update cart total
     const totalElement = document.getElementById('cart-total');
@@ -339,7 +956,7 @@ const Store = {
     this.cart.forEach(item => {
       summaryHTML += `
         <li>
-          <span class="item-name">${item.name} × ${item.quantity}</span>
+          <span class="item-name">${Html.escape(item.name)} × ${item.quantity}</span>
           <span class="item-price">$${(item.price * item.quantity).toFixed(2)}</span>
         </li>
       `;
@@ -355,6 +972,88 @@ const Store = {
     checkoutSummary.innerHTML = summaryHTML;
   },
 
+  /**
+   * Show per-item reasons a checkout was rejected
+   * @param {Error} error - Error from API.placeOrder with unavailableItems and quotaViolations
+   */
+  renderCheckoutProblems(error) {
+    const checkoutSummary = document.getElementById('checkout-summary');
+    if (!checkoutSummary) return;
+    
+    checkoutSummary.querySelector('.checkout-problems')?.remove();
+    
+    const unavailableItems = error.unavailableItems || [];
+    const quotaViolations = error.quotaViolations || [];
+    if (unavailableItems.length === 0 && quotaViolations.length === 0) return;
+    
+    const problems = document.createElement('div');
+    problems.className = 'checkout-problems';
+    problems.innerHTML = `
+      <h3>Please adjust your cart</h3>
+      <ul>
+        ${unavailableItems.map(item => `
+          <li>
+            ${Html.escape(item.name)}: requested ${item.requestedQuantity}, only ${item.availableStock} in stock
+            <button class="button secondary join-waitlist" data-id="${Html.escape(item.id)}">Join Waitlist</button>
+          </li>
+        `).join('')}
+        ${quotaViolations.map(violation => `
+          <li>${Html.escape(this.describeQuotaViolation(violation))}</li>
+        `).join('')}
+      </ul>
+    `;
+    checkoutSummary.appendChild(problems);
+    
+    problems.querySelectorAll('.join-waitlist').forEach(button => {
+      const item = unavailableItems.find(unavailable => unavailable.id === button.dataset.id);
+      button.addEventListener('click', () => {
+        this.joinWaitlist(item.id, item.name, item.requestedQuantity);
+      });
+    });
+  },
+
+  /**
+   * Join the waitlist for an item and offer a notification when it is served
+   * @param {string} itemId - Item ID
+   * @param {string} itemName - Item name for messages
+   * @param {number} quantity - Units wanted
+   */
+  async joinWaitlist(itemId, itemName, quantity) {
+    const participant = await API.getParticipant();
+    const username = participant?.name
+      || document.getElementById('username')?.value.trim()
+      || prompt(`Your name or team name for the ${itemName} waitlist:`);
+    if (!username) return;
+    
+    try {
+      const entry = await API.joinWaitlist(itemId, quantity, username);
+      this.showSuccess(`You are number ${entry.place} in line for ${itemName}`);
+      
+      // The notification arrives under the waitlist entry until it becomes an order
+      if (await Notifications.init() && await Notifications.requestPermission() === 'granted') {
+        await Notifications.registerOrder(entry.id, username);
+      }
+    } catch (error) {
+      this.showError(error.message);
+    }
+  },
+
+  /**
+   * Describe a checkout limit violation in plain words
+   * @param {Object} violation - Quota violation returned by the server
+   * @returns {string} Description
+   */
+  describeQuotaViolation(violation) {
+    const remaining = Math.max(0, violation.limit - violation.alreadyOrdered);
+    const scope = {
+      per_item: `${violation.name}: limit ${violation.limit} per person`,
+      team_total: `Limit of ${violation.limit} items per team`,
+      category: `${violation.name}: limit ${violation.limit} per team`
+    }[violation.rule] || violation.name;
+    
+    return `${scope}. You already have ${violation.alreadyOrdered} and requested ${violation.requestedQuantity}, so you can add ${remaining} more.`;
+  },
+
   /**
    * Process the checkout
    */
@@ -410,12 +1109,12 @@ const Store = {
       }
       
       // Send order to server
-      const result = await API.placeOrder(username, this.cart);
+      const result = await API.placeOrder(username, this.cart, this.getCartId());
       
       // Register for notifications if enabled and permission granted
       if (notificationsEnabled && permissionGranted) {
         try {
-          await Notifications.registerOrder(result.orderId, username);
+          await Notifications.registerOrder(result.id, username);
           this.showSuccess('Notifications enabled for order updates');
         } catch (notificationError) {
           console.error('Failed to register for notifications:', notificationError);
@@ -423,18 +1122,20 @@ const Store = {
         }
       }
       
-      // Clear cart after successful order
+      // Clear cart after successful order (the order took over its hold)
       this.cart = [];
       this.saveCart();
+      localStorage.removeItem('hackathonCartHoldExpires');
       
       // Store order ID in sessionStorage for reference
-      sessionStorage.setItem('lastOrderId', result.orderId);
+      sessionStorage.setItem('lastOrderId', result.id);
       
       // Redirect to order confirmation page
-      window.location.href = `order.html?id=${result.orderId}`;
+      window.location.href = `order.html?id=${result.id}`;
       
     } catch (error) {
       this.showError('Failed to place order: ' + error.message);
+      this.renderCheckoutProblems(error);
       if (checkoutButton) {
         checkoutButton.disabled = false;
         checkoutButton.innerHTML = 'Checkout';
@@ -453,60 +1154,16 @@ const Store = {
     this.showLoading(true);
     
     try {
-      const order = await API.getOrder(orderId);
-      
-      orderStatusContainer.innerHTML = `
-        <div class="order-details ${order.status}">
-          <h2>Order #${order.id}</h2>
-          <div class="order-meta">
-            <p><strong>Status:</strong> <span class="status-badge ${order.status}">${order.status.toUpperCase()}</span></p>
-            <p><strong>Date:</strong> ${new Date(order.timestamp).toLocaleString()}</p>
-            <p><strong>Username:</strong> ${order.username}</p>
-          </div>
-          
-          <h3>Items</h3>
-          <ul class="order-items">
-            ${order.items.map(item => `
-              <li>
-                <span class="item-name">${item.name} × ${item.quantity}</span>
-                <span class="item-price">$${(item.price * item.quantity).toFixed(2)}</span>
-              </li>
-            `).join('')}
-          </ul>
-          
-          <div class="order-total">
-            <strong>Total:</strong> $${order.totalPrice.toFixed(2)}
-          </div>
-          
-          <div class="order-history">
-            <h3>Order History</h3>
-            <ul>
-              ${order.statusHistory.map(history => `
-                <li>
-                  <span class="status-badge ${history.status}">${history.status.toUpperCase()}</span>
-                  <span class="history-time">${new Date(history.timestamp).toLocaleString()}</span>
-                  ${history.note ? `<p class="history-note">${history.note}</p>` : ''}
-                </li>
-              `).join('')}
-            </ul>
-          </div>
-        </div>
-      `;
-      
-      // Add save order ID button
-      const saveIdButton = document.createElement('button');
-      saveIdButton.id = 'save-order-id';
-      saveIdButton.className = 'primary-button';
-      saveIdButton.textContent = 'Save Order ID';
-      saveIdButton.addEventListener('click', () => {
-        localStorage.setItem('savedOrderId', orderId);
-        saveIdButton.textContent = 'Order ID Saved!';
-        setTimeout(() => {
-          saveIdButton.textContent = 'Save Order ID';
-        }, 2000);
-      });
-      orderStatusContainer.appendChild(saveIdButton);
-      
+      const [order, statuses, participant, loans] = await Promise.all([
+        API.getOrder(orderId),
+        API.getOrderStatuses(),
+        API.getParticipant(),
+        API.getOrderLoans(orderId)
+      ]);
+      this.orderStatuses = statuses;
+      this.participant = participant;
+      this.orderLoans = loans;
+      this.renderOrderStatus(order);
     } catch (error) {
       // Show toast notification
       this.showError(`Order ${orderId} not found. Please check the ID and try again.`);
@@ -526,6 +1183,187 @@ const Store = {
     }
   },
 
+  /**
+   * Render an order's status, items and history on the order page
+   * @param {Object} order - Order from the API or the live update stream
+   */
+  renderOrderStatus(order) {
+    const orderStatusContainer = document.getElementById('order-status');
+    if (!orderStatusContainer) return;
+
+    const label = status => (this.orderStatuses[status]?.label || status).toUpperCase();
+    // Pickup tickets are only shown to the participant who placed the order
+    const ownOrder = Boolean(this.participant && order.participantId === this.participant.id);
+
+    orderStatusContainer.innerHTML = `
+      <div class="order-details ${order.status}">
+        <h2>Order #${order.id}</h2>
+        <div class="order-meta">
+          <p><strong>Status:</strong> <span class="status-badge ${order.status}">${label(order.status)}</span></p>
+          <p><strong>Date:</strong> ${new Date(order.created).toLocaleString()}</p>
+          <p><strong>Username:</strong> ${Html.escape(order.username)}</p>
+          ${order.backorderOf ? `<p><strong>Backorder of:</strong> <a href="order.html?id=${order.backorderOf}">#${order.backorderOf.substring(0, 8)}</a></p>` : ''}
+          ${order.backorders?.length ? `<p><strong>Backorders:</strong> ${order.backorders.map(id => `<a href="order.html?id=${id}">#${id.substring(0, 8)}</a>`).join(', ')}</p>` : ''}
+        </div>
+        
+        ${ownOrder && order.status === 'approved' ? `
+          <div class="pickup-ticket">
+            <h3>Pickup Ticket</h3>
+            <img src="${API.getPickupQrUrl(order.id)}" alt="Pickup QR code for order #${order.id.substring(0, 8)}" width="200" height="200">
+            <p>Show this code at the pickup desk.</p>
+          </div>
+        ` : ''}
+        ${ownOrder ? `
+          <p class="ticket-link">
+            <a href="${API.getPickupTicketUrl(order.id)}" target="_blank" rel="noopener">
+              ${order.status === 'approved' ? 'Open printable ticket' : 'Open tracking page'}
+            </a>
+            &ndash; bookmark it to find this order again
+          </p>
+        ` : order.status === 'approved' ? `
+          <p class="ticket-link">Give the order number at the pickup desk.</p>
+        ` : ''}
+        
+        ${order.returnedItems ? `
+          <p class="returned-items"><strong>Returned:</strong> ${order.returnedItems.map(item => `${Html.escape(item.name)} × ${item.quantity}`).join(', ')}</p>
+        ` : ''}
+        
+        <h3>Items</h3>
+        <ul class="order-items">
+          ${order.items.map(item => `
+            <li>
+              <span class="item-name">${Html.escape(item.name)} × ${item.quantity}</span>
+              <span class="item-price">$${(item.price * item.quantity).toFixed(2)}</span>
+            </li>
+          `).join('')}
+        </ul>
+        
+        <div class="order-total">
+          <strong>Total:</strong> $${this.calculateOrderTotal(order).toFixed(2)}
+        </div>
+        
+        <div id="order-loans" class="order-loans">
+          <!-- Loaned equipment will be dynamically inserted here -->
+        </div>
+        
+        ${order.edits?.length ? `
+          <div class="order-history">
+            <h3>Changes to Your Order</h3>
+            <ul>
+              ${order.edits.map(edit => `
+                <li>
+                  <span class="history-time">${new Date(edit.timestamp).toLocaleString()}</span>
+                  <span class="history-actor">by ${Html.escape(edit.actor)}</span>
+                  <ul class="edit-changes">
+                    ${edit.changes.map(change => `<li>${Html.escape(change)}</li>`).join('')}
+                  </ul>
+                  ${edit.note ? `<p class="history-note">${Html.escape(edit.note)}</p>` : ''}
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        ` : ''}
+        
+        <div class="order-history">
+          <h3>Order History</h3>
+          <ul>
+            ${order.statusHistory.map(history => `
+              <li>
+                <span class="status-badge ${history.status}">${label(history.status)}</span>
+                <span class="history-time">${new Date(history.timestamp).toLocaleString()}</span>
+                <span class="history-actor">by ${Html.escape(history.actor)}</span>
+                ${history.note ? `<p class="history-note">${Html.escape(history.note)}</p>` : ''}
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      </div>
+    `;
+    
+    // Add save order ID button
+    const saveIdButton = document.createElement('button');
+    saveIdButton.id = 'save-order-id';
+    saveIdButton.className = 'primary-button';
+    saveIdButton.textContent = 'Save Order ID';
+    saveIdButton.addEventListener('click', () => {
+      localStorage.setItem('savedOrderId', order.id);
+      saveIdButton.textContent = 'Order ID Saved!';
+      setTimeout(() => {
+        saveIdButton.textContent = 'Save Order ID';
+      }, 2000);
+    });
+    orderStatusContainer.appendChild(saveIdButton);
+    this.renderOrderLoans();
+
+    // Participants can take back an order nobody has approved yet
+    if (order.status === 'pending' && this.participant && order.participantId === this.participant.id) {
+      const cancelButton = document.createElement('button');
+      cancelButton.className = 'button secondary cancel-order';
+      cancelButton.textContent = 'Cancel Order';
+      cancelButton.addEventListener('click', () => this.cancelOrder(order.id));
+      orderStatusContainer.appendChild(cancelButton);
+    }
+  },
+
+  /**
+   * Show the equipment lent on the order and when it is due back
+   */
+  renderOrderLoans() {
+    const container = document.getElementById('order-loans');
+    if (!container) return;
+
+    if (this.orderLoans.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const isOverdue = loan => !loan.returned && loan.due <= Date.now();
+    const overdue = this.orderLoans.filter(isOverdue);
+
+    container.innerHTML = `
+      ${overdue.length > 0 ? `
+        <div class="loan-overdue-banner">
+          ${overdue.map(loan => `${Html.escape(loan.itemName)} (${Html.escape(loan.unit)})`).join(', ')}
+          ${overdue.length === 1 ? 'is' : 'are'} overdue. Please bring ${overdue.length === 1 ? 'it' : 'them'} back to the hardware desk.
+        </div>
+      ` : ''}
+      <h3>Loaned Equipment</h3>
+      <ul class="order-items">
+        ${this.orderLoans.map(loan => `
+          <li class="${isOverdue(loan) ? 'loan-overdue' : ''}">
+            <span class="item-name">${Html.escape(loan.itemName)} (${Html.escape(loan.unit)})</span>
+            <span>${loan.returned
+              ? `Returned ${new Date(loan.returned).toLocaleString()}`
+              : `Due back ${new Date(loan.due).toLocaleString()}`}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  },
+
+  /**
+   * Cancel one of the signed-in participant's pending orders
+   * @param {string} orderId - The order ID
+   * @returns {Promise<Object|null>} The cancelled order, or null if not cancelled
+   */
+  async cancelOrder(orderId) {
+    if (!confirm('Cancel this order? Its items go back on the shelf.')) return null;
+
+    this.showLoading(true);
+
+    try {
+      const order = await API.cancelOrder(orderId);
+      this.renderOrderStatus(order);
+      this.showSuccess('Your order has been cancelled');
+      return order;
+    } catch (error) {
+      this.showError(error.message);
+      return null;
+    } finally {
+      this.showLoading(false);
+    }
+  },
+
   /**
    * Get the order ID from URL parameters
    * @returns {string|null} Order ID or null if not found
@@ -598,7 +1436,7 @@ const Store = {
     errorElement.className = 'error-toast';
     errorElement.innerHTML = `
       <div class="toast-icon error">✖</div>
-      <div class="toast-message">${message}</div>
+      <div class="toast-message">${Html.escape(message)}</div>
     `;
     document.body.appendChild(errorElement);
     
@@ -625,7 +1463,7 @@ const Store = {
     successElement.className = 'success-toast';
     successElement.innerHTML = `
       <div class="toast-icon success">✓</div>
-      <div class="toast-message">${message}</div>
+      <div class="toast-message">${Html.escape(message)}</div>
     `;
     document.body.appendChild(successElement);
     
@@ -653,7 +1491,7 @@ const Store = {
     notification.innerHTML = `
       <div class="notification-content">
         <span class="checkmark">✓</span>
-        <span>${itemName} added to cart</span>
+        <span>${Html.escape(itemName)} added to cart</span>
       </div>
       <a href="cart.html" class="view-cart-link">View Cart</a>
     `;
@@ -20,6 +20,8 @@ self.addEventListener("install", (event) => {
           "./cart.html",
           "./checkout.html",
           "./order.html",
+          "./item.html",
+          "./my-orders.html",
           "./admin.html",
           "./css/style.css",
           "./js/config.js",
@@ -0,0 +1,222 @@
+/**
+ * Tests for the checkout limits: per person per item, per team in total and
+ * per category. Only orders that still hold stock count toward them, and
+ * order edits are held to them too.
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { type TestServer, startTestServer, testItem } from "./testServer";
+
+let server: TestServer;
+let token: string;
+
+function placeOrder(
+  username: string,
+  cart: { id: string; quantity: number }[],
+  participantToken?: string,
+) {
+  return fetch(`${server.base}/orders`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(participantToken && { Authorization: `Bearer ${participantToken}` }),
+    },
+    body: JSON.stringify({ username, cart }),
+  });
+}
+
+async function violations(response: Response): Promise<string[]> {
+  expect(response.status).toBe(400);
+  const body = await response.json();
+  return body.quotaViolations.map(
+    (violation: { rule: string }) => violation.rule,
+  );
+}
+
+async function registerParticipant(handle: string): Promise<string> {
+  const response = await fetch(`${server.base}/participants/register`, {
+    method: "POST",
+    body: JSON.stringify({ handle, name: handle }),
+  });
+  return (await response.json()).token;
+}
+
+function setStatus(orderId: string, status: string) {
+  return fetch(`${server.base}/orders/${orderId}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify({ status }),
+  });
+}
+
+beforeAll(async () => {
+  server = await startTestServer({
+    backend: "json",
+    files: {
+      "items.json": JSON.stringify([
+        testItem("led", 100),
+        testItem("resistor", 100),
+        testItem("servo", 1),
+        testItem("pico", 10, "Development Boards"),
+        testItem("arduino", 10, "Development Boards"),
+      ]),
+    },
+    env: {
+      ADMIN_CODE: "quota-test",
+      QUOTA_MAX_PER_ITEM: "3",
+      QUOTA_MAX_ITEMS_PER_TEAM: "5",
+      QUOTA_CATEGORY_LIMITS: JSON.stringify({ "Development Boards": 1 }),
+    },
+  });
+
+  const login = await fetch(`${server.base}/auth/login`, {
+    method: "POST",
+    body: JSON.stringify({ username: "admin", password: "quota-test" }),
+  });
+  token = (await login.json()).token;
+});
+
+afterAll(() => {
+  server?.stop();
+});
+
+describe("checkout limits", () => {
+  test("a team cannot order more of one item than the per-item limit", async () => {
+    expect((await placeOrder("Team A", [{ id: "led", quantity: 2 }])).ok).toBe(
+      true,
+    );
+
+    // Usernames are matched without case or surrounding spaces
+    const response = await placeOrder(" team a ", [{ id: "led", quantity: 2 }]);
+    expect(await violations(response)).toEqual(["per_item"]);
+
+    expect((await placeOrder("Team A", [{ id: "led", quantity: 1 }])).ok).toBe(
+      true,
+    );
+  });
+
+  test("a team cannot order more items in total than the team limit", async () => {
+    expect(
+      (await placeOrder("Team B", [{ id: "resistor", quantity: 3 }])).ok,
+    ).toBe(true);
+
+    const response = await placeOrder("Team B", [{ id: "led", quantity: 3 }]);
+    expect(await violations(response)).toEqual(["team_total"]);
+  });
+
+  test("a team cannot order more from a category than its limit", async () => {
+    expect((await placeOrder("Team C", [{ id: "pico", quantity: 1 }])).ok).toBe(
+      true,
+    );
+
+    const response = await placeOrder("Team C", [
+      { id: "arduino", quantity: 1 },
+    ]);
+    expect(await violations(response)).toEqual(["category"]);
+  });
+
+  test("a participant account is limited whatever username it orders under", async () => {
+    const participant = await registerParticipant("team-d@example.com");
+
+    expect(
+      (await placeOrder("Dana", [{ id: "pico", quantity: 1 }], participant)).ok,
+    ).toBe(true);
+
+    const response = await placeOrder(
+      "Someone else",
+      [{ id: "arduino", quantity: 1 }],
+      participant,
+    );
+    expect(await violations(response)).toEqual(["category"]);
+
+    // The username on its own is a different team
+    expect(
+      (await placeOrder("Dana", [{ id: "arduino", quantity: 1 }])).ok,
+    ).toBe(true);
+  });
+});
+
+describe("what counts toward the limits", () => {
+  test("orders that failed or were refused do not count", async () => {
+    // Out of stock, so nothing is placed
+    const failed = await placeOrder("Team E", [{ id: "servo", quantity: 2 }]);
+    expect(failed.status).toBe(400);
+
+    // Over the limit, so nothing is placed either
+    await violations(
+      await placeOrder("Team E", [{ id: "resistor", quantity: 4 }]),
+    );
+
+    expect(
+      (await placeOrder("Team E", [{ id: "resistor", quantity: 3 }])).ok,
+    ).toBe(true);
+  });
+
+  test("cancelled and denied orders stop counting", async () => {
+    const first = await placeOrder("Team F", [{ id: "pico", quantity: 1 }]);
+    const { id: orderId } = await first.json();
+    await violations(await placeOrder("Team F", [{ id: "pico", quantity: 1 }]));
+
+    expect((await setStatus(orderId, "denied")).ok).toBe(true);
+    expect((await placeOrder("Team F", [{ id: "pico", quantity: 1 }])).ok).toBe(
+      true,
+    );
+  });
+
+  test("approved orders keep counting", async () => {
+    const first = await placeOrder("Team G", [{ id: "arduino", quantity: 1 }]);
+    const { id: orderId } = await first.json();
+
+    expect((await setStatus(orderId, "approved")).ok).toBe(true);
+    await violations(await placeOrder("Team G", [{ id: "pico", quantity: 1 }]));
+  });
+});
+
+describe("order edits", () => {
+  function editItems(
+    orderId: string,
+    items: { id: string; quantity: number }[],
+  ) {
+    return fetch(`${server.base}/orders/${orderId}/items`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ items }),
+    });
+  }
+
+  test("extra units count toward the order's limits", async () => {
+    const first = await placeOrder("Team H", [{ id: "led", quantity: 2 }]);
+    const { id: orderId } = await first.json();
+
+    await violations(await editItems(orderId, [{ id: "led", quantity: 4 }]));
+    expect((await editItems(orderId, [{ id: "led", quantity: 3 }])).ok).toBe(
+      true,
+    );
+  });
+
+  test("units an edit gives back make room for its extra ones", async () => {
+    const first = await placeOrder("Team I", [
+      { id: "resistor", quantity: 3 },
+      { id: "led", quantity: 2 },
+    ]);
+    const { id: orderId } = await first.json();
+
+    const swapped = await editItems(orderId, [
+      { id: "resistor", quantity: 2 },
+      { id: "led", quantity: 3 },
+    ]);
+    expect(swapped.ok).toBe(true);
+
+    const response = await editItems(orderId, [
+      { id: "resistor", quantity: 3 },
+      { id: "led", quantity: 3 },
+    ]);
+    expect(await violations(response)).toEqual(["team_total"]);
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Stress tests for stock reservation: many teams ordering the same parts at
+ * once must never push stock below zero or reserve more than was available.
+ * Runs against both storage backends.
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { type TestServer, startTestServer, testItem } from "./testServer";
+
+describe.each(["json", "sqlite"] as const)("%s storage", (backend) => {
+  let server: TestServer;
+  let base: string;
+  let token: string;
+
+  function placeOrder(
+    username: string,
+    cart: { id: string; quantity: number }[],
+  ) {
+    return fetch(`${base}/orders`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, cart }),
+    });
+  }
+
+  async function getStock(id: string): Promise<number> {
+    const response = await fetch(`${base}/items/${id}`);
+    return (await response.json()).stock;
+  }
+
+  async function getLedger(id: string) {
+    const response = await fetch(`${base}/items/${id}/ledger`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.json();
+  }
+
+  beforeAll(async () => {
+    // The SQLite backend imports items.json on first start
+    server = await startTestServer({
+      backend,
+      files: {
+        "items.json": JSON.stringify([
+          testItem("pico", 5),
+          testItem("led", 50),
+          testItem("sensor", 4),
+          testItem("cable", 10),
+        ]),
+      },
+      env: {
+        ADMIN_CODE: "stress-test",
+        QUOTA_MAX_PER_ITEM: "0",
+        QUOTA_MAX_ITEMS_PER_TEAM: "0",
+        QUOTA_CATEGORY_LIMITS: "",
+      },
+    });
+    base = server.base;
+
+    const login = await fetch(`${base}/auth/login`, {
+      method: "POST",
+      body: JSON.stringify({ username: "admin", password: "stress-test" }),
+    });
+    token = (await login.json()).token;
+  });
+
+  afterAll(() => {
+    server?.stop();
+  });
+
+  describe("stock reservation under concurrent orders", () => {
+    test("only as many teams as there are units get the last part", async () => {
+      const responses = await Promise.all(
+        Array.from({ length: 100 }, (_, i) =>
+          placeOrder(`team-${i}`, [{ id: "pico", quantity: 1 }]),
+        ),
+      );
+
+      const succeeded = responses.filter((response) => response.ok);
+      expect(succeeded.length).toBe(5);
+      expect(responses.filter((r) => r.status === 400).length).toBe(95);
+      expect(await getStock("pico")).toBe(0);
+    });
+
+    test("mixed quantities never reserve more than the stock", async () => {
+      const quantities = Array.from({ length: 60 }, (_, i) => (i % 3) + 1);
+      const responses = await Promise.all(
+        quantities.map((quantity, i) =>
+          placeOrder(`team-${i}`, [
+            { id: "led", quantity },
+            { id: "cable", quantity: 1 },
+          ]),
+        ),
+      );
+
+      const reservedLed = quantities
+        .filter((_, i) => responses[i].ok)
+        .reduce((total, quantity) => total + quantity, 0);
+      const reservedCable = responses.filter((response) => response.ok).length;
+
+      expect(reservedLed).toBeLessThanOrEqual(50);
+      expect(reservedCable).toBeLessThanOrEqual(10);
+      expect(await getStock("led")).toBe(50 - reservedLed);
+      expect(await getStock("cable")).toBe(10 - reservedCable);
+
+      // A failed order must not leave part of its cart reserved
+      for (const id of ["led", "cable"]) {
+        const ledger = await getLedger(id);
+        expect(ledger.stock).toBeGreaterThanOrEqual(0);
+        expect(ledger.ledgerTotal).toBe(ledger.stock);
+      }
+    });
+
+    test("repeating an item in the cart cannot get around the stock check", async () => {
+      const response = await placeOrder("greedy", [
+        { id: "sensor", quantity: 3 },
+        { id: "sensor", quantity: 3 },
+      ]);
+
+      expect(response.status).toBe(400);
+      expect(await getStock("sensor")).toBe(4);
+    });
+
+    test("negative and fractional quantities are rejected", async () => {
+      for (const quantity of [-10, 0, 1.5, "2"]) {
+        const response = await fetch(`${base}/orders`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            username: "tricky",
+            cart: [{ id: "sensor", quantity }],
+          }),
+        });
+        expect(response.status).toBe(400);
+      }
+
+      expect(await getStock("sensor")).toBe(4);
+    });
+  });
+});
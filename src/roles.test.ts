@@ -0,0 +1,31 @@
+/**
+ * Tests for admin roles and permissions
+ */
+
+import { describe, expect, test } from "bun:test";
+import { hasPermission, isRole } from "./roles";
+
+describe("roles", () => {
+  test("accept only the defined roles", () => {
+    expect(isRole("fulfiller")).toBe(true);
+    expect(isRole("admin")).toBe(false);
+    expect(isRole(undefined)).toBe(false);
+  });
+
+  test("reject keys inherited from Object", () => {
+    for (const key of [
+      "constructor",
+      "toString",
+      "__proto__",
+      "hasOwnProperty",
+    ]) {
+      expect(isRole(key)).toBe(false);
+    }
+  });
+
+  test("grant each role its permissions", () => {
+    expect(hasPermission("viewer", "orders:read")).toBe(true);
+    expect(hasPermission("viewer", "orders:update")).toBe(false);
+    expect(hasPermission("manager", "users:manage")).toBe(true);
+  });
+});
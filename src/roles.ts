@@ -0,0 +1,51 @@
+/**
+ * Admin roles and permissions for the Hackathon Hardware Store Server
+ * Shared by the route guards and the admin UI
+ */
+
+export type Role = "viewer" | "fulfiller" | "manager";
+
+export type Permission =
+  | "orders:read"
+  | "orders:update"
+  // Deny or cancel orders
+  | "orders:cancel"
+  | "inventory:write"
+  | "users:manage"
+  | "sessions:manage";
+
+export interface RoleDefinition {
+  label: string;
+  permissions: Permission[];
+}
+
+export const ROLES: Record<Role, RoleDefinition> = {
+  viewer: {
+    label: "Viewer",
+    permissions: ["orders:read"],
+  },
+  fulfiller: {
+    label: "Fulfiller",
+    permissions: ["orders:read", "orders:update"],
+  },
+  manager: {
+    label: "Manager",
+    permissions: [
+      "orders:read",
+      "orders:update",
+      "orders:cancel",
+      "inventory:write",
+      "users:manage",
+      "sessions:manage",
+    ],
+  },
+};
+
+export function isRole(role: unknown): role is Role {
+  // hasOwn, as `in` would also accept inherited keys like "constructor"
+  return typeof role === "string" && Object.hasOwn(ROLES, role);
+}
+
+export function hasPermission(role: Role, permission: Permission): boolean {
+  return ROLES[role].permissions.includes(permission);
+}
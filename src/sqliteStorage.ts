@@ -0,0 +1,120 @@
+/**
+ * SQLite storage backend for the Hackathon Hardware Store Server
+ * Stores each record as a JSON document in a table per collection
+ */
+
+import { Database } from "bun:sqlite";
+import type { Collection, LedgerEntry, Storage } from "./storage";
+import { COLLECTIONS } from "./storage";
+
+const TABLES: Record<Collection, string> = {
+  items: "items",
+  orders: "orders",
+  subscriptions: "subscriptions",
+  users: "users",
+  sessions: "sessions",
+  participants: "participants",
+  participantSessions: "participant_sessions",
+  cartHolds: "cart_holds",
+  waitlist: "waitlist",
+  loans: "loans",
+};
+
+export interface SqliteStorage extends Storage {
+  getMeta(key: string): string | null;
+  setMeta(key: string, value: string): void;
+}
+
+export function createSqliteStorage(path: string): SqliteStorage {
+  const db = new Database(path, { create: true });
+  db.exec("PRAGMA journal_mode = WAL");
+
+  for (const collection of COLLECTIONS) {
+    db.exec(
+      `CREATE TABLE IF NOT EXISTS ${TABLES[collection]} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`,
+    );
+  }
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS stock_ledger (seq INTEGER PRIMARY KEY AUTOINCREMENT, id TEXT NOT NULL, item_id TEXT NOT NULL, data TEXT NOT NULL)",
+  );
+  db.exec(
+    "CREATE INDEX IF NOT EXISTS stock_ledger_item ON stock_ledger (item_id)",
+  );
+  db.exec(
+    "CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)",
+  );
+
+  // Upserting keeps the rowid, so records stay in the order they were added
+  const statements = Object.fromEntries(
+    COLLECTIONS.map((collection) => [
+      collection,
+      {
+        all: db.query(
+          `SELECT id, data FROM ${TABLES[collection]} ORDER BY rowid`,
+        ),
+        put: db.query(
+          `INSERT INTO ${TABLES[collection]} (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data`,
+        ),
+        remove: db.query(`DELETE FROM ${TABLES[collection]} WHERE id = ?`),
+      },
+    ]),
+  ) as Record<
+    Collection,
+    Record<"all" | "put" | "remove", ReturnType<typeof db.query>>
+  >;
+  const ledgerAll = db.query("SELECT data FROM stock_ledger ORDER BY seq");
+  const ledgerAppend = db.query(
+    "INSERT INTO stock_ledger (id, item_id, data) VALUES (?, ?, ?)",
+  );
+  const metaGet = db.query("SELECT value FROM meta WHERE key = ?");
+  const metaSet = db.query(
+    "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value",
+  );
+
+  return {
+    backend: "sqlite",
+
+    async load<T>(collection: Collection) {
+      const rows = statements[collection].all.all() as {
+        id: string;
+        data: string;
+      }[];
+      return new Map(rows.map((row) => [row.id, JSON.parse(row.data) as T]));
+    },
+
+    put<T>(collection: Collection, id: string, record: T) {
+      statements[collection].put.run(id, JSON.stringify(record));
+    },
+
+    remove(collection: Collection, id: string) {
+      statements[collection].remove.run(id);
+    },
+
+    async loadLedger<T extends LedgerEntry>() {
+      const rows = ledgerAll.all() as { data: string }[];
+      return rows.map((row) => JSON.parse(row.data) as T);
+    },
+
+    appendLedger<T extends LedgerEntry>(entry: T) {
+      ledgerAppend.run(entry.id, entry.itemId, JSON.stringify(entry));
+    },
+
+    // Nested calls become savepoints inside the outer transaction
+    transaction<R>(fn: () => R): R {
+      return db.transaction(fn)();
+    },
+
+    getMeta(key: string) {
+      const row = metaGet.get(key) as { value: string } | null;
+      return row ? row.value : null;
+    },
+
+    setMeta(key: string, value: string) {
+      metaSet.run(key, value);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
@@ -0,0 +1,105 @@
+/**
+ * Persistence for the Hackathon Hardware Store Server
+ * The server keeps its state in memory and writes every change through a
+ * Storage backend, either JSON files in data/ or a SQLite database
+ */
+
+import { createJsonStorage } from "./jsonStorage";
+import { createSqliteStorage } from "./sqliteStorage";
+
+export type Collection =
+  | "items"
+  | "orders"
+  | "subscriptions"
+  | "users"
+  | "sessions"
+  | "participants"
+  | "participantSessions"
+  | "cartHolds"
+  | "waitlist"
+  | "loans";
+
+export const COLLECTIONS: Collection[] = [
+  "items",
+  "orders",
+  "subscriptions",
+  "users",
+  "sessions",
+  "participants",
+  "participantSessions",
+  "cartHolds",
+  "waitlist",
+  "loans",
+];
+
+export type StorageBackend = "json" | "sqlite";
+
+export interface LedgerEntry {
+  id: string;
+  itemId: string;
+}
+
+export interface Storage {
+  readonly backend: StorageBackend;
+  // Every record in a collection keyed by id, in the order they were added
+  load<T>(collection: Collection): Promise<Map<string, T>>;
+  put<T>(collection: Collection, id: string, record: T): void;
+  remove(collection: Collection, id: string): void;
+  // The stock ledger is append-only, oldest entry first
+  loadLedger<T extends LedgerEntry>(): Promise<T[]>;
+  appendLedger<T extends LedgerEntry>(entry: T): void;
+  // Runs fn so that the writes it makes are stored together. Nested calls
+  // join the outer transaction.
+  transaction<R>(fn: () => R): R;
+  close(): void;
+}
+
+export async function createStorage(
+  backend: StorageBackend,
+  dataDir: string,
+  sqlitePath: string,
+): Promise<Storage> {
+  if (backend === "json") {
+    return createJsonStorage(dataDir);
+  }
+
+  const storage = createSqliteStorage(sqlitePath);
+  if (!storage.getMeta("migrated_from_json")) {
+    await migrateFromJson(createJsonStorage(dataDir), storage);
+    storage.setMeta("migrated_from_json", new Date().toISOString());
+  }
+  return storage;
+}
+
+// Copies everything from the JSON files into a new database in one
+// transaction. The JSON files are left in place as a backup.
+async function migrateFromJson(
+  source: Storage,
+  target: Storage,
+): Promise<void> {
+  const collections = await Promise.all(
+    COLLECTIONS.map(async (collection) => ({
+      collection,
+      records: await source.load(collection),
+    })),
+  );
+  const ledger = await source.loadLedger();
+
+  target.transaction(() => {
+    for (const { collection, records } of collections) {
+      for (const [id, record] of records) {
+        target.put(collection, id, record);
+      }
+    }
+    for (const entry of ledger) {
+      target.appendLedger(entry);
+    }
+  });
+
+  const summary = collections
+    .map(({ collection, records }) => `${records.size} ${collection}`)
+    .join(", ");
+  console.log(
+    `Migrated JSON data to SQLite: ${summary}, ${ledger.length} stock movements`,
+  );
+}
@@ -0,0 +1,193 @@
+/**
+ * Tests for the supplier client's cache, retries and request limits against
+ * a local mock supplier API
+ */
+
+import {
+  afterAll,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  test,
+} from "bun:test";
+import { type SupplierAdapter, parsePrice, supplierFetch } from "./supplier";
+import { createTestSupplierCache } from "./testSupplier";
+
+const cache = createTestSupplierCache("supplier");
+
+let mock: ReturnType<typeof Bun.serve>;
+let requests: string[] = [];
+let inFlight = 0;
+let maxInFlight = 0;
+// Statuses to answer with for a part before answering normally
+let failures: Record<string, number[]> = {};
+
+beforeAll(() => {
+  mock = Bun.serve({
+    port: 0,
+    async fetch(req) {
+      const partNumber = decodeURIComponent(
+        new URL(req.url).pathname.slice("/parts/".length),
+      );
+      requests.push(partNumber);
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await Bun.sleep(20);
+      inFlight--;
+
+      const status = failures[partNumber]?.shift();
+      if (status) {
+        return new Response("Failure", {
+          status,
+          headers: status === 429 ? { "Retry-After": "0" } : {},
+        });
+      }
+      return Response.json({ name: `Part ${partNumber}` });
+    },
+  });
+});
+
+afterAll(() => {
+  mock.stop(true);
+  cache.remove();
+});
+
+beforeEach(() => {
+  requests = [];
+  maxInFlight = 0;
+  failures = {};
+});
+
+function createClient(
+  overrides: {
+    configured?: boolean;
+    concurrency?: number;
+    cacheTtl?: number;
+    request?: SupplierAdapter["request"];
+  } = {},
+) {
+  const { configured = true, request, ...options } = overrides;
+  const adapter: SupplierAdapter = {
+    id: "mock",
+    name: "Mock",
+    configured,
+    request:
+      request ??
+      ((partNumber) =>
+        supplierFetch(`http://localhost:${mock.port}/parts/${partNumber}`)),
+    extract: (body) => body as Record<string, unknown>,
+    normalize: (entry) => ({
+      name: entry.product.name as string,
+      attributes: {},
+    }),
+  };
+
+  return cache.createClient(adapter, options);
+}
+
+describe("supplier client", () => {
+  test("caches responses until they expire or a lookup is forced", async () => {
+    const client = createClient();
+
+    const first = await client.lookup("296-6501-1-ND");
+    const second = await client.lookup("296-6501-1-ND");
+    expect(first.product.name).toBe("Part 296-6501-1-ND");
+    expect(second.fetched).toBe(first.fetched);
+    expect(requests).toEqual(["296-6501-1-ND"]);
+
+    await client.lookup("296-6501-1-ND", true);
+    expect(requests.length).toBe(2);
+    expect(client.cached("296-6501-1-ND")).not.toBeNull();
+    expect(client.cached("unknown")).toBeNull();
+  });
+
+  test("looks stale cache entries up again", async () => {
+    const client = createClient({ cacheTtl: 0 });
+
+    await client.lookup("LED-1");
+    await client.lookup("LED-1");
+    expect(requests).toEqual(["LED-1", "LED-1"]);
+  });
+
+  test("retries rate limits and server errors", async () => {
+    const client = createClient();
+    failures["LED-2"] = [429, 503];
+
+    const entry = await client.lookup("LED-2");
+    expect(entry.product.name).toBe("Part LED-2");
+    expect(requests).toEqual(["LED-2", "LED-2", "LED-2"]);
+  });
+
+  test("gives up after the configured retries", async () => {
+    const client = createClient();
+    failures["LED-3"] = [500, 500, 500, 500];
+
+    await expect(client.lookup("LED-3")).rejects.toThrow("500");
+    expect(requests.length).toBe(4);
+    expect(client.cached("LED-3")).toBeNull();
+  });
+
+  test("retries requests that get no response", async () => {
+    let attempts = 0;
+    const client = createClient({
+      // Nothing listens on port 1, so the first attempts are refused
+      request: (partNumber) =>
+        supplierFetch(
+          `http://localhost:${++attempts < 3 ? 1 : mock.port}/parts/${partNumber}`,
+        ),
+    });
+
+    const entry = await client.lookup("LED-5");
+    expect(entry.product.name).toBe("Part LED-5");
+    expect(attempts).toBe(3);
+  });
+
+  test("does not retry errors thrown by the adapter itself", async () => {
+    let attempts = 0;
+    const client = createClient({
+      request: async () => {
+        attempts++;
+        throw new TypeError("Cannot read properties of undefined");
+      },
+    });
+
+    await expect(client.lookup("LED-6")).rejects.toThrow("undefined");
+    expect(attempts).toBe(1);
+  });
+
+  test("does not retry a part the supplier does not know", async () => {
+    const client = createClient();
+    failures["BOGUS"] = [404];
+
+    await expect(client.lookup("BOGUS")).rejects.toThrow("404");
+    expect(requests).toEqual(["BOGUS"]);
+  });
+
+  test("limits requests in flight", async () => {
+    const client = createClient({ concurrency: 2 });
+
+    await Promise.all(
+      Array.from({ length: 8 }, (_, i) => client.lookup(`RES-${i}`)),
+    );
+    expect(requests.length).toBe(8);
+    expect(maxInFlight).toBe(2);
+  });
+
+  test("makes no requests without credentials", async () => {
+    const client = createClient({ configured: false });
+
+    await expect(client.lookup("LED-4")).rejects.toThrow("not configured");
+    expect(requests).toEqual([]);
+  });
+});
+
+describe("parsePrice", () => {
+  test("reads prices written as text", () => {
+    expect(parsePrice(0.25)).toBe(0.25);
+    expect(parsePrice("$1,234.50")).toBe(1234.5);
+    expect(parsePrice("0,12 €")).toBe(0.12);
+    expect(parsePrice("")).toBeUndefined();
+    expect(parsePrice(undefined)).toBeUndefined();
+  });
+});
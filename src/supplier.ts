@@ -0,0 +1,269 @@
+/**
+ * Supplier lookups for the Hackathon Hardware Store Server
+ * Each distributor is a SupplierAdapter that knows how to request a part and
+ * read the response. The client around it adds an on-disk response cache, a
+ * shared concurrency and rate limit, and retries with exponential backoff.
+ */
+
+import { join } from "node:path";
+import * as fs from "node:fs";
+
+export interface SupplierCacheEntry {
+  partNumber: string;
+  // API version that returned `product`, for adapters that support several
+  version?: string;
+  fetched: number;
+  // Raw product data, so the mapping can change without a new lookup
+  product: Record<string, unknown>;
+}
+
+// Product details in the same shape whichever supplier supplied them
+export interface SupplierProduct {
+  name?: string;
+  description?: string;
+  price?: number;
+  imageUrl?: string;
+  datasheet?: string;
+  category?: string;
+  manufacturer?: string;
+  manufacturerPartNumber?: string;
+  // Package / case and parametric values such as resistance or tolerance,
+  // keyed by the supplier's parameter name
+  attributes: Record<string, string>;
+}
+
+export interface SupplierAdapter {
+  // Short name used for the CSV file and cache directory, e.g. "digikey"
+  readonly id: string;
+  // Name shown as the item's supplier, e.g. "DigiKey"
+  readonly name: string;
+  // False when credentials the API needs are missing
+  readonly configured: boolean;
+  readonly version?: string;
+  // Sends the lookup request, including whatever authentication it needs.
+  // Requests go through supplierFetch so that network errors are retried.
+  request(partNumber: string): Promise<Response>;
+  // Called after a 401 so the adapter can drop a stale token
+  unauthorized?(): void;
+  // Picks the part out of a successful response. Throws if it is missing.
+  extract(body: unknown, partNumber: string): Record<string, unknown>;
+  normalize(entry: SupplierCacheEntry): SupplierProduct;
+}
+
+export interface SupplierClientOptions {
+  // Directory holding one cached response per part number
+  cacheDir: string;
+  // How long a cached response is used before it is fetched again
+  cacheTtl: number;
+  // Requests in flight at once
+  concurrency: number;
+  requestsPerMinute: number;
+  // Attempts after the first for 429, 5xx and network errors
+  maxRetries: number;
+  // First backoff delay, doubled on every retry
+  retryDelay?: number;
+}
+
+export interface SupplierClient {
+  readonly adapter: SupplierAdapter;
+  // Last stored response for a part, however old, without any request
+  cached(partNumber: string): SupplierCacheEntry | null;
+  // Cached response if it is fresh, otherwise a new one from the API.
+  // Throws if the part cannot be looked up.
+  lookup(partNumber: string, force?: boolean): Promise<SupplierCacheEntry>;
+}
+
+// A request that got no response at all, such as a refused connection.
+// These are retried; any other error thrown by an adapter is not.
+export class SupplierNetworkError extends Error {}
+
+// fetch for adapters, marking its failures as network errors
+export async function supplierFetch(
+  url: string,
+  init?: RequestInit,
+): Promise<Response> {
+  try {
+    return await fetch(url, init);
+  } catch (error) {
+    throw new SupplierNetworkError(
+      error instanceof Error ? error.message : String(error),
+      { cause: error },
+    );
+  }
+}
+
+// Parameters about how a part is sold rather than what it is
+const IGNORED_PARAMETERS = new Set(["Packaging", "Part Status"]);
+
+// Builds an attribute map from a supplier's list of parameters
+export function collectAttributes(
+  parameters: Record<string, unknown>[] | undefined,
+  name: string,
+  value: string,
+): Record<string, string> {
+  const attributes: Record<string, string> = {};
+  for (const parameter of parameters || []) {
+    const key = String(parameter[name] ?? "").trim();
+    const text = String(parameter[value] ?? "").trim();
+    // Suppliers use "-" and "*" for values that do not apply
+    if (!key || IGNORED_PARAMETERS.has(key) || !text || /^[-*]$/.test(text)) {
+      continue;
+    }
+    attributes[key] = text;
+  }
+  return attributes;
+}
+
+// Reads prices written as numbers or as text such as "$1.23" or "1,23 €"
+export function parsePrice(value: unknown): number | undefined {
+  if (typeof value === "number") return value > 0 ? value : undefined;
+  if (typeof value !== "string") return undefined;
+
+  // A comma is a decimal separator only when there is no point
+  const digits = value.replace(/[^\d.,]/g, "");
+  const price = Number(
+    digits.includes(".") ? digits.replace(/,/g, "") : digits.replace(",", "."),
+  );
+  return price > 0 ? price : undefined;
+}
+
+// Statuses worth asking again for; anything else will not change on retry
+function isRetryable(status: number): boolean {
+  return status === 429 || status >= 500;
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export function createSupplierClient(
+  adapter: SupplierAdapter,
+  options: SupplierClientOptions,
+): SupplierClient {
+  const retryDelay = options.retryDelay ?? 1000;
+  const interval = 60000 / Math.max(1, options.requestsPerMinute);
+
+  let active = 0;
+  const waiting: (() => void)[] = [];
+  let nextStart = 0;
+
+  const cachePath = (partNumber: string) =>
+    join(options.cacheDir, `${encodeURIComponent(partNumber)}.json`);
+
+  // Waits for a free request slot, then spaces request starts evenly so
+  // bursts stay under the per-minute limit
+  const acquire = async () => {
+    if (active < Math.max(1, options.concurrency)) {
+      active++;
+    } else {
+      await new Promise<void>((resolve) => waiting.push(resolve));
+    }
+
+    const now = Date.now();
+    const start = Math.max(now, nextStart);
+    nextStart = start + interval;
+    if (start > now) await sleep(start - now);
+  };
+
+  // Hands the slot straight to the next waiting request, if any
+  const release = () => {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  };
+
+  const fetchProduct = async (
+    partNumber: string,
+  ): Promise<Record<string, unknown>> => {
+    for (let attempt = 0; ; attempt++) {
+      let delay = retryDelay * 2 ** attempt;
+      let failure: string;
+
+      await acquire();
+      try {
+        const response = await adapter.request(partNumber);
+
+        if (response.ok) {
+          return adapter.extract(await response.json(), partNumber);
+        }
+
+        failure = `API request failed: ${response.status} ${response.statusText}`;
+        if (response.status === 401) {
+          // The token was revoked or expired early; get a new one
+          adapter.unauthorized?.();
+        } else if (!isRetryable(response.status)) {
+          throw new Error(failure);
+        }
+
+        const retryAfter = Number(response.headers.get("Retry-After"));
+        if (retryAfter > 0) {
+          delay = retryAfter * 1000;
+        }
+      } catch (error) {
+        // Network errors are retried; HTTP errors were decided above
+        if (!(error instanceof SupplierNetworkError)) throw error;
+        failure = error.message;
+      } finally {
+        release();
+      }
+
+      if (attempt >= options.maxRetries) {
+        throw new Error(failure);
+      }
+      console.warn(
+        `${adapter.name} lookup for ${partNumber} failed (${failure}), retrying in ${delay}ms`,
+      );
+      await sleep(delay);
+    }
+  };
+
+  const cached = (partNumber: string): SupplierCacheEntry | null => {
+    try {
+      return JSON.parse(fs.readFileSync(cachePath(partNumber), "utf8"));
+    } catch {
+      return null;
+    }
+  };
+
+  return {
+    adapter,
+
+    cached,
+
+    async lookup(partNumber: string, force = false) {
+      const entry = cached(partNumber);
+      if (!force && entry && Date.now() - entry.fetched < options.cacheTtl) {
+        return entry;
+      }
+      if (!adapter.configured) {
+        // Stale details are better than none
+        if (entry && !force) return entry;
+        throw new Error(`${adapter.name} API credentials are not configured`);
+      }
+
+      const fresh: SupplierCacheEntry = {
+        partNumber,
+        version: adapter.version,
+        fetched: Date.now(),
+        product: await fetchProduct(partNumber),
+      };
+
+      try {
+        fs.mkdirSync(options.cacheDir, { recursive: true });
+        const path = cachePath(partNumber);
+        fs.writeFileSync(`${path}.tmp`, JSON.stringify(fresh, null, 2));
+        fs.renameSync(`${path}.tmp`, path);
+      } catch (error) {
+        console.error(
+          `Error caching ${adapter.name} data for ${partNumber}:`,
+          error,
+        );
+      }
+
+      return fresh;
+    },
+  };
+}
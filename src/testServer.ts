@@ -0,0 +1,119 @@
+/**
+ * Starts the store server in a child process for the integration tests.
+ * Each server gets its own data directory and storage backend, and binds a
+ * free port that is read back from its startup log.
+ */
+
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import type { StorageBackend } from "./storage";
+
+export interface TestServer {
+  // API base URL, e.g. http://localhost:41234/hackathon
+  base: string;
+  dataDir: string;
+  stop(): void;
+}
+
+export interface TestServerOptions {
+  backend: StorageBackend;
+  // Files written to the data directory before the server starts
+  files?: Record<string, string>;
+  env?: Record<string, string>;
+}
+
+const STARTUP_TIMEOUT = 10_000;
+
+// A hand-added catalog item, for seeding items.json
+export function testItem(
+  id: string,
+  stock: number,
+  category = "Components",
+): Record<string, unknown> {
+  return {
+    id,
+    name: id,
+    description: "",
+    price: 1,
+    stock,
+    imageUrl: "",
+    category,
+    tags: [],
+    datasheet: "",
+    supplier: "Custom",
+    partNumber: id,
+    source: "manual",
+  };
+}
+
+export async function startTestServer(
+  options: TestServerOptions,
+): Promise<TestServer> {
+  const dataDir = mkdtempSync(join(tmpdir(), "hackathonstore-"));
+  for (const [name, content] of Object.entries(options.files || {})) {
+    writeFileSync(join(dataDir, name), content);
+  }
+
+  const child = Bun.spawn(["bun", join(import.meta.dir, "index.ts")], {
+    env: {
+      ...process.env,
+      PORT: "0",
+      API_PREFIX: "/hackathon",
+      DATA_DIR: dataDir,
+      STORAGE_BACKEND: options.backend,
+      CATALOG_WATCH: "false",
+      ...options.env,
+    },
+    stdout: "pipe",
+    stderr: "inherit",
+  });
+
+  const stop = () => {
+    child.kill();
+    rmSync(dataDir, { recursive: true, force: true });
+  };
+
+  try {
+    const port = await readPort(child.stdout);
+    return { base: `http://localhost:${port}/hackathon`, dataDir, stop };
+  } catch (error) {
+    stop();
+    throw error;
+  }
+}
+
+// Reads the log until the server reports its port, then keeps draining it
+// so the child never blocks on a full pipe
+async function readPort(stdout: ReadableStream<Uint8Array>): Promise<number> {
+  const reader = stdout.getReader();
+  const decoder = new TextDecoder();
+  let log = "";
+
+  const timeout = setTimeout(() => reader.cancel(), STARTUP_TIMEOUT);
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) {
+        throw new Error(`Server exited before listening:\n${log}`);
+      }
+
+      log += decoder.decode(value, { stream: true });
+      const match = log.match(/Server running on port (\d+)/);
+      if (match) {
+        drain(reader);
+        return Number(match[1]);
+      }
+    }
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function drain(reader: ReadableStreamDefaultReader<Uint8Array>) {
+  try {
+    while (!(await reader.read()).done);
+  } catch {
+    // The child was stopped
+  }
+}
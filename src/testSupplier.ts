@@ -0,0 +1,45 @@
+/**
+ * Supplier clients for the adapter tests. Each client gets its own cache
+ * directory under one temporary root, and retries quickly.
+ */
+
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import {
+  type SupplierAdapter,
+  type SupplierClient,
+  type SupplierClientOptions,
+  createSupplierClient,
+} from "./supplier";
+
+export interface TestSupplierCache {
+  createClient(
+    adapter: SupplierAdapter,
+    overrides?: Partial<Omit<SupplierClientOptions, "cacheDir">>,
+  ): SupplierClient;
+  // Deletes every client's cache directory
+  remove(): void;
+}
+
+export function createTestSupplierCache(name: string): TestSupplierCache {
+  const cacheRoot = mkdtempSync(join(tmpdir(), `hackathonstore-${name}-`));
+
+  return {
+    createClient(adapter, overrides = {}) {
+      return createSupplierClient(adapter, {
+        cacheDir: mkdtempSync(join(cacheRoot, "cache-")),
+        cacheTtl: 60 * 60 * 1000,
+        concurrency: 2,
+        requestsPerMinute: 60000,
+        maxRetries: 3,
+        retryDelay: 10,
+        ...overrides,
+      });
+    },
+
+    remove() {
+      rmSync(cacheRoot, { recursive: true, force: true });
+    },
+  };
+}
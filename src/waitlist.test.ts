@@ -0,0 +1,143 @@
+/**
+ * Tests for the waitlist: entries are held to the checkout limits, a team
+ * waits once per item, and stock freed by a cart hold goes to the queue
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { type TestServer, startTestServer, testItem } from "./testServer";
+
+let server: TestServer;
+
+function joinWaitlist(
+  itemId: string,
+  username: string,
+  quantity = 1,
+  participantToken?: string,
+) {
+  return fetch(`${server.base}/waitlist`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(participantToken && { Authorization: `Bearer ${participantToken}` }),
+    },
+    body: JSON.stringify({ itemId, username, quantity }),
+  });
+}
+
+function placeOrder(
+  username: string,
+  cart: { id: string; quantity: number }[],
+) {
+  return fetch(`${server.base}/orders`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, cart }),
+  });
+}
+
+async function registerParticipant(handle: string): Promise<string> {
+  const response = await fetch(`${server.base}/participants/register`, {
+    method: "POST",
+    body: JSON.stringify({ handle, name: handle }),
+  });
+  return (await response.json()).token;
+}
+
+async function getStock(id: string): Promise<number> {
+  const response = await fetch(`${server.base}/items/${id}`);
+  return (await response.json()).stock;
+}
+
+beforeAll(async () => {
+  server = await startTestServer({
+    backend: "json",
+    files: {
+      "items.json": JSON.stringify([
+        testItem("led", 100),
+        testItem("sensor", 0),
+        testItem("servo", 1),
+      ]),
+    },
+    env: {
+      CART_HOLD_MINUTES: "15",
+      WAITLIST_MODE: "reserve",
+      QUOTA_MAX_PER_ITEM: "3",
+      QUOTA_MAX_ITEMS_PER_TEAM: "5",
+      QUOTA_CATEGORY_LIMITS: "",
+    },
+  });
+});
+
+afterAll(() => {
+  server?.stop();
+});
+
+describe("joining the waitlist", () => {
+  test("a request over the per-item limit is refused", async () => {
+    const response = await joinWaitlist("sensor", "Team A", 4);
+    expect(response.status).toBe(400);
+    const body = await response.json();
+    expect(body.quotaViolations.map((v: { rule: string }) => v.rule)).toEqual([
+      "per_item",
+    ]);
+  });
+
+  test("what the team has already ordered counts toward the limits", async () => {
+    expect((await placeOrder("Team B", [{ id: "led", quantity: 3 }])).ok).toBe(
+      true,
+    );
+
+    const response = await joinWaitlist("sensor", "Team B", 3);
+    expect(response.status).toBe(400);
+    const body = await response.json();
+    expect(body.quotaViolations.map((v: { rule: string }) => v.rule)).toEqual([
+      "team_total",
+    ]);
+  });
+
+  test("a team waits for an item only once", async () => {
+    expect((await joinWaitlist("sensor", "Team C")).status).toBe(201);
+
+    // Usernames are matched without case or surrounding spaces
+    expect((await joinWaitlist("sensor", " team c ")).status).toBe(409);
+    expect((await joinWaitlist("sensor", "Team D")).status).toBe(201);
+  });
+
+  test("a participant account waits once whatever username it uses", async () => {
+    const participant = await registerParticipant("waiter@example.com");
+
+    expect((await joinWaitlist("sensor", "Erin", 1, participant)).status).toBe(
+      201,
+    );
+    expect(
+      (await joinWaitlist("sensor", "Someone else", 1, participant)).status,
+    ).toBe(409);
+  });
+});
+
+describe("serving the waitlist", () => {
+  test("stock freed by a released cart hold is reserved for the queue", async () => {
+    const holder = await registerParticipant("holder@example.com");
+    const hold = await fetch(`${server.base}/cart-holds/servo-cart`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${holder}`,
+      },
+      body: JSON.stringify({ items: [{ id: "servo", quantity: 1 }] }),
+    });
+    expect(hold.status).toBe(200);
+
+    expect((await joinWaitlist("servo", "Team F")).status).toBe(201);
+    expect(await getStock("servo")).toBe(1);
+
+    const release = await fetch(`${server.base}/cart-holds/servo-cart`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${holder}` },
+    });
+    expect(release.ok).toBe(true);
+
+    // The waiting team now has an order for the servo
+    expect(await getStock("servo")).toBe(0);
+  });
+});